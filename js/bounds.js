@@ -0,0 +1,81 @@
+/**
+ * BOUNDS.JS - Orbit Camera Bounds
+ *
+ * @module bounds
+ * @description Keeps the orbiting camera inside the building: within the
+ * floor areas of the rooms, hallways and entrance hall, under their
+ * ceilings, above the floor and in front of any wall between it and what
+ * it looks at
+ */
+
+import * as THREE from 'three';
+import { camera, controls } from './scene.js';
+import { navigableAreas, colliders } from './rooms.js';
+import { CONFIG } from './config.js';
+
+const ray = new THREE.Ray();
+const clamped = new THREE.Vector3();
+const nearest = new THREE.Vector3();
+const hit = new THREE.Vector3();
+
+/**
+ * Moves the camera to the closest point inside the navigable areas,
+ * kept CONFIG.controls.wallMargin away from their edges and ceilings
+ * @returns {boolean} True when the camera had to move
+ */
+function clampToAreas() {
+  const { wallMargin, minHeight } = CONFIG.controls;
+  const position = camera.position;
+  let nearestDistance = Infinity;
+
+  for (const area of navigableAreas) {
+    clamped.set(
+      THREE.MathUtils.clamp(position.x, area.min.x + wallMargin, area.max.x - wallMargin),
+      THREE.MathUtils.clamp(position.y, minHeight, area.max.y - wallMargin),
+      THREE.MathUtils.clamp(position.z, area.min.z + wallMargin, area.max.z - wallMargin)
+    );
+    const distance = clamped.distanceToSquared(position);
+    if (distance === 0) return false;
+    if (distance < nearestDistance) {
+      nearestDistance = distance;
+      nearest.copy(clamped);
+    }
+  }
+
+  position.copy(nearest);
+  return true;
+}
+
+/**
+ * Pulls the camera in front of the first wall or obstacle between it and
+ * the orbit target, so orbiting near a wall never looks through it
+ */
+function keepInFrontOfWalls() {
+  const { wallMargin, minDistance } = CONFIG.controls;
+  const distance = camera.position.distanceTo(controls.target);
+  if (distance === 0) return;
+
+  ray.origin.copy(controls.target);
+  ray.direction.subVectors(camera.position, controls.target).divideScalar(distance);
+
+  let allowed = distance;
+  for (const box of colliders) {
+    if (box.containsPoint(controls.target) || !ray.intersectBox(box, hit)) continue;
+    allowed = Math.min(allowed, hit.distanceTo(controls.target) - wallMargin);
+  }
+
+  if (allowed < distance) {
+    camera.position.copy(controls.target).addScaledVector(ray.direction, Math.max(allowed, minDistance));
+  }
+}
+
+/**
+ * Keeps the orbit camera inside the building
+ * Called every frame from the animation loop after the controls update,
+ * while the visitor orbits (not during flights, focus or walk mode)
+ */
+export function constrainOrbit() {
+  if (navigableAreas.length === 0) return;
+  clampToAreas();
+  keepInFrontOfWalls();
+}
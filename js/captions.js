@@ -0,0 +1,213 @@
+/**
+ * CAPTIONS.JS - Narration Captions
+ *
+ * @module captions
+ * @description Reads WebVTT caption tracks, generates timed captions for
+ * synthesized speech and shows the current cue in a caption bar kept in
+ * sync with the audio guide
+ */
+
+import { CONFIG } from './config.js';
+
+/**
+ * @typedef {Object} Cue
+ * @property {number} start - Start time (s)
+ * @property {number} end - End time (s)
+ * @property {string} text - Caption text
+ * @property {number} [charStart] - Offset of the text in the spoken string (generated cues)
+ * @property {number} [charEnd] - End offset in the spoken string (generated cues)
+ */
+
+// DOM elements
+const barEl = document.getElementById('caption-bar');
+
+// State
+const trackCache = new Map(); // Caption file URL -> Promise<Cue[]>
+let playback = null; // { cues, frame }
+
+// ═══════════════════════════════════════════
+// WEBVTT
+// ═══════════════════════════════════════════
+
+/**
+ * Reads a WebVTT timestamp ('01:02.500' or '00:01:02.500')
+ * @param {string} value - Timestamp
+ * @returns {number} Seconds, NaN when unreadable
+ */
+function parseTimestamp(value) {
+  const match = /^(?:(\d+):)?(\d{2}):(\d{2})\.(\d{3})$/.exec(value.trim());
+  if (!match) return NaN;
+  const [, hours = '0', minutes, seconds, millis] = match;
+  return Number(hours) * 3600 + Number(minutes) * 60 + Number(seconds) + Number(millis) / 1000;
+}
+
+/**
+ * Parses a WebVTT file into cues
+ * Cue settings and inline tags (<v Speaker>, <i>) are dropped
+ * @param {string} text - File contents
+ * @returns {Cue[]} Cues in start order
+ */
+export function parseVtt(text) {
+  const blocks = text.replace(/\r\n?/g, '\n').split(/\n{2,}/);
+  if (!/^\uFEFF?WEBVTT/.test(blocks[0] || '')) {
+    throw new Error('missing WEBVTT header');
+  }
+
+  const cues = [];
+  blocks.slice(1).forEach(block => {
+    const lines = block.split('\n').filter(line => line.trim() !== '');
+    const timingIndex = lines.findIndex(line => line.includes('-->'));
+    if (timingIndex === -1 || /^(NOTE|STYLE|REGION)\b/.test(lines[0])) return;
+
+    const [from, rest] = lines[timingIndex].split('-->');
+    const start = parseTimestamp(from);
+    const end = parseTimestamp(rest.trim().split(/\s+/)[0]);
+    const cueText = lines.slice(timingIndex + 1).join('\n').replace(/<[^>]+>/g, '').trim();
+    if (Number.isNaN(start) || Number.isNaN(end) || end <= start || !cueText) return;
+
+    cues.push({ start, end, text: cueText });
+  });
+
+  return cues.sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Loads a WebVTT caption file, once per URL
+ * @param {string} url - Caption file URL
+ * @returns {Promise<Cue[]>} Cues (empty when the file cannot be read)
+ */
+export function loadCaptionTrack(url) {
+  if (!trackCache.has(url)) {
+    trackCache.set(url, fetch(url)
+      .then(response => {
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        return response.text();
+      })
+      .then(parseVtt)
+      .catch(error => {
+        console.warn(`[Captions] Caption track "${url}" unavailable (${error.message})`);
+        return [];
+      }));
+  }
+  return trackCache.get(url);
+}
+
+// ═══════════════════════════════════════════
+// GENERATED CAPTIONS
+// ═══════════════════════════════════════════
+
+/**
+ * Splits text into caption-sized phrases: sentences, and long sentences
+ * at commas or spaces
+ * @param {string} text - Spoken text
+ * @returns {{text: string, charStart: number, charEnd: number}[]} Phrases with their offsets
+ */
+function splitPhrases(text) {
+  const max = CONFIG.captions.maxCueLength;
+  const phrases = [];
+
+  for (const match of text.matchAll(/[^.!?…]+[.!?…]*["'”»]?\s*/g)) {
+    let rest = match[0];
+    let start = match.index;
+    while (rest.trim().length > max) {
+      const slice = rest.slice(0, max);
+      const comma = slice.lastIndexOf(', ');
+      const cut = comma > max / 2 ? comma + 1 : slice.lastIndexOf(' '); // Prefer a comma in the second half
+      const length = cut > 0 ? cut + 1 : max;
+      phrases.push({ text: rest.slice(0, length).trim(), charStart: start, charEnd: start + length });
+      rest = rest.slice(length);
+      start += length;
+    }
+    if (rest.trim()) phrases.push({ text: rest.trim(), charStart: start, charEnd: start + rest.length });
+  }
+
+  return phrases;
+}
+
+/**
+ * Generates timed captions for text that is read aloud
+ * Phrases get time in proportion to their length
+ * @param {string} text - Spoken text
+ * @param {Object} [options]
+ * @param {number} [options.duration] - Known length of the speech (s); estimated when omitted
+ * @param {number} [options.rate=1] - Speech rate, for estimates
+ * @returns {Cue[]} Cues with character offsets into the text
+ */
+export function generateCues(text, { duration, rate = 1 } = {}) {
+  const phrases = splitPhrases(text);
+  const chars = phrases.reduce((sum, phrase) => sum + phrase.text.length, 0);
+  if (chars === 0) return [];
+
+  const total = duration > 0 ? duration : chars / (CONFIG.captions.charsPerSecond * rate);
+  let time = 0;
+  return phrases.map(phrase => {
+    const length = (phrase.text.length / chars) * total;
+    const cue = { ...phrase, start: time, end: time + length };
+    time += length;
+    return cue;
+  });
+}
+
+// ═══════════════════════════════════════════
+// CAPTION BAR
+// ═══════════════════════════════════════════
+
+/**
+ * Cue showing at a playback position
+ * @param {Cue[]} cues - Cues in start order
+ * @param {{time?: number, char?: number}} position - Time (s) or spoken character offset
+ * @returns {Cue|null} Current cue
+ */
+function activeCue(cues, position) {
+  if (typeof position.char === 'number') {
+    return cues.find(cue => position.char >= cue.charStart && position.char < cue.charEnd) || null;
+  }
+  const cue = cues.find(candidate => position.time >= candidate.start && position.time < candidate.end);
+  if (cue || cues[0].charStart === undefined) return cue || null;
+  // Generated timings are estimates: keep the latest phrase up until speech moves on
+  return cues.filter(candidate => candidate.start <= position.time).pop() || null;
+}
+
+/**
+ * Shows a line in the caption bar
+ * @param {string} text - Caption, empty to hide the bar
+ */
+function renderCaption(text) {
+  if (!barEl) return;
+  if (barEl.textContent !== text) barEl.textContent = text;
+  barEl.hidden = !text;
+}
+
+/**
+ * Shows captions in step with playback until stopped
+ * @param {Cue[]} cues - Caption cues
+ * @param {Function} getPosition - Returns the playback position, { time } in seconds or { char } for speech boundaries
+ */
+export function playCaptions(cues, getPosition) {
+  stopCaptions();
+  if (!CONFIG.captions.enabled || !barEl || cues.length === 0) return;
+
+  const current = { cues, frame: null };
+  const update = () => {
+    try {
+      const cue = activeCue(cues, getPosition());
+      renderCaption(cue ? cue.text : '');
+    } catch (error) {
+      console.error('[Captions]', error);
+    }
+    current.frame = requestAnimationFrame(update);
+  };
+  playback = current;
+  update();
+}
+
+/**
+ * Hides the caption bar and stops following playback
+ */
+export function stopCaptions() {
+  if (playback) {
+    cancelAnimationFrame(playback.frame);
+    playback = null;
+  }
+  renderCaption('');
+}
@@ -64,7 +64,64 @@ export const CONFIG = {
     dampingFactor: 0.05,
     initialTarget: { x: 0, y: 3, z: 3 },
     enableTouch: true,
-    touchDampingFactor: 0.08
+    touchDampingFactor: 0.08,
+    minDistance: 1, // Closest the camera orbits to its target
+    maxDistance: 35, // Furthest it zooms out (the entrance view stands 30 away)
+    minPolarAngle: Math.PI * 0.1, // Steepest look down from above
+    maxPolarAngle: Math.PI * 0.55, // Furthest below its target the camera goes
+    minHeight: 0.5, // Lowest the camera goes above the floor
+    wallMargin: 0.6, // How far the camera stays from walls and ceilings
+    hallwayCeiling: 7 // Highest the camera rises over the open hallways
+  },
+
+  // ═══════════════════════════════════════════
+  // TELEPORT SETTINGS
+  // ═══════════════════════════════════════════
+  teleport: {
+    enabled: true, // Click the floor to glide there
+    dragThreshold: 5, // Mouse movement (px) beyond which a click is an orbit drag instead
+    faceDistance: 12, // Exhibits further than this are not turned to on arrival
+    lookDistance: 3, // How far ahead of the camera the orbit target is placed
+    reticleRadius: 0.35,
+    reticleColor: 0xffd27f
+  },
+
+  // ═══════════════════════════════════════════
+  // MINIMAP SETTINGS
+  // ═══════════════════════════════════════════
+  minimap: {
+    shortcut: 'm', // Key that shows or hides the minimap
+    startOpen: true,
+    storageKey: 'hall-of-legacy.visited', // localStorage key for the names of visited exhibits
+    width: 200, // Canvas size (px)
+    height: 240,
+    padding: 10, // Space around the floor plan (px)
+    dotRadius: 3, // Exhibit dot size (px)
+    viewConeLength: 22, // Length of the camera's view cone (px)
+    colors: {
+      hallway: '#3a2424',
+      wall: '#d8c8c8',
+      current: '#ffffff',
+      monument: '#ff3b3b',
+      exhibit: '#ffb3b3',
+      visited: '#ffd27f',
+      camera: '#4fc3f7',
+      viewCone: 'rgba(79, 195, 247, 0.3)'
+    }
+  },
+
+  // ═══════════════════════════════════════════
+  // WALK MODE SETTINGS
+  // ═══════════════════════════════════════════
+  walk: {
+    shortcut: 'f', // Key that switches between walking and orbiting
+    eyeHeight: 1.7, // Camera height while walking
+    speed: 3, // Walking speed (units per second)
+    runMultiplier: 2, // Speed-up while Shift is held
+    radius: 0.35, // How close the visitor gets to walls and furniture
+    lookSensitivity: 0.0025, // Radians of turn per pixel of mouse movement
+    maxPitch: 1.3, // Furthest the visitor looks up or down (radians)
+    orbitDistance: 5 // Distance ahead of the visitor that orbiting centres on after walking
   },
 
   // ═══════════════════════════════════════════
@@ -137,6 +194,21 @@ export const CONFIG = {
     fallbackEnabled: true
   },
 
+  // ═══════════════════════════════════════════
+  // SOUNDSCAPE SETTINGS
+  // ═══════════════════════════════════════════
+  soundscape: {
+    storageKey: 'hall-of-legacy.sound', // localStorage key remembering volume and mute
+    defaultVolume: 0.8, // Master volume before the visitor sets one (0-1)
+    eagleAmbience: 'audio/ambience/eagle.mp3', // Ambient track at the eagle monument, null for none
+    sourceHeight: 2.5, // Height of ambient sources in a room
+    refDistance: 6, // Distance at which a room track plays at full level
+    rolloffFactor: 1.5, // How quickly room tracks fade with distance
+    maxDistance: 60,
+    otherRoomLevel: 0.15, // Level of room tracks other than the one the camera is in
+    crossfadeTime: 1500 // Crossfade between rooms (ms)
+  },
+
   // ═══════════════════════════════════════════
   // LOADING SCREEN SETTINGS
   // ═══════════════════════════════════════════
@@ -147,21 +219,168 @@ export const CONFIG = {
     eagleRoughness: 0.3,
     minLoadTime: 1500, // Minimum time to show loading screen (ms)
     fadeOutDuration: 800, // Fade out animation duration (ms)
-    rotationSpeed: 0.02
+    rotationSpeed: 0.02,
+    issueDisplayTime: 4000 // Extra time to keep the loading screen up when issues were reported (ms)
+  },
+
+  // ═══════════════════════════════════════════
+  // EXHIBIT MANIFEST SETTINGS
+  // ═══════════════════════════════════════════
+  exhibits: {
+    manifestPath: 'data/exhibits.json', // Set to null to always use the bundled data
+    manifestVersion: 2, // Manifest format version this build writes (version 1 is migrated)
+    requestTimeout: 8000 // Give up on the manifest after this long (ms)
+  },
+
+  // ═══════════════════════════════════════════
+  // PORTRAIT IMAGE SETTINGS
+  // ═══════════════════════════════════════════
+  images: {
+    timeout: 10000, // Give up on a single image request after this long (ms)
+    retries: 2, // Extra attempts for remote fallbacks (bundled files are tried once)
+    retryDelay: 1500, // Wait before the first retry, doubled for each further one (ms)
+    maxCanvasScale: 2 // Portrait canvases follow the device pixel ratio up to this factor
+  },
+
+  // ═══════════════════════════════════════════
+  // CURATOR MODE SETTINGS
+  // ═══════════════════════════════════════════
+  curator: {
+    urlFlag: 'curator', // Open with ?curator in the URL
+    shortcut: { code: 'KeyC', altKey: true, shiftKey: true }, // Alt+Shift+C toggles curator mode
+    dragThreshold: 6, // Pointer travel (px) before a press on a portrait becomes a drag
+    exportFileName: 'exhibits.json'
+  },
+
+  // ═══════════════════════════════════════════
+  // SEARCH SETTINGS
+  // ═══════════════════════════════════════════
+  search: {
+    shortcut: '/', // Key that opens the search overlay
+    maxResults: 8,
+    fieldWeights: { name: 3, room: 2, years: 1.5, achievement: 1 } // Name matches rank first
+  },
+
+  // ═══════════════════════════════════════════
+  // TIMELINE SETTINGS
+  // ═══════════════════════════════════════════
+  timeline: {
+    shortcut: 't', // Key that opens the timeline
+    targetTicks: 7 // Roughly how many year marks the axis shows
+  },
+
+  // ═══════════════════════════════════════════
+  // EXHIBIT FILTER SETTINGS
+  // ═══════════════════════════════════════════
+  filters: {
+    dimFactor: 0.25, // Brightness of portraits and frames that do not match
+    highlightColor: 0xd4af37, // Glow on the frames of matching portraits
+    highlightIntensity: 0.35
+  },
+
+  // ═══════════════════════════════════════════
+  // AUDIO GUIDE SETTINGS
+  // ═══════════════════════════════════════════
+  guide: {
+    storageKey: 'hall-of-legacy.guide', // localStorage key remembering whether the guide is on
+    speechLanguages: { en: 'en-GB', sq: 'sq-AL' }, // Speech synthesis voice language per locale
+    speechRate: 0.95,
+    duckLevel: 0.25, // Music and room ambience level during narration, relative to normal
+    duckFadeTime: 600, // Sound fade down and up around narration (ms)
+    tourDelay: 1500 // Tours move on this long after a portrait's narration ends (ms)
+  },
+
+  // ═══════════════════════════════════════════
+  // AUDIO VISUALIZER SETTINGS
+  // ═══════════════════════════════════════════
+  visualizer: {
+    enabled: true,
+    position: { x: 6.5, z: 20 }, // Entrance hall, beside the carpet
+    barCount: 48, // Bars around the ring
+    radius: 1.2,
+    minHeight: 0.1,
+    maxHeight: 2.2,
+    color: 0xd4af37,
+    glowMin: 0.4, // Emissive intensity at rest
+    glowMax: 2, // Emissive intensity at full level, bright enough for the bloom pass
+    fftSize: 256,
+    smoothing: 0.8, // Analyser smoothing between frames (0-1)
+    frequencyRange: 0.7, // Share of the spectrum spread over the bars (the top is mostly empty)
+    decay: 1.8, // How fast bars fall back (share of full height per second)
+    idleSpeed: 0.8, // Speed of the resting wave while sound is off
+    rotationSpeed: 0.1 // Ring rotation (radians per second)
+  },
+
+  // ═══════════════════════════════════════════
+  // LISTENING STATION SETTINGS
+  // ═══════════════════════════════════════════
+  stations: {
+    volume: 0.9, // Clip level within the soundscape, under the master volume (0-1)
+    ambienceLevel: 0, // Room ambience level while a clip plays (0-1)
+    ambienceFadeTime: 600, // Fade of the room ambience as a clip starts and ends (ms)
+    playOnApproach: true, // Play a clip when the camera walks up to its portrait
+    approachDistance: 4, // Camera distance from the portrait that starts its clip
+    leaveDistance: 6, // Camera distance that stops a clip started by approaching
+    glowColor: 0x4fc3f7, // Frame glow while a clip plays
+    glowIntensity: 0.6
+  },
+
+  // ═══════════════════════════════════════════
+  // CAPTION SETTINGS
+  // ═══════════════════════════════════════════
+  captions: {
+    enabled: true, // Show narration captions in the caption bar
+    maxCueLength: 90, // Longest caption line before a sentence is split (characters)
+    charsPerSecond: 14 // Speaking pace assumed when timing captions for speech synthesis
+  },
+
+  // ═══════════════════════════════════════════
+  // FAVOURITES SETTINGS
+  // ═══════════════════════════════════════════
+  favourites: {
+    storageKey: 'hall-of-legacy.favourites', // localStorage key for the saved exhibit names
+    thumbnail: { width: 48, height: 64 } // Drawer thumbnail size (px)
+  },
+
+  // ═══════════════════════════════════════════
+  // RELATION LINE SETTINGS
+  // ═══════════════════════════════════════════
+  relations: {
+    showLines: true, // Draw arcs to related portraits when one is focused
+    lineColor: 0xffd27f,
+    lineRadius: 0.025,
+    opacity: 0.85,
+    arcLift: 2, // Height added to every arc's midpoint
+    arcHeight: 0.25, // Extra midpoint height per unit of distance
+    segments: 48,
+    pulseSpeed: 2 // Opacity pulses per second (radians)
   },
 
   // ═══════════════════════════════════════════
   // NAVIGATION SETTINGS
   // ═══════════════════════════════════════════
   navigation: {
-    speed: 0.012, // Speed of camera movement when navigating rooms
+    speed: 0.012, // Share of a flight covered per frame when navigating rooms
+    referenceLength: 25, // Flights longer than this slow down to keep the same pace
     portraitFocusDistance: 2.5, // Distance from portrait when focused
     portraitFocusHeight: 1.5, // Height offset when focusing portrait
     portraitFocusSpeed: 0.05, // Speed of zoom to portrait
     roomOffsetDistance: 8, // Distance from room when viewing
     roomViewHeight: 4, // Camera height when viewing room
     lookAtHeight: 3, // Height to look at when viewing room
-    entranceDistance: 15 // Distance for entrance hall camera
+    initialRoom: 'entrance', // Room highlighted in the nav bar on load
+    entranceDistance: 15, // Distance for entrance hall camera
+    lookAhead: 6, // How far along the route the camera looks while flying
+    clearance: 0.5, // Room flights keep this far from walls and furniture
+    monumentClearance: 1.5, // Flights pass this far outside the rope square around the eagle
+    sampleSpacing: 1 // Step for checking that a flight stays over the floor plan
+  },
+
+  // ═══════════════════════════════════════════
+  // DEEP LINK SETTINGS
+  // ═══════════════════════════════════════════
+  router: {
+    prefix: '#/' // Routes look like #/room/singers and #/exhibit/ismail-qemali
   },
 
   // ═══════════════════════════════════════════
@@ -169,8 +388,16 @@ export const CONFIG = {
   // ═══════════════════════════════════════════
   tour: {
     enabled: true,
-    intervalDuration: 5000, // Time to show each portrait (ms)
-    autoStart: false
+    intervalDuration: 5000, // Time to show each portrait once the camera is there (ms), and each scripted stop without a duration
+    speeds: [1, 1.5, 2, 0.5], // Playback speeds the speed button cycles through, starting with the first
+    settleDistance: 0.1, // A portrait stop's clock starts once the camera is this close to its viewpoint
+    order: 'rooms', // 'rooms' (gallery order) or 'chronological' (by exhibit dates)
+    autoStart: false,
+    scriptsPath: 'data/tours.json', // Scripted tours offered by the tour button; null for the built-in tours only
+    scriptsVersion: 1, // Tour script format version this build reads
+    transition: 'fly', // Camera transition for stops that set none: 'fly' or 'cut'
+    eagleViewDistance: 7, // How far in front of the eagle monument an 'eagle' stop stands
+    eagleViewHeight: 5
   },
 
   // ═══════════════════════════════════════════
@@ -203,6 +430,38 @@ export const CONFIG = {
     floorThickness: 0.1
   },
 
+  // ═══════════════════════════════════════════
+  // FLOOR PLAN SETTINGS
+  // ═══════════════════════════════════════════
+  floorPlan: {
+    style: 'corridor', // 'corridor', 'ring' (around the eagle) or 'wings' (branching)
+    startZ: 11, // Where the hallway meets the entrance hall
+    corridorWidth: 8, // Clear width between facing room entrances
+    hallwayOverlap: 2, // Hallway floor reaches this far under the room openings
+    roomGap: 2, // Space between neighbouring rooms
+    entranceGap: 5, // Space between the entrance hall and the first rooms
+    endMargin: 5, // Hallway continues this far past the last rooms
+    minIsland: 12, // Smallest monument plaza inside the ring
+    monumentBay: 10, // Space for the eagle at the head of the wings
+    carpetWidth: 3,
+    carpetInset: 1, // Carpet stops short of the hallway ends
+    monumentBarrier: { halfWidth: 2.5, halfDepth: 2 } // Rope square around the eagle
+  },
+
+  // ═══════════════════════════════════════════
+  // WALL LAYOUT SETTINGS
+  // ═══════════════════════════════════════════
+  layout: {
+    wallOrder: ['back', 'left', 'right'], // Walls are filled in this order
+    minSpacing: 2.4, // Minimum distance between portrait centres
+    wallMargin: 1, // Clear space at wall ends
+    entranceClearance: 3, // Side walls stay empty this close to the entrance
+    wallInset: 0.15, // Distance of portraits from the wall
+    barrierOffset: 2, // Distance of rope barriers from the wall
+    autoResize: true, // Deepen rooms whose walls are full
+    maxDepth: 24 // Rooms never grow deeper than this
+  },
+
   // ═══════════════════════════════════════════
   // EAGLE MONUMENT SETTINGS
   // ═══════════════════════════════════════════
@@ -243,6 +502,14 @@ export const CONFIG = {
     infoPanelMaxWidth: 400
   },
 
+  // ═══════════════════════════════════════════
+  // LANGUAGE SETTINGS
+  // ═══════════════════════════════════════════
+  i18n: {
+    defaultLocale: 'en', // Used when a text has no translation for the chosen locale
+    storageKey: 'hall-of-legacy.locale' // localStorage key for the chosen locale
+  },
+
   // ═══════════════════════════════════════════
   // PERFORMANCE SETTINGS
   // ═══════════════════════════════════════════
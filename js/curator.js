@@ -0,0 +1,374 @@
+/**
+ * CURATOR.JS - Curator Edit Mode
+ *
+ * @module curator
+ * @description In-scene exhibit editing: drag portraits along their walls,
+ * edit their text and frame colour, and export the result as an exhibit manifest
+ */
+
+import * as THREE from 'three';
+import { camera, controls, renderer } from './scene.js';
+import { exhibits } from './portraits.js';
+import { clearFocus } from './interactions.js';
+import { t, getLocale } from './i18n.js';
+import { parseColor } from './manifest.js';
+import { toCssColor } from './registry.js';
+import { CONFIG } from './config.js';
+
+// DOM elements
+const panelEl = document.getElementById('curator-panel');
+const formEl = document.getElementById('curator-form');
+const fieldsEl = document.getElementById('curator-fields');
+const selectionEl = document.getElementById('curator-selection');
+const localeEl = document.getElementById('curator-locale');
+const positionEl = document.getElementById('curator-position');
+const exportBtn = document.getElementById('curator-export');
+const closeBtn = document.getElementById('curator-close');
+
+// Localized text fields edited in the form; required ones cannot be cleared
+const TEXT_FIELDS = ['label', 'years', 'achievement', 'quote'];
+const REQUIRED_FIELDS = ['years', 'achievement'];
+
+// State
+let museum = null;
+let isActive = false;
+let selection = null; // { portrait, museumRoom }
+let drag = null;
+let suppressClick = false;
+
+const raycaster = new THREE.Raycaster();
+const pointer = new THREE.Vector2();
+
+/**
+ * Whether curator mode is on
+ * @returns {boolean} True while curator mode is active
+ */
+export function isCuratorActive() {
+  return isActive;
+}
+
+// ═══════════════════════════════════════════
+// LOCALIZED FIELD EDITING
+// ═══════════════════════════════════════════
+
+/**
+ * Text stored for exactly one locale (no fallback), for filling the form
+ * Plain strings belong to the default locale
+ * @param {string|Object.<string, string>} value - Field value
+ * @param {string} locale - Locale code
+ * @returns {string} Stored text, or an empty string
+ */
+function textForLocale(value, locale) {
+  if (value && typeof value === 'object') return value[locale] || '';
+  return locale === CONFIG.i18n.defaultLocale && value ? String(value) : '';
+}
+
+/**
+ * Writes the text for one locale into a field value
+ * Clearing the default locale clears the whole field; a field with only
+ * default-locale text is stored as a plain string
+ * @param {string|Object.<string, string>} value - Current field value
+ * @param {string} text - New text ('' removes the locale)
+ * @param {string} locale - Locale being edited
+ * @returns {string|Object.<string, string>|undefined} New field value, undefined to remove the field
+ */
+function withLocaleText(value, text, locale) {
+  const defaultLocale = CONFIG.i18n.defaultLocale;
+  if (!text && locale === defaultLocale) return undefined;
+
+  const entries = value && typeof value === 'object' ? { ...value } : (value ? { [defaultLocale]: String(value) } : {});
+  if (text) {
+    entries[locale] = text;
+  } else {
+    delete entries[locale];
+  }
+  if (!entries[defaultLocale]) {
+    if (!text) return undefined;
+    entries[defaultLocale] = text;
+  }
+
+  return Object.keys(entries).length === 1 ? entries[defaultLocale] : entries;
+}
+
+// ═══════════════════════════════════════════
+// FORM
+// ═══════════════════════════════════════════
+
+/**
+ * Shows the selected portrait's slot number within its room
+ */
+function updatePosition() {
+  if (!positionEl) return;
+  if (!selection) {
+    positionEl.textContent = '-';
+    return;
+  }
+  const placed = selection.museumRoom.placedPortraits;
+  positionEl.textContent = `${placed.indexOf(selection.portrait) + 1} / ${placed.length}`;
+}
+
+/**
+ * Fills the form with the selected portrait in the current locale
+ */
+function fillForm() {
+  if (!formEl) return;
+
+  const locale = getLocale();
+  if (localeEl) localeEl.textContent = locale.toUpperCase();
+  if (fieldsEl) fieldsEl.disabled = !selection;
+
+  if (!selection) {
+    if (selectionEl) selectionEl.textContent = t('curator.empty');
+    formEl.reset();
+    updatePosition();
+    return;
+  }
+
+  const { portrait } = selection;
+  if (selectionEl) selectionEl.textContent = portrait.name;
+
+  TEXT_FIELDS.forEach(field => {
+    const input = formEl.elements[field];
+    const value = field === 'label' ? (portrait.data.label || portrait.name) : portrait.data[field];
+    input.value = textForLocale(value, locale);
+    // Show what visitors see when this locale has no text of its own
+    input.placeholder = textForLocale(value, CONFIG.i18n.defaultLocale);
+  });
+  formEl.elements.frameColor.value = toCssColor(portrait.data.frameColor);
+  updatePosition();
+}
+
+/**
+ * Applies one edited form field to the selected portrait
+ * @param {HTMLInputElement|HTMLTextAreaElement} input - Edited field
+ */
+function applyField(input) {
+  if (!selection) return;
+  const { portrait } = selection;
+
+  if (input.name === 'frameColor') {
+    const color = parseColor(input.value);
+    if (color !== null) portrait.setFrameColor(color);
+    return;
+  }
+
+  if (!TEXT_FIELDS.includes(input.name)) return;
+
+  const text = input.value.trim();
+  const locale = getLocale();
+  if (!text && REQUIRED_FIELDS.includes(input.name) && locale === CONFIG.i18n.defaultLocale) return;
+
+  if (input.name === 'label') {
+    const label = withLocaleText(portrait.data.label || portrait.name, text, locale);
+    // A label that only repeats the exhibit name is not needed
+    portrait.updateData({ label: label === portrait.name ? undefined : label });
+  } else {
+    portrait.updateData({ [input.name]: withLocaleText(portrait.data[input.name], text, locale) });
+  }
+
+  window.dispatchEvent(new CustomEvent('museum:exhibitchange', { detail: { name: portrait.name } }));
+}
+
+/**
+ * Selects a portrait for editing
+ * @param {THREE.Mesh} mesh - Portrait mesh
+ */
+function select(mesh) {
+  selection = (museum && mesh && museum.findPortrait(mesh)) || null;
+  fillForm();
+}
+
+/**
+ * Moves the selected portrait to another slot in its room
+ * @param {number} index - Target slot index
+ */
+function moveSelection(index) {
+  if (!selection) return;
+  if (selection.museumRoom.movePortrait(selection.portrait, index)) {
+    museum.refreshExhibitOrder();
+    updatePosition();
+  }
+}
+
+// ═══════════════════════════════════════════
+// DRAGGING ALONG THE WALLS
+// ═══════════════════════════════════════════
+
+/**
+ * Slot index whose on-screen position is closest to the pointer
+ * @param {Object} museumRoom - Room the dragged portrait belongs to
+ * @param {number} clientX - Pointer X in pixels
+ * @param {number} clientY - Pointer Y in pixels
+ * @returns {number} Slot index, or -1 when no slot is in front of the camera
+ */
+function nearestSlot(museumRoom, clientX, clientY) {
+  const placed = museumRoom.placedPortraits;
+  const y = placed[0].group.position.y;
+  const projected = new THREE.Vector3();
+  let best = -1;
+  let bestDistance = Infinity;
+
+  museumRoom.layout.slots.slice(0, placed.length).forEach((slot, i) => {
+    projected.set(slot.x, y, slot.z).project(camera);
+    if (projected.z > 1) return; // Behind the camera
+
+    const x = (projected.x + 1) / 2 * window.innerWidth;
+    const screenY = (1 - projected.y) / 2 * window.innerHeight;
+    const distance = Math.hypot(x - clientX, screenY - clientY);
+    if (distance < bestDistance) {
+      bestDistance = distance;
+      best = i;
+    }
+  });
+
+  return best;
+}
+
+// Pressing a portrait may start a drag
+function onPointerDown(e) {
+  suppressClick = false;
+  if (!isActive || e.button !== 0 || !museum) return;
+
+  pointer.x = (e.clientX / window.innerWidth) * 2 - 1;
+  pointer.y = -(e.clientY / window.innerHeight) * 2 + 1;
+  raycaster.setFromCamera(pointer, camera);
+  const hits = raycaster.intersectObjects(exhibits, true);
+  if (hits.length === 0) return;
+
+  const found = museum.findPortrait(hits[0].object);
+  if (found) {
+    drag = { ...found, startX: e.clientX, startY: e.clientY, dragging: false };
+  }
+}
+
+// Past the threshold the press becomes a drag that follows the nearest slot
+function onPointerMove(e) {
+  if (!drag) return;
+
+  if (!drag.dragging) {
+    if (Math.hypot(e.clientX - drag.startX, e.clientY - drag.startY) < CONFIG.curator.dragThreshold) return;
+    drag.dragging = true;
+    controls.enabled = false;
+    clearFocus();
+    selection = { portrait: drag.portrait, museumRoom: drag.museumRoom };
+    fillForm();
+    document.body.classList.add('curator-dragging');
+  }
+
+  const slot = nearestSlot(drag.museumRoom, e.clientX, e.clientY);
+  if (slot !== -1) moveSelection(slot);
+}
+
+// Finish the drag and hand the camera back to the orbit controls
+function onPointerUp() {
+  if (!drag) return;
+
+  if (drag.dragging) {
+    // The click that ends a drag must not focus the portrait
+    suppressClick = true;
+    controls.enabled = true;
+    document.body.classList.remove('curator-dragging');
+  }
+  drag = null;
+}
+
+// ═══════════════════════════════════════════
+// EXPORT
+// ═══════════════════════════════════════════
+
+/**
+ * Downloads the current exhibits as a manifest the museum can load
+ */
+function exportManifest() {
+  if (!museum) return;
+
+  try {
+    const json = JSON.stringify(museum.toManifest(), null, 2) + '\n';
+    const url = URL.createObjectURL(new Blob([json], { type: 'application/json' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = CONFIG.curator.exportFileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+  } catch (error) {
+    console.error('[Curator export]', error);
+  }
+}
+
+// ═══════════════════════════════════════════
+// MODE SWITCHING
+// ═══════════════════════════════════════════
+
+/**
+ * Turns curator mode on or off
+ * @param {boolean} active - New state
+ */
+export function setCuratorMode(active) {
+  isActive = !!active && !!panelEl;
+  if (panelEl) panelEl.hidden = !isActive;
+  document.body.classList.toggle('curator-mode', isActive);
+  if (isActive) fillForm();
+}
+
+// Whether a keydown is the curator shortcut from CONFIG.curator.shortcut
+function matchesShortcut(e) {
+  const { code, altKey = false, shiftKey = false, ctrlKey = false } = CONFIG.curator.shortcut;
+  return e.code === code && e.altKey === altKey && e.shiftKey === shiftKey && e.ctrlKey === ctrlKey;
+}
+
+/**
+ * Wires up curator mode for a built museum
+ * Opens straight away when the URL carries CONFIG.curator.urlFlag
+ * @param {Object} museumInstance - The built museum
+ */
+export function initCurator(museumInstance) {
+  museum = museumInstance;
+  if (!panelEl || !formEl) return;
+
+  // Keep form typing and clicks away from the museum's keyboard and click handlers
+  panelEl.addEventListener('keydown', e => e.stopPropagation());
+  panelEl.addEventListener('click', e => e.stopPropagation());
+
+  formEl.addEventListener('input', e => applyField(e.target));
+  formEl.addEventListener('submit', e => e.preventDefault());
+  formEl.querySelectorAll('[data-move]').forEach(btn => {
+    btn.addEventListener('click', () => {
+      if (!selection) return;
+      const index = selection.museumRoom.placedPortraits.indexOf(selection.portrait);
+      moveSelection(index + Number(btn.dataset.move));
+    });
+  });
+
+  if (exportBtn) exportBtn.addEventListener('click', exportManifest);
+  if (closeBtn) closeBtn.addEventListener('click', () => setCuratorMode(false));
+
+  renderer.domElement.addEventListener('pointerdown', onPointerDown);
+  window.addEventListener('pointermove', onPointerMove);
+  window.addEventListener('pointerup', onPointerUp);
+  window.addEventListener('click', e => {
+    if (suppressClick) {
+      suppressClick = false;
+      e.stopImmediatePropagation();
+    }
+  }, true);
+
+  window.addEventListener('keydown', e => {
+    if (matchesShortcut(e)) {
+      e.preventDefault();
+      setCuratorMode(!isActive);
+    }
+  });
+
+  window.addEventListener('museum:focus', e => {
+    if (isActive) select(e.detail.portrait);
+  });
+  window.addEventListener('museum:localechange', () => {
+    if (isActive) fillForm();
+  });
+
+  if (new URLSearchParams(window.location.search).has(CONFIG.curator.urlFlag)) {
+    setCuratorMode(true);
+  }
+}
@@ -0,0 +1,224 @@
+/**
+ * DATES.JS - Exhibit Date Parsing
+ *
+ * @module dates
+ * @description Turns the free-text `years` field ("1405-1468", "1405-68",
+ * "November 28, 1912", "14-22 Nëntor 1908", "1954-present", "1960s",
+ * "500 BC") into structured start and end dates
+ */
+
+import { foldText } from './i18n.js';
+
+/**
+ * @typedef {Object} ExhibitDate
+ * @property {number} year - Year, negative before the common era
+ * @property {number|null} month - Month (1-12), or null when only the year is known
+ * @property {number|null} day - Day of the month, or null when unknown
+ */
+
+/**
+ * @typedef {Object} ExhibitDates
+ * @property {ExhibitDate} start - First date
+ * @property {ExhibitDate|null} end - Last date, null while ongoing
+ * @property {boolean} ongoing - True for ranges ending in "present"
+ */
+
+// Month names (folded) in English and Albanian, with common abbreviations
+const MONTHS = {
+  january: 1, jan: 1, janar: 1,
+  february: 2, feb: 2, shkurt: 2,
+  march: 3, mar: 3, mars: 3,
+  april: 4, apr: 4, prill: 4,
+  may: 5, maj: 5,
+  june: 6, jun: 6, qershor: 6,
+  july: 7, jul: 7, korrik: 7,
+  august: 8, aug: 8, gusht: 8,
+  september: 9, sep: 9, sept: 9, shtator: 9,
+  october: 10, oct: 10, tetor: 10,
+  november: 11, nov: 11, nentor: 11,
+  december: 12, dec: 12, dhjetor: 12
+};
+
+// Words marking a range that has not ended
+const PRESENT_WORDS = ['present', 'today', 'now', 'sot', 'tani'];
+
+// Range separators: hyphens and dashes, "to", "deri"
+const RANGE_SEPARATOR = /\s*[-‐-―]\s*|\s+(?:to|deri(?:\s+me)?)\s+/;
+
+// Era markers (folded): BC / BCE / p.e.s. / p.K. and AD / CE / e.s.
+const BC_MARKER = /(?:^|[^a-z])(?:b\.?\s?c\.?(?:\s?e\.?)?|p\.\s?e\.\s?s\.?|p\.\s?k\.?)(?![a-z])/;
+const AD_MARKER = /(?:^|[^a-z])(?:a\.?\s?d\.?|c\.?\s?e\.?|e\.\s?s\.?)(?![a-z])/;
+
+/**
+ * @typedef {Object} DatePart
+ * @property {number|null} year - Year as written (no era sign)
+ * @property {number|null} month - Month (1-12)
+ * @property {number|null} day - Day of the month
+ * @property {{value: number, digits: number}|null} short - Last number of one or two digits, which may be a shortened year ("68" in "1405-68")
+ * @property {number} span - Years covered: 10 for a decade ("1960s"), 100 for a century ("1900s"), otherwise 1
+ * @property {string|null} era - 'bc', 'ad', or null when not marked
+ * @property {boolean} present - True for "present" and the like
+ */
+
+/**
+ * Reads the year, month and day out of one side of a range
+ * Numbers of three or more digits are years, smaller ones days
+ * @param {string} text - Folded text
+ * @returns {DatePart} Parts found
+ */
+function parsePart(text) {
+  const part = { year: null, month: null, day: null, short: null, span: 1, era: null, present: false };
+  if (BC_MARKER.test(text)) {
+    part.era = 'bc';
+  } else if (AD_MARKER.test(text)) {
+    part.era = 'ad';
+  }
+
+  (text.match(/\d+s(?![a-z])|[a-z]+|\d+/g) || []).forEach(token => {
+    if (/^\d+s$/.test(token)) {
+      // Decades and centuries: "1960s", "1900s"
+      const value = Number(token.slice(0, -1));
+      if (token.length >= 5 && value % 10 === 0) {
+        part.year = value;
+        part.span = value % 100 === 0 ? 100 : 10;
+      }
+    } else if (/^\d+$/.test(token)) {
+      const value = Number(token);
+      if (token.length >= 3) {
+        part.year = value;
+      } else {
+        part.short = { value, digits: token.length };
+        if (value >= 1 && value <= 31) part.day = value;
+      }
+    } else if (token in MONTHS) {
+      part.month = MONTHS[token];
+    } else if (PRESENT_WORDS.includes(token)) {
+      part.present = true;
+    }
+  });
+
+  // With an era, short numbers are years too: "50 BC"
+  if (part.era && part.year === null && part.month === null && part.short) {
+    part.year = part.short.value;
+    part.day = null;
+  }
+
+  return part;
+}
+
+/**
+ * Builds a date, dropping a day that comes without a month
+ * @param {DatePart} part - Parsed parts
+ * @param {string|null} era - Era of the date
+ * @param {boolean} [atEnd=false] - Take the last year of a decade or century
+ * @returns {ExhibitDate} Date
+ */
+function toDate({ year, month, day, span }, era, atEnd = false) {
+  const last = atEnd ? year + span - 1 : year;
+  return { year: era === 'bc' ? -last : last, month: month || null, day: month ? day || null : null };
+}
+
+/**
+ * Parses a free-text `years` value
+ * Missing parts on the start side are taken from the end side, so
+ * "November 14-22, 1908" starts on November 14, 1908. An end year of one or
+ * two digits after a bare start year is shortened ("1405-68" ends in 1468),
+ * and an era marked only at the end covers both sides ("500-400 BC")
+ * @param {string} text - Years text in any supported language
+ * @returns {ExhibitDates|null} Structured dates, or null when no year is found
+ */
+export function parseYears(text) {
+  if (!text || typeof text !== 'string') return null;
+
+  const sides = foldText(text).split(RANGE_SEPARATOR).filter(side => side.trim());
+  if (sides.length === 0 || sides.length > 2) return null;
+
+  const first = parsePart(sides[0]);
+  const last = sides.length === 2 ? parsePart(sides[1]) : null;
+  const endEra = last ? last.era : first.era;
+  const startEra = first.era || (endEra === 'bc' ? 'bc' : null);
+
+  if (last && !last.present && last.year === null && last.month === null && last.short &&
+      first.year !== null && first.month === null && first.day === null && startEra !== 'bc') {
+    const base = 10 ** last.short.digits;
+    last.year = first.year - (first.year % base) + last.short.value;
+    if (last.year < first.year) last.year += base;
+    last.day = null;
+  }
+
+  if (last && !last.present) {
+    if (first.year === null) first.year = last.year;
+    if (first.month === null && first.year === last.year) first.month = last.month;
+    if (last.month === null && last.day !== null && first.year === last.year) last.month = first.month;
+  }
+
+  if (first.year === null) return null;
+  if (last && !last.present && last.year === null) return null;
+
+  const start = toDate(first, startEra);
+  if (!last) return { start, end: toDate(first, startEra, true), ongoing: false };
+  if (last.present) return { start, end: null, ongoing: true };
+  return { start, end: toDate(last, endEra, true), ongoing: false };
+}
+
+/**
+ * Parses the years of an exhibit, trying each language variant in turn
+ * @param {string|Object.<string, string>} years - Plain or localized years field
+ * @returns {ExhibitDates|null} Structured dates, or null when none can be read
+ */
+export function parseExhibitYears(years) {
+  const variants = years && typeof years === 'object' ? Object.values(years) : [years];
+  for (const variant of variants) {
+    const dates = parseYears(variant);
+    if (dates) return dates;
+  }
+  return null;
+}
+
+/**
+ * Sortable number for a date; unknown months and days sort first
+ * @param {ExhibitDate} date - Date
+ * @returns {number} Sort key
+ */
+export function dateKey(date) {
+  return date.year * 10000 + (date.month || 0) * 100 + (date.day || 0);
+}
+
+/**
+ * Fractional year for a date, for placing it on a time scale
+ * @param {ExhibitDate} date - Date
+ * @param {boolean} [atEnd=false] - Place a year-only date at the end of its year
+ * @returns {number} Year with fraction
+ */
+export function toFractionalYear(date, atEnd = false) {
+  if (!date.month) return date.year + (atEnd ? 1 : 0);
+  const day = date.day || (atEnd ? 31 : 1);
+  return date.year + ((date.month - 1) + Math.min(day, 31) / 31) / 12;
+}
+
+/**
+ * Orders exhibit dates chronologically by start, then by end
+ * Ongoing ranges sort after finished ones with the same start
+ * @param {ExhibitDates} a - First dates
+ * @param {ExhibitDates} b - Second dates
+ * @returns {number} Negative, zero or positive
+ */
+export function compareDates(a, b) {
+  const byStart = dateKey(a.start) - dateKey(b.start);
+  if (byStart !== 0) return byStart;
+  if (!a.end || !b.end) return (a.end ? 0 : 1) - (b.end ? 0 : 1);
+  return dateKey(a.end) - dateKey(b.end);
+}
+
+/**
+ * Portrait meshes in chronological order
+ * Exhibits without readable dates keep their room order at the end
+ * @param {THREE.Mesh[]} meshes - Portrait meshes with parsed `userData.dates`
+ * @returns {THREE.Mesh[]} Sorted copy
+ */
+export function chronologicalOrder(meshes) {
+  const dated = meshes.filter(mesh => mesh.userData.dates);
+  const undated = meshes.filter(mesh => !mesh.userData.dates);
+  dated.sort((a, b) => compareDates(a.userData.dates, b.userData.dates));
+  return [...dated, ...undated];
+}
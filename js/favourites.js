@@ -0,0 +1,229 @@
+/**
+ * FAVOURITES.JS - Favourite Exhibits
+ *
+ * @module favourites
+ * @description Lets visitors save exhibits, remembers them in localStorage and
+ * lists them in a drawer with thumbnails and a tour of the saved portraits
+ */
+
+import { exhibits } from './portraits.js';
+import { focusPortrait, startTour } from './interactions.js';
+import { getRoom } from './registry.js';
+import { t, localize } from './i18n.js';
+import { CONFIG } from './config.js';
+
+// DOM elements
+const drawerEl = document.getElementById('favourites-drawer');
+const listEl = document.getElementById('favourites-list');
+const emptyEl = document.getElementById('favourites-empty');
+const tourBtn = document.getElementById('favourites-tour');
+const closeBtn = document.getElementById('favourites-close');
+const favouritesBtn = document.getElementById('favourites-btn');
+const countEl = document.getElementById('favourites-count');
+
+// Saved exhibit names, in the order they were saved
+let saved = [];
+
+// ═══════════════════════════════════════════
+// STORAGE
+// ═══════════════════════════════════════════
+
+/**
+ * Reads the saved names from localStorage
+ * @returns {string[]} Exhibit names
+ */
+function loadSaved() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(CONFIG.favourites.storageKey) || '[]');
+    return Array.isArray(stored) ? stored.filter(name => typeof name === 'string') : [];
+  } catch (error) {
+    // Storage may be unavailable (private mode) or hold something else
+    return [];
+  }
+}
+
+/**
+ * Writes the saved names to localStorage
+ */
+function storeSaved() {
+  try {
+    localStorage.setItem(CONFIG.favourites.storageKey, JSON.stringify(saved));
+  } catch (error) {
+    console.warn('[Favourites] Could not save favourites', error);
+  }
+}
+
+// ═══════════════════════════════════════════
+// FAVOURITES
+// ═══════════════════════════════════════════
+
+/**
+ * Whether an exhibit is saved
+ * @param {THREE.Mesh} mesh - Portrait mesh
+ * @returns {boolean} True for favourites
+ */
+export function isFavourite(mesh) {
+  return saved.includes(mesh.userData.name);
+}
+
+/**
+ * Saved portraits that are on display, in the order they were saved
+ * Names of exhibits no longer in the museum are kept for when they return
+ * @returns {THREE.Mesh[]} Portrait meshes
+ */
+export function getFavouriteExhibits() {
+  return saved
+    .map(name => exhibits.find(mesh => mesh.userData.name === name))
+    .filter(Boolean);
+}
+
+/**
+ * Saves or removes an exhibit
+ * Fires 'museum:favouriteschange'
+ * @param {THREE.Mesh} mesh - Portrait mesh
+ * @returns {boolean} True when the exhibit is now a favourite
+ */
+export function toggleFavourite(mesh) {
+  const name = mesh.userData.name;
+  if (saved.includes(name)) {
+    saved = saved.filter(savedName => savedName !== name);
+  } else {
+    saved = [...saved, name];
+  }
+  storeSaved();
+  window.dispatchEvent(new CustomEvent('museum:favouriteschange', { detail: { name } }));
+  return saved.includes(name);
+}
+
+// ═══════════════════════════════════════════
+// DRAWER
+// ═══════════════════════════════════════════
+
+/**
+ * Small copy of a portrait's canvas texture
+ * @param {THREE.Mesh} mesh - Portrait mesh
+ * @returns {HTMLCanvasElement} Thumbnail canvas
+ */
+function createThumbnail(mesh) {
+  const { width, height } = CONFIG.favourites.thumbnail;
+  const thumbnail = document.createElement('canvas');
+  thumbnail.className = 'favourite-thumbnail';
+  thumbnail.width = width * 2; // Sharp on high-density screens
+  thumbnail.height = height * 2;
+
+  const source = mesh.material.map && mesh.material.map.image;
+  if (source) {
+    try {
+      thumbnail.getContext('2d').drawImage(source, 0, 0, thumbnail.width, thumbnail.height);
+    } catch (error) {
+      console.warn('[Favourites] Could not draw thumbnail', error);
+    }
+  }
+  return thumbnail;
+}
+
+/**
+ * Builds one drawer entry
+ * @param {THREE.Mesh} mesh - Portrait mesh
+ * @returns {HTMLLIElement} Entry
+ */
+function createEntry(mesh) {
+  const data = mesh.userData;
+  const room = getRoom(data.roomId);
+
+  const item = document.createElement('li');
+  item.className = 'favourite-item';
+
+  const open = document.createElement('button');
+  open.type = 'button';
+  open.className = 'favourite-open';
+
+  const text = document.createElement('span');
+  text.className = 'favourite-text';
+  const name = document.createElement('span');
+  name.className = 'favourite-name';
+  name.textContent = localize(data.label);
+  const meta = document.createElement('span');
+  meta.className = 'favourite-meta';
+  meta.textContent = [room ? localize(room.name) : '', localize(data.years)].filter(Boolean).join(' · ');
+  text.append(name, meta);
+
+  open.append(createThumbnail(mesh), text);
+  open.addEventListener('click', () => {
+    toggleDrawer(false);
+    focusPortrait(mesh);
+  });
+
+  const remove = document.createElement('button');
+  remove.type = 'button';
+  remove.className = 'favourite-remove';
+  remove.title = t('favourites.remove');
+  remove.setAttribute('aria-label', t('favourites.remove'));
+  remove.textContent = '×';
+  remove.addEventListener('click', () => toggleFavourite(mesh));
+
+  item.append(open, remove);
+  return item;
+}
+
+/**
+ * Renders the drawer and the count on the title-bar button
+ */
+function renderDrawer() {
+  const favourites = getFavouriteExhibits();
+
+  if (countEl) {
+    countEl.textContent = String(favourites.length);
+    countEl.hidden = favourites.length === 0;
+  }
+  if (!drawerEl || drawerEl.hidden) return;
+
+  listEl.replaceChildren(...favourites.map(createEntry));
+  if (emptyEl) emptyEl.hidden = favourites.length > 0;
+  if (tourBtn) tourBtn.disabled = favourites.length === 0;
+}
+
+/**
+ * Opens or closes the favourites drawer
+ * @param {boolean} [open] - New state, toggles when omitted
+ */
+export function toggleDrawer(open = drawerEl && drawerEl.hidden) {
+  if (!drawerEl) return;
+  drawerEl.hidden = !open;
+  if (favouritesBtn) favouritesBtn.setAttribute('aria-expanded', String(!!open));
+  renderDrawer();
+}
+
+/**
+ * Loads saved favourites and wires up the drawer
+ */
+export function initFavourites() {
+  saved = loadSaved();
+  if (!drawerEl || !listEl) return;
+
+  if (favouritesBtn) {
+    favouritesBtn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      toggleDrawer();
+    });
+  }
+  if (closeBtn) closeBtn.addEventListener('click', () => toggleDrawer(false));
+  if (tourBtn) {
+    tourBtn.addEventListener('click', () => {
+      toggleDrawer(false);
+      startTour({ stops: getFavouriteExhibits(), counterNote: 'counter.favourites' });
+    });
+  }
+
+  // Keys and clicks inside the drawer stay out of the museum's own handlers
+  drawerEl.addEventListener('keydown', (e) => {
+    e.stopPropagation();
+    if (e.key === 'Escape') toggleDrawer(false);
+  });
+  drawerEl.addEventListener('click', e => e.stopPropagation());
+
+  window.addEventListener('museum:favouriteschange', renderDrawer);
+  window.addEventListener('museum:localechange', renderDrawer);
+  window.addEventListener('museum:exhibitchange', renderDrawer);
+  renderDrawer();
+}
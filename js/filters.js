@@ -0,0 +1,189 @@
+/**
+ * FILTERS.JS - Exhibit Tag Filter
+ *
+ * @module filters
+ * @description Filter panel that picks exhibits by tag across all rooms,
+ * dimming the portraits that do not match and highlighting those that do
+ */
+
+import { exhibits } from './portraits.js';
+import { TAGS, getTag } from './registry.js';
+import { t, localize } from './i18n.js';
+
+// DOM elements
+const panelEl = document.getElementById('filter-panel');
+const tagsEl = document.getElementById('filter-tags');
+const summaryEl = document.getElementById('filter-summary');
+const clearBtn = document.getElementById('filter-clear');
+const filterBtn = document.getElementById('filter-btn');
+
+// State
+let museum = null;
+const activeTags = new Set();
+
+// ═══════════════════════════════════════════
+// MATCHING
+// ═══════════════════════════════════════════
+
+/**
+ * Whether any tag is selected
+ * @returns {boolean} True while the filter narrows the exhibits
+ */
+export function isFilterActive() {
+  return activeTags.size > 0;
+}
+
+/**
+ * Whether a portrait passes the filter
+ * Exhibits match when they carry any of the selected tags
+ * @param {THREE.Mesh} mesh - Portrait mesh
+ * @returns {boolean} True when the portrait matches (always true without a filter)
+ */
+export function matchesFilter(mesh) {
+  if (!isFilterActive()) return true;
+  return (mesh.userData.tags || []).some(tag => activeTags.has(tag));
+}
+
+/**
+ * Portraits that pass the filter, in exhibit order
+ * @returns {THREE.Mesh[]} Matching portrait meshes (all of them without a filter)
+ */
+export function getFilteredExhibits() {
+  return exhibits.filter(matchesFilter);
+}
+
+/**
+ * Tags used by the current exhibits, registry tags first
+ * @returns {{id: string, count: number}[]} Tag ids with their exhibit counts
+ */
+function usedTags() {
+  const counts = new Map();
+  exhibits.forEach(mesh => {
+    (mesh.userData.tags || []).forEach(tag => counts.set(tag, (counts.get(tag) || 0) + 1));
+  });
+
+  const known = TAGS.map(tag => tag.id).filter(id => counts.has(id));
+  const other = [...counts.keys()].filter(id => !getTag(id)).sort();
+  return [...known, ...other].map(id => ({ id, count: counts.get(id) }));
+}
+
+/**
+ * Display name of a tag; unknown tags are shown as written
+ * @param {string} tagId - Tag identifier
+ * @returns {string} Localized name
+ */
+function tagName(tagId) {
+  const tag = getTag(tagId);
+  return tag ? localize(tag.name) : tagId;
+}
+
+// ═══════════════════════════════════════════
+// FILTER STATE
+// ═══════════════════════════════════════════
+
+/**
+ * Re-applies the filter to the scene and tells the rest of the app
+ * Fires 'museum:filterchange' with the matching meshes (null when cleared)
+ */
+function applyFilter() {
+  if (museum) museum.applyFilter(isFilterActive() ? matchesFilter : null);
+  if (filterBtn) filterBtn.classList.toggle('filtering', isFilterActive());
+  renderPanel();
+
+  const matches = isFilterActive() ? getFilteredExhibits() : null;
+  window.dispatchEvent(new CustomEvent('museum:filterchange', { detail: { matches } }));
+}
+
+/**
+ * Selects or deselects a tag
+ * @param {string} tagId - Tag identifier
+ */
+export function toggleTag(tagId) {
+  if (activeTags.has(tagId)) {
+    activeTags.delete(tagId);
+  } else {
+    activeTags.add(tagId);
+  }
+  applyFilter();
+}
+
+/**
+ * Removes every selected tag
+ */
+export function clearFilter() {
+  if (!isFilterActive()) return;
+  activeTags.clear();
+  applyFilter();
+}
+
+// ═══════════════════════════════════════════
+// PANEL
+// ═══════════════════════════════════════════
+
+/**
+ * Renders the tag chips and the match summary
+ */
+function renderPanel() {
+  if (!panelEl || !tagsEl) return;
+
+  tagsEl.replaceChildren(...usedTags().map(({ id, count }) => {
+    const chip = document.createElement('button');
+    chip.type = 'button';
+    chip.className = 'filter-chip';
+    chip.setAttribute('aria-pressed', String(activeTags.has(id)));
+
+    const name = document.createElement('span');
+    name.textContent = tagName(id);
+    const countEl = document.createElement('span');
+    countEl.className = 'filter-count';
+    countEl.textContent = String(count);
+
+    chip.append(name, countEl);
+    chip.addEventListener('click', () => toggleTag(id));
+    return chip;
+  }));
+
+  if (summaryEl) {
+    summaryEl.textContent = isFilterActive()
+      ? t('filter.summary', { matches: getFilteredExhibits().length, total: exhibits.length })
+      : t('filter.hint');
+  }
+  if (clearBtn) clearBtn.disabled = !isFilterActive();
+}
+
+/**
+ * Shows or hides the filter panel
+ * @param {boolean} [open] - New state, toggles when omitted
+ */
+export function toggleFilterPanel(open = panelEl && panelEl.hidden) {
+  if (!panelEl) return;
+  panelEl.hidden = !open;
+  if (filterBtn) filterBtn.setAttribute('aria-expanded', String(!!open));
+  if (open) renderPanel();
+}
+
+/**
+ * Wires up the filter panel for a built museum
+ * @param {Object} museumInstance - The built museum
+ */
+export function initFilters(museumInstance) {
+  museum = museumInstance;
+  if (!panelEl || !tagsEl) return;
+
+  if (filterBtn) {
+    filterBtn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      toggleFilterPanel();
+    });
+  }
+  if (clearBtn) clearBtn.addEventListener('click', clearFilter);
+
+  // Keys and clicks inside the panel stay out of the museum's own handlers
+  panelEl.addEventListener('keydown', (e) => {
+    e.stopPropagation();
+    if (e.key === 'Escape') toggleFilterPanel(false);
+  });
+  panelEl.addEventListener('click', e => e.stopPropagation());
+
+  window.addEventListener('museum:localechange', renderPanel);
+}
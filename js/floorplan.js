@@ -0,0 +1,290 @@
+/**
+ * FLOORPLAN.JS - Floor Plan Generator
+ *
+ * @module floorplan
+ * @description Places gallery rooms around the hallway for a chosen plan
+ * style and derives hallway floors, carpet runners and rope barriers
+ */
+
+import { CONFIG } from './config.js';
+
+/**
+ * @typedef {Object} FloorStrip
+ * @property {number} x - Centre X
+ * @property {number} z - Centre Z
+ * @property {number} width - Size across the strip
+ * @property {number} length - Size along the strip
+ * @property {boolean} alongX - True when the strip runs along the X axis
+ */
+
+/**
+ * @typedef {Object} FloorPlan
+ * @property {string} style - 'corridor', 'ring' or 'wings'
+ * @property {Object.<string, {position: {x: number, z: number}, facing: string}>} rooms - Placement per room id
+ * @property {FloorStrip[]} hallways - Hallway floor strips
+ * @property {FloorStrip[]} carpets - Carpet runners (drawn with gold borders)
+ * @property {{x: number, z: number, length: number, rotationY: number}[]} barriers - Hallway rope barriers
+ * @property {{x: number, z: number}} monument - Eagle monument position
+ */
+
+export const PLAN_STYLES = ['corridor', 'ring', 'wings'];
+
+/**
+ * Hallway strip between two points on one axis
+ * @param {number} x1 - Start X
+ * @param {number} z1 - Start Z
+ * @param {number} x2 - End X (equal to x1 for strips along Z)
+ * @param {number} z2 - End Z (equal to z1 for strips along X)
+ * @param {number} width - Strip width
+ * @returns {FloorStrip} The strip
+ */
+function strip(x1, z1, x2, z2, width) {
+  const alongX = z1 === z2;
+  return {
+    x: (x1 + x2) / 2,
+    z: (z1 + z2) / 2,
+    width,
+    length: alongX ? Math.abs(x2 - x1) : Math.abs(z2 - z1),
+    alongX
+  };
+}
+
+/**
+ * Carpet runner along the middle of a hallway strip
+ * @param {FloorStrip} hallway - Hallway strip
+ * @returns {FloorStrip} Carpet strip, slightly shorter than the hallway
+ */
+function carpetFor(hallway) {
+  return {
+    ...hallway,
+    width: CONFIG.floorPlan.carpetWidth,
+    length: Math.max(0, hallway.length - CONFIG.floorPlan.carpetInset * 2)
+  };
+}
+
+/**
+ * Square of rope barriers around the eagle monument
+ * @param {{x: number, z: number}} monument - Monument position
+ * @returns {Object[]} Barriers
+ */
+function monumentBarriers(monument) {
+  const { halfWidth, halfDepth } = CONFIG.floorPlan.monumentBarrier;
+  return [
+    { x: monument.x, z: monument.z + halfDepth, length: halfWidth * 2, rotationY: 0 },          // Front
+    { x: monument.x, z: monument.z - halfDepth, length: halfWidth * 2, rotationY: 0 },          // Back
+    { x: monument.x - halfWidth, z: monument.z, length: halfDepth * 2, rotationY: Math.PI / 2 }, // Left
+    { x: monument.x + halfWidth, z: monument.z, length: halfDepth * 2, rotationY: Math.PI / 2 }  // Right
+  ];
+}
+
+// ─────────────────────────────────────────────
+// CORRIDOR: rooms on both sides of a straight hallway
+// ─────────────────────────────────────────────
+function corridorPlan(rooms) {
+  const { corridorWidth, hallwayOverlap, roomGap, entranceGap, endMargin, startZ } = CONFIG.floorPlan;
+  const roomSize = CONFIG.room.depth;
+  const pitch = roomSize + roomGap;
+  const leftCount = Math.ceil(rooms.length / 2);
+  const rows = Math.max(leftCount, 1);
+  const firstZ = startZ - entranceGap - roomSize / 2;
+  const sideX = corridorWidth / 2 + roomSize / 2;
+
+  // First half of the rooms on the left, the rest on the right
+  const placements = {};
+  rooms.forEach((room, i) => {
+    const left = i < leftCount;
+    const row = left ? i : i - leftCount;
+    placements[room.id] = {
+      position: { x: left ? -sideX : sideX, z: firstZ - row * pitch },
+      facing: left ? 'right' : 'left'
+    };
+  });
+
+  const endZ = firstZ - (rows - 1) * pitch - roomSize / 2 - endMargin;
+  const hallway = strip(0, startZ, 0, endZ, corridorWidth + hallwayOverlap * 2);
+  const monument = { x: 0, z: firstZ - (rows - 1) * pitch / 2 };
+
+  return {
+    rooms: placements,
+    hallways: [hallway],
+    carpets: [carpetFor(hallway)],
+    monument
+  };
+}
+
+// ─────────────────────────────────────────────
+// RING: a square loop around the eagle monument
+// ─────────────────────────────────────────────
+function ringPlan(rooms) {
+  const { corridorWidth, hallwayOverlap, roomGap, startZ, minIsland } = CONFIG.floorPlan;
+  const roomSize = CONFIG.room.depth;
+  const pitch = roomSize + roomGap;
+
+  // North side takes a third, west and east share the rest
+  const northCount = Math.round(rooms.length / 3);
+  const westCount = Math.ceil((rooms.length - northCount) / 2);
+  const eastCount = rooms.length - northCount - westCount;
+
+  // Loop centreline: x from -halfX to halfX, z from northZ to southZ
+  const sideRows = Math.max(westCount, eastCount);
+  const spanX = Math.max(northCount * pitch, minIsland + corridorWidth);
+  const spanZ = Math.max(sideRows * pitch, minIsland + corridorWidth);
+  const halfX = spanX / 2;
+  const southZ = startZ - corridorWidth / 2;
+  const northZ = southZ - spanZ;
+  const roomOffset = corridorWidth / 2 + roomSize / 2;
+
+  // Centre n rows of rooms over a span
+  const rowOffsets = (n, span) => Array.from({ length: n }, (_, i) => -span / 2 + (span - n * pitch) / 2 + pitch * (i + 0.5));
+
+  const placements = {};
+  const west = rooms.slice(0, westCount);
+  const north = rooms.slice(westCount, westCount + northCount);
+  const east = rooms.slice(westCount + northCount);
+
+  // Walk the loop clockwise from the entrance: up the west side, across the north, down the east
+  rowOffsets(west.length, spanZ).reverse().forEach((offset, i) => {
+    placements[west[i].id] = { position: { x: -halfX - roomOffset, z: (southZ + northZ) / 2 + offset }, facing: 'right' };
+  });
+  rowOffsets(north.length, spanX).forEach((offset, i) => {
+    placements[north[i].id] = { position: { x: offset, z: northZ - roomOffset }, facing: 'front' };
+  });
+  rowOffsets(east.length, spanZ).forEach((offset, i) => {
+    placements[east[i].id] = { position: { x: halfX + roomOffset, z: (southZ + northZ) / 2 + offset }, facing: 'left' };
+  });
+
+  const width = corridorWidth + hallwayOverlap * 2;
+  const hallways = [
+    strip(-halfX - width / 2, southZ, halfX + width / 2, southZ, width), // South (entrance side)
+    strip(-halfX - width / 2, northZ, halfX + width / 2, northZ, width), // North
+    strip(-halfX, southZ + width / 2, -halfX, northZ - width / 2, width), // West
+    strip(halfX, southZ + width / 2, halfX, northZ - width / 2, width)    // East
+  ];
+
+  // Carpets run along the loop centreline, meeting at the corners
+  const carpetWidth = CONFIG.floorPlan.carpetWidth;
+  const carpets = [
+    strip(-halfX - carpetWidth / 2, southZ, halfX + carpetWidth / 2, southZ, carpetWidth),
+    strip(-halfX - carpetWidth / 2, northZ, halfX + carpetWidth / 2, northZ, carpetWidth),
+    strip(-halfX, southZ - carpetWidth / 2, -halfX, northZ + carpetWidth / 2, carpetWidth),
+    strip(halfX, southZ - carpetWidth / 2, halfX, northZ + carpetWidth / 2, carpetWidth)
+  ];
+
+  // The island inside the loop is the monument plaza
+  const island = strip(0, southZ - width / 2, 0, northZ + width / 2, spanX - width);
+
+  return {
+    rooms: placements,
+    hallways: [...hallways, island],
+    carpets,
+    monument: { x: 0, z: (southZ + northZ) / 2 }
+  };
+}
+
+// ─────────────────────────────────────────────
+// WINGS: a central spine with cross wings, eagle at the head
+// ─────────────────────────────────────────────
+function wingsPlan(rooms, depths) {
+  const { corridorWidth, hallwayOverlap, roomGap, entranceGap, startZ, monumentBay } = CONFIG.floorPlan;
+  const roomSize = CONFIG.room.depth;
+  const depthOf = room => Math.max(roomSize, depths[room.id] || roomSize);
+
+  // Four rooms per wing: south side of the wing first, then north
+  const slots = [
+    { side: -1, north: false },
+    { side: 1, north: false },
+    { side: -1, north: true },
+    { side: 1, north: true }
+  ];
+  const wings = [];
+  for (let i = 0; i < rooms.length; i += slots.length) {
+    wings.push(rooms.slice(i, i + slots.length));
+  }
+
+  const placements = {};
+  const wingZs = [];
+  const roomX = corridorWidth / 2 + roomGap / 2 + roomSize / 2;
+  let previousNorthDepth = 0;
+  let z = startZ - entranceGap;
+
+  wings.forEach((wingRooms, w) => {
+    const southDepth = Math.max(0, ...wingRooms.filter((_, i) => !slots[i].north).map(depthOf));
+    const northDepth = Math.max(0, ...wingRooms.filter((_, i) => slots[i].north).map(depthOf));
+
+    // Leave room for the deepest south rooms of this wing and north rooms of the previous one
+    z -= (w === 0 ? 0 : previousNorthDepth + roomGap) + southDepth + corridorWidth / 2;
+    wingZs.push(z);
+
+    wingRooms.forEach((room, i) => {
+      const { side, north } = slots[i];
+      const offset = corridorWidth / 2 + roomSize / 2;
+      placements[room.id] = {
+        position: { x: side * roomX, z: north ? z - offset : z + offset },
+        facing: north ? 'front' : 'back'
+      };
+    });
+
+    z -= corridorWidth / 2;
+    previousNorthDepth = northDepth;
+  });
+
+  const lastWingZ = wingZs.length > 0 ? wingZs[wingZs.length - 1] : startZ - entranceGap;
+  const monument = { x: 0, z: lastWingZ - Math.max(previousNorthDepth, monumentBay) };
+  const endZ = monument.z - monumentBay / 2;
+  const width = corridorWidth + hallwayOverlap * 2;
+  const armX = roomX + roomSize / 2 + hallwayOverlap;
+
+  const spine = strip(0, startZ, 0, endZ, width);
+  const wingStrips = wingZs.map(wingZ => strip(-armX, wingZ, armX, wingZ, width));
+
+  return {
+    rooms: placements,
+    hallways: [spine, ...wingStrips],
+    carpets: [carpetFor(spine), ...wingStrips.map(carpetFor)],
+    monument
+  };
+}
+
+const PLANNERS = {
+  corridor: corridorPlan,
+  ring: ringPlan,
+  wings: wingsPlan
+};
+
+/**
+ * Generates a floor plan for the given gallery rooms
+ * @param {Object[]} rooms - Gallery room definitions, in registry order
+ * @param {Object.<string, number>} [depths={}] - Depth each room needs for its exhibits
+ * @param {string} [style=CONFIG.floorPlan.style] - Plan style
+ * @returns {FloorPlan} The floor plan
+ */
+export function generateFloorPlan(rooms, depths = {}, style = CONFIG.floorPlan.style) {
+  let planStyle = style;
+  if (!PLANNERS[planStyle]) {
+    console.warn(`Unknown floor plan style "${style}", using corridor`);
+    planStyle = 'corridor';
+  }
+
+  const plan = PLANNERS[planStyle](rooms, depths);
+
+  return {
+    style: planStyle,
+    ...plan,
+    barriers: monumentBarriers(plan.monument)
+  };
+}
+
+/**
+ * Applies generated positions and facings to the room definitions
+ * @param {FloorPlan} plan - Floor plan
+ * @param {Object[]} rooms - Room definitions to update
+ */
+export function applyFloorPlan(plan, rooms) {
+  rooms.forEach(room => {
+    const placement = plan.rooms[room.id];
+    if (placement) {
+      room.position = { ...placement.position };
+      room.facing = placement.facing;
+    }
+  });
+}
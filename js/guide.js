@@ -0,0 +1,296 @@
+/**
+ * GUIDE.JS - Spoken Audio Guide
+ *
+ * @module guide
+ * @description Narrates the focused portrait while the audio guide is on:
+ * plays the exhibit's narration file, or reads its achievement and quote
+ * aloud with speech synthesis, ducking music and room ambience meanwhile
+ */
+
+import { t, localize, getLocale } from './i18n.js';
+import { loadCaptionTrack, generateCues, playCaptions, stopCaptions } from './captions.js';
+import { duckSoundscape } from './soundscape.js';
+import { CONFIG } from './config.js';
+
+// DOM elements
+const guideBtn = document.getElementById('guide-btn');
+
+const speechSupported = typeof window.speechSynthesis !== 'undefined' && typeof window.SpeechSynthesisUtterance !== 'undefined';
+
+// State
+let enabled = false;
+let narration = null; // { mesh, status: 'playing' | 'ended', audio, utterance, speech }
+
+// ═══════════════════════════════════════════
+// NARRATION
+// ═══════════════════════════════════════════
+
+/**
+ * Text read aloud for an exhibit without a narration file
+ * @param {Object} data - Portrait userData
+ * @returns {string} Name, achievement and quote in the current language
+ */
+function narrationText(data) {
+  return [localize(data.label), localize(data.achievement), localize(data.quote)]
+    .filter(Boolean)
+    .map(text => text.trim())
+    .map(text => (/[.!?…"'”»]$/.test(text) ? text : `${text}.`)) // Pause between the parts
+    .join(' ');
+}
+
+/**
+ * Best installed voice for the current language
+ * @returns {SpeechSynthesisVoice|null} Voice, or null for the browser default
+ */
+function pickVoice() {
+  const lang = CONFIG.guide.speechLanguages[getLocale()] || getLocale();
+  const voices = window.speechSynthesis.getVoices();
+  return voices.find(voice => voice.lang === lang) ||
+    voices.find(voice => voice.lang.split('-')[0] === lang.split('-')[0]) ||
+    null;
+}
+
+/**
+ * Marks the current narration as finished and brings the sound back up
+ * Fires 'museum:narrationend' with { portrait }
+ * @param {Object} current - Narration that ended
+ */
+function finishNarration(current) {
+  if (narration !== current || current.status === 'ended') return;
+  current.status = 'ended';
+  stopCaptions();
+  duckSoundscape(false);
+  window.dispatchEvent(new CustomEvent('museum:narrationend', { detail: { portrait: current.mesh } }));
+}
+
+/**
+ * Reads the exhibit's text aloud
+ * @param {Object} current - Narration being started
+ * @returns {boolean} True when speech started
+ */
+function speak(current) {
+  const text = narrationText(current.mesh.userData);
+  if (!speechSupported || !text) return false;
+
+  const utterance = new SpeechSynthesisUtterance(text);
+  const voice = pickVoice();
+  if (voice) utterance.voice = voice;
+  utterance.lang = voice ? voice.lang : (CONFIG.guide.speechLanguages[getLocale()] || getLocale());
+  utterance.rate = CONFIG.guide.speechRate;
+  utterance.onend = () => finishNarration(current);
+  
+  // Captions follow word boundaries where the voice reports them,
+  // and estimated timings (paused time excluded) where it does not
+  const speech = { startedAt: null, pausedAt: null, pausedFor: 0, charIndex: null };
+  current.speech = speech;
+  utterance.onstart = () => { speech.startedAt = performance.now(); };
+  utterance.onboundary = (event) => { speech.charIndex = event.charIndex; };
+  playCaptions(generateCues(text, { rate: CONFIG.guide.speechRate }), () => {
+    if (speech.charIndex !== null) return { char: speech.charIndex };
+    if (speech.startedAt === null) return { time: -1 };
+    const now = speech.pausedAt || performance.now();
+    return { time: (now - speech.startedAt - speech.pausedFor) / 1000 };
+  });
+  utterance.onerror = (event) => {
+    // Cancelling for the next portrait reports 'interrupted'; anything else is a real failure
+    if (event.error !== 'interrupted' && event.error !== 'canceled') {
+      console.warn('[Guide] Speech synthesis failed:', event.error);
+    }
+    finishNarration(current);
+  };
+
+  current.utterance = utterance;
+  window.speechSynthesis.cancel();
+  window.speechSynthesis.resume(); // A tour paused mid-sentence leaves the queue paused
+  window.speechSynthesis.speak(utterance);
+  return true;
+}
+
+/**
+ * Plays the exhibit's narration file, falling back to speech when it fails
+ * @param {Object} current - Narration being started
+ * @param {string} src - Audio file URL
+ */
+function playFile(current, src) {
+  const audio = new Audio(src);
+  current.audio = audio;
+  audio.addEventListener('ended', () => finishNarration(current));
+  captionFile(current, audio);
+  audio.addEventListener('error', () => {
+    if (narration !== current) return;
+    console.warn(`[Guide] Narration "${src}" unavailable, reading the text instead`);
+    current.audio = null;
+    if (!speak(current)) finishNarration(current);
+  });
+  audio.play().catch(error => {
+    // Autoplay refusals surface here; load errors are handled above
+    if (error.name === 'NotAllowedError') {
+      console.warn('[Guide] Narration blocked until the page is clicked');
+      finishNarration(current);
+    }
+  });
+}
+
+/**
+ * Captions a narration file from the exhibit's WebVTT track, or from
+ * its text spread over the length of the recording
+ * @param {Object} current - Narration being started
+ * @param {HTMLAudioElement} audio - Narration audio
+ */
+function captionFile(current, audio) {
+  const data = current.mesh.userData;
+  const position = () => ({ time: audio.currentTime });
+  const show = (cues) => {
+    if (narration === current && current.audio === audio && current.status === 'playing') playCaptions(cues, position);
+  };
+
+  const track = localize(data.captions);
+  if (track) {
+    loadCaptionTrack(track).then(show);
+  } else {
+    audio.addEventListener('loadedmetadata', () => {
+      show(generateCues(narrationText(data), { duration: audio.duration }));
+    }, { once: true });
+  }
+}
+
+/**
+ * Stops whatever is being narrated
+ */
+export function stopNarration() {
+  const current = narration;
+  narration = null;
+  if (!current) return;
+
+  if (current.audio) current.audio.pause();
+  if (current.utterance && speechSupported) window.speechSynthesis.cancel();
+  stopCaptions();
+  if (current.status === 'playing') duckSoundscape(false);
+}
+
+/**
+ * Narrates a portrait, replacing any narration in progress
+ * @param {THREE.Mesh} mesh - Portrait mesh
+ */
+export function playNarration(mesh) {
+  stopNarration();
+  if (!enabled || !mesh) return;
+
+  try {
+    const current = { mesh, status: 'playing', audio: null, utterance: null };
+    narration = current;
+
+    const src = localize(mesh.userData.narration);
+    if (src) {
+      playFile(current, src);
+    } else if (!speak(current)) {
+      narration = null;
+      return;
+    }
+    duckSoundscape(true);
+  } catch (error) {
+    console.error('[Guide]', error);
+    narration = null;
+  }
+}
+
+/**
+ * Pauses or resumes the current narration (the tour's pause button)
+ * @param {boolean} paused - New state
+ */
+export function pauseNarration(paused) {
+  if (!narration || narration.status !== 'playing') return;
+  if (narration.audio) {
+    if (paused) {
+      narration.audio.pause();
+    } else {
+      narration.audio.play().catch(() => {});
+    }
+  } else if (speechSupported) {
+    const { speech } = narration;
+    if (paused) {
+      window.speechSynthesis.pause();
+      if (speech && !speech.pausedAt) speech.pausedAt = performance.now();
+    } else {
+      window.speechSynthesis.resume();
+      if (speech && speech.pausedAt) {
+        speech.pausedFor += performance.now() - speech.pausedAt;
+        speech.pausedAt = null;
+      }
+    }
+  }
+}
+
+/**
+ * How narration of a portrait is going
+ * @param {THREE.Mesh} mesh - Portrait mesh
+ * @returns {'playing'|'ended'|null} Status, null when the portrait is not being narrated
+ */
+export function narrationStatus(mesh) {
+  return narration && narration.mesh === mesh ? narration.status : null;
+}
+
+// ═══════════════════════════════════════════
+// GUIDE MODE
+// ═══════════════════════════════════════════
+
+/**
+ * Whether the audio guide is on
+ * @returns {boolean} True while portraits are narrated
+ */
+export function isGuideEnabled() {
+  return enabled;
+}
+
+/**
+ * Turns the audio guide on or off; the choice is remembered
+ * @param {boolean} [on] - New state, toggles when omitted
+ */
+export function toggleGuide(on = !enabled) {
+  enabled = on;
+  if (!enabled) stopNarration();
+  if (enabled && !speechSupported) {
+    console.warn('[Guide] Speech synthesis unavailable; only exhibits with narration files will be narrated');
+  }
+
+  try {
+    localStorage.setItem(CONFIG.guide.storageKey, enabled ? 'on' : 'off');
+  } catch (error) {
+    // Storage may be unavailable (private mode)
+  }
+  updateGuideButton();
+}
+
+function updateGuideButton() {
+  if (!guideBtn) return;
+  guideBtn.setAttribute('aria-pressed', String(enabled));
+  guideBtn.classList.toggle('playing', enabled);
+  guideBtn.title = t(enabled ? 'guide.off' : 'guide.on');
+}
+
+/**
+ * Restores the guide setting and narrates portraits as they are focused
+ */
+export function initGuide() {
+  try {
+    enabled = localStorage.getItem(CONFIG.guide.storageKey) === 'on';
+  } catch (error) {
+    enabled = false;
+  }
+
+  if (guideBtn) {
+    guideBtn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      toggleGuide();
+    });
+  }
+  updateGuideButton();
+
+  window.addEventListener('museum:focus', e => playNarration(e.detail.portrait));
+  window.addEventListener('museum:blur', stopNarration);
+  window.addEventListener('museum:localechange', () => {
+    // Narration in the old language stops; the button follows the new one
+    stopNarration();
+    updateGuideButton();
+  });
+}
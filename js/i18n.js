@@ -0,0 +1,302 @@
+/**
+ * I18N.JS - Localization
+ *
+ * @module i18n
+ * @description UI strings, localized exhibit fields and the runtime language switch
+ */
+
+import { CONFIG } from './config.js';
+
+/**
+ * Supported locales, in language toggle order
+ * @type {string[]}
+ */
+export const LOCALES = ['en', 'sq'];
+
+// ═══════════════════════════════════════════
+// UI STRINGS
+// ═══════════════════════════════════════════
+const STRINGS = {
+  en: {
+    'app.title': 'The Albanian Hall of Legacy',
+    'title.heading': 'THE ALBANIAN HALL OF LEGACY',
+    'title.subtitle': 'Virtual Museum',
+    'loading.text': 'ALBANIAN HALL OF LEGACY',
+    'tour.start': 'Start Tour',
+    'tour.stop': 'Stop Tour',
+    'tour.pause': 'Pause tour (Space)',
+    'tour.resume': 'Resume tour (Space)',
+    'tour.previous': 'Previous stop (←)',
+    'tour.next': 'Next stop (→)',
+    'tour.speed': 'Tour speed',
+    'tour.position': 'Stop {current} of {total}',
+    'tour.remaining': '{seconds} s left',
+    'tour.travelling': 'On the way…',
+    'tour.paused': 'Paused',
+    'tour.narrating': 'Listening…',
+    'guide.on': 'Turn on the audio guide',
+    'guide.off': 'Turn off the audio guide',
+    'walk.on': 'Walk through the museum (F)',
+    'walk.off': 'Stop walking (F)',
+    'minimap.toggle': 'Show or hide the map (M)',
+    'minimap.title': 'Click a room to go there, or a dot to see the exhibit',
+    'sound.toggle': 'Mute or unmute sound',
+    'sound.volume': 'Volume',
+    'station.title': 'Listening station',
+    'station.play': 'Play clip',
+    'station.pause': 'Pause clip',
+    'station.position': 'Clip position',
+    'station.unavailable': 'Clip unavailable',
+    'sound.unavailable': 'Audio unavailable',
+    'lang.toggle': 'Language: English (switch to Albanian)',
+    'counter.portrait': 'Portrait',
+    'info.unknown': 'Unknown',
+    'info.wiki': 'Learn More on Wikipedia',
+    'info.imageCredit': 'Image',
+    'info.connections': 'Connections',
+    'info.tourHint': 'Auto Tour • Press ESC to exit',
+    'info.focusHint': 'Press ESC to exit • Arrow keys to navigate',
+    'sign.title': 'ALBANIAN HALL OF LEGACY',
+    'sign.subtitle': 'Celebrating Albanian Heritage & Achievement',
+    'curator.title': 'Curator Mode',
+    'curator.hint': 'Click a portrait to edit it, drag it along the wall to reorder',
+    'curator.empty': 'No portrait selected',
+    'curator.label': 'Name',
+    'curator.years': 'Years',
+    'curator.achievement': 'Achievement',
+    'curator.quote': 'Quote',
+    'curator.frameColor': 'Frame colour',
+    'curator.moveEarlier': 'Move earlier',
+    'curator.moveLater': 'Move later',
+    'curator.export': 'Export JSON',
+    'curator.close': 'Exit curator mode',
+    'search.open': 'Search exhibits (/)',
+    'search.placeholder': 'Search names, years, achievements, rooms…',
+    'search.noResults': 'No exhibits found',
+    'timeline.open': 'Timeline (T)',
+    'timeline.title': 'Timeline',
+    'timeline.tour': 'Tour in date order',
+    'timeline.close': 'Close timeline',
+    'timeline.present': 'present',
+    'timeline.undated': 'Undated',
+    'filter.open': 'Filter by topic',
+    'filter.title': 'Filter exhibits',
+    'filter.hint': 'Pick topics to highlight matching exhibits in every room',
+    'filter.summary': '{matches} of {total} exhibits match',
+    'filter.clear': 'Clear',
+    'counter.matching': 'matching',
+    'favourites.open': 'Favourites',
+    'favourites.title': 'My favourites',
+    'favourites.add': 'Add to favourites',
+    'favourites.remove': 'Remove from favourites',
+    'favourites.empty': 'Tap the star on an exhibit to save it here',
+    'favourites.tour': 'Tour my favourites',
+    'favourites.close': 'Close favourites',
+    'counter.favourites': 'favourites',
+    'counter.stop': 'Stop',
+    'tours.title': 'Choose a tour',
+    'tours.rooms': 'All portraits, room by room',
+    'tours.chronological': 'All portraits in date order',
+    'tours.portraits': '{count} portraits',
+    'tours.stops': '{count} stops · about {minutes} min'
+  },
+  sq: {
+    'app.title': 'Salla e Trashëgimisë Shqiptare',
+    'title.heading': 'SALLA E TRASHËGIMISË SHQIPTARE',
+    'title.subtitle': 'Muze Virtual',
+    'loading.text': 'SALLA E TRASHËGIMISË SHQIPTARE',
+    'tour.start': 'Nis Turin',
+    'tour.stop': 'Ndalo Turin',
+    'tour.pause': 'Pusho turin (Hapësirë)',
+    'tour.resume': 'Vazhdo turin (Hapësirë)',
+    'tour.previous': 'Ndalesa e mëparshme (←)',
+    'tour.next': 'Ndalesa e radhës (→)',
+    'tour.speed': 'Shpejtësia e turit',
+    'tour.position': 'Ndalesa {current} nga {total}',
+    'tour.remaining': 'edhe {seconds} s',
+    'tour.travelling': 'Në rrugë…',
+    'tour.paused': 'Në pushim',
+    'tour.narrating': 'Duke dëgjuar…',
+    'guide.on': 'Ndiz audioguidën',
+    'guide.off': 'Fik audioguidën',
+    'walk.on': 'Ecni nëpër muze (F)',
+    'walk.off': 'Ndalni ecjen (F)',
+    'minimap.toggle': 'Shfaq ose fshih hartën (M)',
+    'minimap.title': 'Klikoni një sallë për të shkuar atje, ose një pikë për të parë ekspozitën',
+    'sound.toggle': 'Ndiz/fik zërin',
+    'sound.volume': 'Volumi',
+    'station.title': 'Stacion dëgjimi',
+    'station.play': 'Luaj pjesën',
+    'station.pause': 'Ndalo pjesën',
+    'station.position': 'Pozicioni i pjesës',
+    'station.unavailable': 'Pjesa nuk është e disponueshme',
+    'sound.unavailable': 'Audio nuk është e disponueshme',
+    'lang.toggle': 'Gjuha: Shqip (kalo në anglisht)',
+    'counter.portrait': 'Portreti',
+    'info.unknown': 'I panjohur',
+    'info.wiki': 'Mëso më shumë në Wikipedia',
+    'info.imageCredit': 'Imazhi',
+    'info.connections': 'Lidhjet',
+    'info.tourHint': 'Tur automatik • Shtyp ESC për të dalë',
+    'info.focusHint': 'Shtyp ESC për të dalë • Shigjetat për të lëvizur',
+    'sign.title': 'SALLA E TRASHËGIMISË SHQIPTARE',
+    'sign.subtitle': 'Në nder të trashëgimisë dhe arritjeve shqiptare',
+    'curator.title': 'Modaliteti i Kuratorit',
+    'curator.hint': 'Kliko një portret për ta redaktuar, tërhiqe përgjatë murit për ta rirenditur',
+    'curator.empty': 'Asnjë portret i zgjedhur',
+    'curator.label': 'Emri',
+    'curator.years': 'Vitet',
+    'curator.achievement': 'Arritja',
+    'curator.quote': 'Citimi',
+    'curator.frameColor': 'Ngjyra e kornizës',
+    'curator.moveEarlier': 'Zhvendos para',
+    'curator.moveLater': 'Zhvendos pas',
+    'curator.export': 'Eksporto JSON',
+    'curator.close': 'Dil nga modaliteti i kuratorit',
+    'search.open': 'Kërko ekspozitat (/)',
+    'search.placeholder': 'Kërko emra, vite, arritje, salla…',
+    'search.noResults': 'Nuk u gjet asnjë ekspozitë',
+    'timeline.open': 'Kronologjia (T)',
+    'timeline.title': 'Kronologjia',
+    'timeline.tour': 'Tur sipas datave',
+    'timeline.close': 'Mbyll kronologjinë',
+    'timeline.present': 'sot',
+    'timeline.undated': 'Pa datë',
+    'filter.open': 'Filtro sipas temës',
+    'filter.title': 'Filtro ekspozitat',
+    'filter.hint': 'Zgjidh tema për të theksuar ekspozitat përkatëse në çdo sallë',
+    'filter.summary': '{matches} nga {total} ekspozita përputhen',
+    'filter.clear': 'Pastro',
+    'counter.matching': 'përputhen',
+    'favourites.open': 'Të preferuarat',
+    'favourites.title': 'Të preferuarat e mia',
+    'favourites.add': 'Shto te të preferuarat',
+    'favourites.remove': 'Hiq nga të preferuarat',
+    'favourites.empty': 'Prek yllin te një ekspozitë për ta ruajtur këtu',
+    'favourites.tour': 'Turi i të preferuarave',
+    'favourites.close': 'Mbyll të preferuarat',
+    'counter.favourites': 'të preferuara',
+    'counter.stop': 'Ndalesa',
+    'tours.title': 'Zgjidh një tur',
+    'tours.rooms': 'Të gjitha portretet, sallë pas salle',
+    'tours.chronological': 'Të gjitha portretet sipas datës',
+    'tours.portraits': '{count} portrete',
+    'tours.stops': '{count} ndalesa · rreth {minutes} min'
+  }
+};
+
+// ═══════════════════════════════════════════
+// LOCALE STATE
+// ═══════════════════════════════════════════
+
+/**
+ * Reads the persisted locale, falling back to the browser language
+ * @returns {string} Initial locale
+ */
+function detectLocale() {
+  try {
+    const stored = localStorage.getItem(CONFIG.i18n.storageKey);
+    if (LOCALES.includes(stored)) return stored;
+  } catch (error) {
+    // Storage may be unavailable (private mode); fall through
+  }
+
+  const browserLocale = (navigator.language || '').slice(0, 2).toLowerCase();
+  return LOCALES.includes(browserLocale) ? browserLocale : CONFIG.i18n.defaultLocale;
+}
+
+let currentLocale = detectLocale();
+
+/**
+ * Current UI locale
+ * @returns {string} Locale code
+ */
+export function getLocale() {
+  return currentLocale;
+}
+
+/**
+ * Translates a UI string key
+ * {name} placeholders are filled from params
+ * @param {string} key - String key (e.g. 'tour.start')
+ * @param {Object.<string, string|number>} [params] - Placeholder values
+ * @returns {string} Translated string, the default-locale string, or the key itself
+ */
+export function t(key, params) {
+  const strings = STRINGS[currentLocale] || {};
+  const fallback = STRINGS[CONFIG.i18n.defaultLocale] || {};
+  const text = strings[key] || fallback[key] || key;
+  if (!params) return text;
+  return text.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match));
+}
+
+/**
+ * Resolves a localized field to a string
+ * Fields are either plain strings or objects keyed by locale ({ en: '...', sq: '...' })
+ * @param {string|Object.<string, string>} value - Field value
+ * @param {string} [locale] - Locale to use, defaults to the current locale
+ * @returns {string} Text in the requested locale, the default locale, or any available locale
+ */
+export function localize(value, locale = currentLocale) {
+  if (value === null || value === undefined) return '';
+  if (typeof value !== 'object') return String(value);
+
+  return value[locale] || value[CONFIG.i18n.defaultLocale] || Object.values(value)[0] || '';
+}
+
+/**
+ * Folds text for matching: lower case without accents, so "Skënderbeu"
+ * and "skenderbeu" compare equal
+ * @param {string} text - Text to fold
+ * @returns {string} Folded text
+ */
+export function foldText(text) {
+  return String(text || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+}
+
+/**
+ * Applies translations to static markup
+ * Elements carry data-i18n (text), data-i18n-title (tooltip) or
+ * data-i18n-placeholder (input placeholder) attributes
+ */
+export function applyStaticTranslations() {
+  document.documentElement.lang = currentLocale;
+  document.title = t('app.title');
+
+  document.querySelectorAll('[data-i18n]').forEach(el => {
+    el.textContent = t(el.dataset.i18n);
+  });
+  document.querySelectorAll('[data-i18n-title]').forEach(el => {
+    el.title = t(el.dataset.i18nTitle);
+  });
+  document.querySelectorAll('[data-i18n-placeholder]').forEach(el => {
+    el.placeholder = t(el.dataset.i18nPlaceholder);
+  });
+}
+
+/**
+ * Switches the UI locale, persists it and notifies listeners
+ * Listeners subscribe to the 'museum:localechange' window event
+ * @param {string} locale - Locale code
+ */
+export function setLocale(locale) {
+  if (!LOCALES.includes(locale) || locale === currentLocale) return;
+
+  currentLocale = locale;
+  try {
+    localStorage.setItem(CONFIG.i18n.storageKey, locale);
+  } catch (error) {
+    console.warn('Could not persist locale', error);
+  }
+
+  applyStaticTranslations();
+  window.dispatchEvent(new CustomEvent('museum:localechange', { detail: { locale } }));
+}
+
+/**
+ * Switches to the next supported locale
+ */
+export function toggleLocale() {
+  const next = LOCALES[(LOCALES.indexOf(currentLocale) + 1) % LOCALES.length];
+  setLocale(next);
+}
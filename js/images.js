@@ -0,0 +1,154 @@
+/**
+ * IMAGES.JS - Portrait Image Pipeline
+ *
+ * @module images
+ * @description Picks the best bundled resolution for a portrait, falls back
+ * to a remote copy, and loads images with a timeout and retry policy
+ */
+
+import { CONFIG } from './config.js';
+
+/**
+ * @typedef {Object} ExhibitImage
+ * @property {string|Object.<string, string>} [src] - Bundled image path, or paths keyed by pixel width ({ 256: '...', 512: '...' })
+ * @property {string} [fallback] - Remote URL used when no bundled file loads
+ * @property {string|Object.<string, string>} [credit] - Author / source shown in the info panel (localized)
+ * @property {string|Object.<string, string>} [license] - Licence shown next to the credit (localized)
+ * @property {string|Object.<string, string>} [fallbackCredit] - Credit of the remote copy, when it differs from the bundled files
+ * @property {string|Object.<string, string>} [fallbackLicense] - Licence of the remote copy
+ */
+
+/**
+ * Normalises the exhibit image field
+ * Plain strings are treated as a single source without credit
+ * @param {string|ExhibitImage} image - Image field from the exhibit data
+ * @returns {ExhibitImage|null} Image object
+ */
+function toImageObject(image) {
+  if (!image) return null;
+  return typeof image === 'string' ? { src: image } : image;
+}
+
+/**
+ * Whether a URL points at another host
+ * @param {string} url - Image URL
+ * @returns {boolean} True for absolute http(s) URLs
+ */
+function isRemote(url) {
+  return /^https?:\/\//i.test(url);
+}
+
+/**
+ * Picks the bundled source for the wanted width
+ * The smallest file at least as wide as needed wins, otherwise the widest one
+ * @param {string|Object.<string, string>} src - Source path or paths keyed by width
+ * @param {number} targetWidth - Wanted width in pixels
+ * @returns {string[]} Sources in the order to try them
+ */
+function pickResolution(src, targetWidth) {
+  if (!src) return [];
+  if (typeof src === 'string') return [src];
+
+  const widths = Object.keys(src).map(Number).sort((a, b) => a - b);
+  const best = widths.find(width => width >= targetWidth) || widths[widths.length - 1];
+
+  // Other resolutions are still better than going remote
+  return [best, ...widths.filter(width => width !== best).reverse()].map(width => src[width]);
+}
+
+/**
+ * Lists the URLs to try for an image, with the number of attempts each
+ * @param {string|ExhibitImage} image - Image field from the exhibit data
+ * @param {number} targetWidth - Wanted width in pixels
+ * @returns {{url: string, attempts: number}[]} Candidates in order
+ */
+export function getImageSources(image, targetWidth) {
+  const imageObject = toImageObject(image);
+  if (!imageObject) return [];
+
+  const urls = pickResolution(imageObject.src, targetWidth);
+  if (imageObject.fallback) urls.push(imageObject.fallback);
+
+  // A missing bundled file will not appear on retry, a flaky remote host might
+  return [...new Set(urls)].map(url => ({
+    url,
+    attempts: isRemote(url) ? 1 + CONFIG.images.retries : 1
+  }));
+}
+
+/**
+ * Credit line for an image
+ * The remote copy has its own credit when fallbackCredit or
+ * fallbackLicense is set, otherwise it shares the bundled files' credit
+ * @param {string|ExhibitImage} image - Image field from the exhibit data
+ * @param {Object} [options]
+ * @param {boolean} [options.fromFallback=false] - The remote copy is the one shown
+ * @returns {{credit: *, license: *}|null} Credit and licence, or null when neither is set
+ */
+export function getImageCredit(image, { fromFallback = false } = {}) {
+  const imageObject = toImageObject(image);
+  if (!imageObject) return null;
+
+  const ownCredit = fromFallback && (imageObject.fallbackCredit || imageObject.fallbackLicense);
+  const credit = ownCredit ? imageObject.fallbackCredit : imageObject.credit;
+  const license = ownCredit ? imageObject.fallbackLicense : imageObject.license;
+  if (!credit && !license) return null;
+  return { credit: credit || null, license: license || null };
+}
+
+/**
+ * Loads one URL, rejecting on error or timeout
+ * @param {string} url - Image URL
+ * @returns {Promise<HTMLImageElement>} The loaded image
+ */
+function loadOnce(url) {
+  return new Promise((resolve, reject) => {
+    const img = new Image();
+    const timeoutId = setTimeout(() => {
+      img.onload = img.onerror = null;
+      img.src = '';
+      reject(new Error(`timed out after ${CONFIG.images.timeout}ms`));
+    }, CONFIG.images.timeout);
+
+    img.crossOrigin = 'anonymous';
+    img.onload = () => {
+      clearTimeout(timeoutId);
+      resolve(img);
+    };
+    img.onerror = () => {
+      clearTimeout(timeoutId);
+      reject(new Error('failed to load'));
+    };
+    img.src = url;
+  });
+}
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Loads a portrait image, trying bundled sources before the remote fallback
+ * @param {string|ExhibitImage} image - Image field from the exhibit data
+ * @param {number} targetWidth - Wanted width in pixels
+ * @returns {Promise<{img: HTMLImageElement, fromFallback: boolean}>} The first image that loads, and whether it is the remote fallback
+ */
+export async function loadPortraitImage(image, targetWidth) {
+  const failures = [];
+  const imageObject = toImageObject(image);
+  const fallback = imageObject && imageObject.fallback;
+
+  for (const { url, attempts } of getImageSources(image, targetWidth)) {
+    for (let attempt = 1; attempt <= attempts; attempt++) {
+      try {
+        const img = await loadOnce(url);
+        return { img, fromFallback: url === fallback };
+      } catch (error) {
+        failures.push(`${url} (${error.message})`);
+        if (attempt < attempts) {
+          await wait(CONFIG.images.retryDelay * 2 ** (attempt - 1));
+        }
+      }
+    }
+  }
+
+  throw new Error(failures.length > 0 ? `no source loaded: ${failures.join(', ')}` : 'no image sources');
+}
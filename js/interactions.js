@@ -2,7 +2,7 @@
  * INTERACTIONS.JS - Click handling, Auto Tour, Keyboard Events, Animation Loop
  * 
  * @module interactions
- * @description Manages user interactions with clicks, keyboard, audio, and animations
+ * @description Manages user interactions with clicks, keyboard, and animations
  */
 
 import * as THREE from 'three';
@@ -10,16 +10,30 @@ import { scene, camera, controls, renderer, composer } from './scene.js';
 import { exhibits } from './portraits.js';
 import { eagleModel } from './rooms.js';
 import { stopLoaderAnimation } from './loader.js';
-import { updateNavigation, cancelNavigation, initRoomNavigation, navigateToRoom, roomPositions, isNavigating } from './navigation.js';
+import { updateNavigation, cancelNavigation, initRoomNavigation, navigateToRoom, flyTo, isNavigating } from './navigation.js';
+import { getRoom } from './registry.js';
+import { t, localize, getLocale, toggleLocale } from './i18n.js';
+import { chronologicalOrder } from './dates.js';
+import { isFilterActive, getFilteredExhibits } from './filters.js';
+import { getConnections, connectionLabel, findExhibit } from './relations.js';
+import { isFavourite, toggleFavourite } from './favourites.js';
+import { toggleTourMenu } from './tours.js';
+import { narrationStatus, pauseNarration } from './guide.js';
+import { updateSoundscape } from './soundscape.js';
+import { createStationPlayer, updateStations } from './stations.js';
+import { updateVisualizer } from './visualizer.js';
+import { isWalking, hasPointerLock, toggleWalk, updateWalk } from './walk.js';
+import { constrainOrbit } from './bounds.js';
+import { updateMinimap } from './minimap.js';
 import { CONFIG } from './config.js';
 
 // State
 let focusTarget = null;
 let isLocked = false;
-let currentPortraitIndex = 0;
 let isTouring = false;
-let tourInterval = null;
+let tourCaption = null; // Tour name and caption of the current stop, re-rendered on language change
 let pendingPortraitFocus = null; // For delayed portrait focus after room navigation
+let counterNoteKey = null; // String key shown after the portrait count ('matching', 'favourites')
 
 const raycaster = new THREE.Raycaster();
 const mouse = new THREE.Vector2();
@@ -28,9 +42,20 @@ const mouse = new THREE.Vector2();
 const infoEl = document.getElementById('info');
 const portraitCounterEl = document.getElementById('portrait-counter');
 const currentPortraitEl = document.getElementById('current-portrait');
+const totalPortraitsEl = document.getElementById('total-portraits');
+const counterLabelEl = document.getElementById('counter-label');
+const counterNoteEl = document.getElementById('counter-note');
 const tourBtn = document.getElementById('auto-tour-btn');
-const ambientAudio = document.getElementById('ambient-audio');
-const soundBtn = document.getElementById('sound-btn');
+const tourCaptionEl = document.getElementById('tour-caption');
+const tourControlsEl = document.getElementById('tour-controls');
+const tourPrevBtn = document.getElementById('tour-prev');
+const tourPauseBtn = document.getElementById('tour-pause');
+const tourNextBtn = document.getElementById('tour-next');
+const tourSpeedBtn = document.getElementById('tour-speed');
+const tourPositionEl = document.getElementById('tour-position');
+const tourRemainingEl = document.getElementById('tour-remaining');
+const tourProgressBarEl = document.getElementById('tour-progress-bar');
+const langBtn = document.getElementById('lang-btn');
 
 // ═══════════════════════════════════════════
 // ERROR HANDLING
@@ -62,17 +87,47 @@ function safeSetContent(element, content) {
 }
 
 /**
- * Updates DOM element innerHTML
+ * Replaces the children of a DOM element
  * @param {HTMLElement} element - DOM element to update
- * @param {string} html - HTML content to set
+ * @param {Node[]} nodes - New children
  */
-function safeSetHTML(element, html) {
+function safeSetChildren(element, nodes) {
   try {
     if (element) {
-      element.innerHTML = html;
+      element.replaceChildren(...nodes);
     }
   } catch (error) {
-    logError('safeSetHTML', error);
+    logError('safeSetChildren', error);
+  }
+}
+
+/**
+ * Creates an element holding plain text
+ * Exhibit text comes from the manifest, so it never goes in as HTML
+ * @param {string} tag - Tag name
+ * @param {string} className - Class name
+ * @param {string} text - Text content
+ * @returns {HTMLElement} New element
+ */
+function createTextElement(tag, className, text) {
+  const element = document.createElement(tag);
+  if (className) element.className = className;
+  element.textContent = text;
+  return element;
+}
+
+/**
+ * Checks that a link from the exhibit data is a web address
+ * @param {*} url - Link from the exhibit data
+ * @returns {string|null} Absolute http(s) URL, null for anything else
+ */
+function toWebLink(url) {
+  if (typeof url !== 'string') return null;
+  try {
+    const parsed = new URL(url, window.location.href);
+    return parsed.protocol === 'http:' || parsed.protocol === 'https:' ? parsed.href : null;
+  } catch (error) {
+    return null;
   }
 }
 
@@ -125,28 +180,25 @@ function safeToggleClass(element, className, add) {
 }
 
 // ─────────────────────────────────────────────
-// HELPER: Get room ID from portrait position
+// HELPER: Get room ID from portrait
 // ─────────────────────────────────────────────
 function getRoomFromPortrait(portrait) {
-  const pos = new THREE.Vector3();
-  portrait.getWorldPosition(pos);
-  
-  // Match position to room
-  for (const [roomId, roomPos] of Object.entries(roomPositions)) {
-    if (roomId === 'entrance') continue;
-    const dx = Math.abs(pos.x - roomPos.x);
-    const dz = Math.abs(pos.z - roomPos.z);
-    if (dx < 8 && dz < 8) {
-      return roomId;
-    }
-  }
-  return null;
+  return (portrait && portrait.userData.roomId) || null;
+}
+
+// ─────────────────────────────────────────────
+// HELPER: Focus change events
+// Other modules follow the focused portrait through
+// 'museum:focus' and 'museum:blur' window events
+// ─────────────────────────────────────────────
+function announceFocus(target) {
+  window.dispatchEvent(new CustomEvent('museum:focus', { detail: { portrait: target } }));
 }
 
 // ─────────────────────────────────────────────
 // HELPER: Clear Portrait Focus
 // ─────────────────────────────────────────────
-function clearFocus() {
+export function clearFocus() {
   try {
     if (isLocked) {
       isLocked = false;
@@ -157,17 +209,108 @@ function clearFocus() {
       
       if (infoEl) infoEl.style.display = 'none';
       if (portraitCounterEl) portraitCounterEl.style.display = 'none';
+      window.dispatchEvent(new CustomEvent('museum:blur'));
     }
   } catch (error) {
     logError('clearFocus', error);
   }
 }
 
+// ─────────────────────────────────────────────
+// HELPER: Portraits the tour and arrow keys step through
+// (the ones matching the exhibit filter, when set)
+// ─────────────────────────────────────────────
+function browsableExhibits() {
+  return isFilterActive() ? getFilteredExhibits() : exhibits;
+}
+
+// ─────────────────────────────────────────────
+// HELPER: Portrait counter ("3 / 7 matching" while filtered,
+// "Stop 2 / 9" on scripted tours)
+// ─────────────────────────────────────────────
+function updateCounter(position, total, { note: noteKey = isFilterActive() ? 'counter.matching' : null, label = 'counter.portrait' } = {}) {
+  if (portraitCounterEl) portraitCounterEl.style.display = 'block';
+  safeSetContent(currentPortraitEl, position > 0 ? String(position) : '–');
+  safeSetContent(totalPortraitsEl, String(total));
+  if (counterLabelEl) {
+    counterLabelEl.dataset.i18n = label;
+    safeSetContent(counterLabelEl, t(label));
+  }
+  
+  counterNoteKey = noteKey;
+  if (counterNoteEl) {
+    counterNoteEl.hidden = !noteKey;
+    safeSetContent(counterNoteEl, noteKey ? t(noteKey) : '');
+  }
+}
+
+// ─────────────────────────────────────────────
+// HELPER: Where the camera stands to view a portrait
+// (in front of it, along the normal of its wall)
+// ─────────────────────────────────────────────
+function portraitCameraPose(portrait) {
+  const target = new THREE.Vector3();
+  portrait.getWorldPosition(target);
+  
+  const normal = portrait.userData.normal || { x: 0, z: 1 };
+  const position = new THREE.Vector3(target.x + normal.x * 3.5, target.y, target.z + normal.z * 3.5);
+  return { position, target };
+}
+
+// ─────────────────────────────────────────────
+// HELPER: Lock the camera onto a portrait
+// ─────────────────────────────────────────────
+function lockFocus(target) {
+  focusTarget = target;
+  isLocked = true;
+  
+  controls.enableRotate = false;
+  controls.enablePan = false;
+  controls.enableZoom = false;
+  
+  const sequence = browsableExhibits();
+  updateCounter(sequence.indexOf(target) + 1, sequence.length);
+  
+  if (infoEl) infoEl.style.display = 'block';
+  updateInfoPanel(focusTarget);
+  announceFocus(focusTarget);
+}
+
+/**
+ * Focuses a portrait, flying to its room first when it is elsewhere
+ * The portrait is focused once the room navigation has finished
+ * @param {THREE.Mesh} portrait - Portrait mesh from the exhibits array
+ */
+export function focusPortrait(portrait) {
+  try {
+    const index = exhibits.indexOf(portrait);
+    if (index === -1) return;
+    
+    if (isTouring) stopTour();
+    
+    const currentRoom = focusTarget ? getRoomFromPortrait(focusTarget) : null;
+    const newRoom = getRoomFromPortrait(portrait);
+    
+    if (isLocked && currentRoom === newRoom) {
+      // Same room - just switch portrait
+      lockFocus(portrait);
+    } else {
+      // Different room (or room view) - navigate to room first, then focus portrait
+      clearFocus();
+      pendingPortraitFocus = { portrait, index };
+      navigateToRoom(newRoom, null, { forPortrait: true });
+    }
+  } catch (error) {
+    logError('focusPortrait', error);
+  }
+}
+
 // ─────────────────────────────────────────────
 // HELPER: Clear focus and navigate to room
+// (walking visitors stay where they are)
 // ─────────────────────────────────────────────
 function clearFocusAndGoToRoom() {
-  if (isLocked && focusTarget) {
+  if (isLocked && focusTarget && !isWalking()) {
     const roomId = getRoomFromPortrait(focusTarget);
     clearFocus();
     if (roomId) {
@@ -190,178 +333,433 @@ function updateInfoPanel(target, showTourHint = false) {
   try {
     if (!target || !target.userData) return;
     
-    let infoHtml = `<h3>${target.userData.label || 'Unknown'}</h3>`;
+    const data = target.userData;
+    const favourite = isFavourite(target);
+    const nodes = [];
+
+    const favouriteButton = createTextElement('button', 'favourite-toggle', favourite ? '★' : '☆');
+    favouriteButton.type = 'button';
+    favouriteButton.title = t(favourite ? 'favourites.remove' : 'favourites.add');
+    favouriteButton.setAttribute('aria-pressed', String(favourite));
+    nodes.push(favouriteButton);
+    nodes.push(createTextElement('h3', '', localize(data.label) || t('info.unknown')));
     
-    if (target.userData.years) {
-      infoHtml += `<div class="years">${target.userData.years}</div>`;
+    if (data.years) {
+      nodes.push(createTextElement('div', 'years', localize(data.years)));
     }
-    if (target.userData.description) {
-      infoHtml += `<div class="description">${target.userData.description}</div>`;
+    if (data.description) {
+      nodes.push(createTextElement('div', 'description', localize(data.description)));
     }
-    if (target.userData.achievement) {
-      infoHtml += `<div class="achievement">🏆 ${target.userData.achievement}</div>`;
+    if (data.achievement) {
+      nodes.push(createTextElement('div', 'achievement', `🏆 ${localize(data.achievement)}`));
     }
-    if (target.userData.quote) {
-      infoHtml += `<div class="quote">${target.userData.quote}</div>`;
+    if (data.quote) {
+      nodes.push(createTextElement('div', 'quote', localize(data.quote)));
     }
-    if (target.userData.wiki) {
-      infoHtml += `<a href="${target.userData.wiki}" target="_blank" rel="noopener noreferrer" class="wiki-link">📖 Learn More on Wikipedia</a>`;
+    const connections = getConnections(target);
+    if (connections.length > 0) {
+      const connectionsEl = document.createElement('div');
+      connectionsEl.className = 'connections';
+      const list = document.createElement('ul');
+      connections.forEach(connection => {
+        const related = connection.mesh.userData;
+        const item = document.createElement('li');
+        const link = createTextElement('button', 'connection-link', localize(related.label));
+        link.type = 'button';
+        link.dataset.exhibit = encodeURIComponent(related.name);
+        item.append(createTextElement('span', 'connection-type', connectionLabel(connection)), ' ', link);
+        list.appendChild(item);
+      });
+      connectionsEl.append(createTextElement('h4', '', t('info.connections')), list);
+      nodes.push(connectionsEl);
     }
-    
-    if (showTourHint) {
-      infoHtml += `<div class="close-hint">Auto Tour • Press ESC to exit</div>`;
-    } else {
-      infoHtml += `<div class="close-hint">Press ESC to exit • Arrow keys to navigate</div>`;
+    const player = createStationPlayer(target);
+    if (player) nodes.push(player);
+    const wiki = toWebLink(data.wiki);
+    if (wiki) {
+      const link = createTextElement('a', 'wiki-link', `📖 ${t('info.wiki')}`);
+      link.href = wiki;
+      link.target = '_blank';
+      link.rel = 'noopener noreferrer';
+      nodes.push(link);
     }
+    if (data.imageCredit) {
+      const credit = [data.imageCredit.credit, data.imageCredit.license].map(localize).filter(Boolean).join(' · ');
+      nodes.push(createTextElement('div', 'image-credit', `${t('info.imageCredit')}: ${credit}`));
+    }
+    
+    nodes.push(createTextElement('div', 'close-hint', t(showTourHint ? 'info.tourHint' : 'info.focusHint')));
     
-    safeSetHTML(infoEl, infoHtml);
+    safeSetChildren(infoEl, nodes);
   } catch (error) {
     logError('updateInfoPanel', error);
   }
 }
 
+// Connection links in the info panel focus the related portrait,
+// the star saves the focused portrait as a favourite
+if (infoEl) {
+  infoEl.addEventListener('click', (e) => {
+    if (e.target.closest('.favourite-toggle')) {
+      e.stopPropagation();
+      if (focusTarget) toggleFavourite(focusTarget);
+      return;
+    }
+    const link = e.target.closest('.connection-link');
+    if (!link) return;
+    e.stopPropagation();
+    const related = findExhibit(decodeURIComponent(link.dataset.exhibit));
+    if (related) focusPortrait(related);
+  });
+}
+
 // ─────────────────────────────────────────────
-// AMBIENT SOUND SYSTEM WITH ERROR HANDLING
+// AUTO TOUR SYSTEM WITH ERROR HANDLING
 // ─────────────────────────────────────────────
-let isSoundPlaying = false;
-let audioLoadFailed = false;
+// Tour playback state
+// Time at a stop only counts once the camera has arrived there
+const tourState = {
+  tour: null, // { name, stops, counterNote, label }
+  step: -1, // Index of the current stop
+  elapsed: 0, // Time counted at the current stop (ms)
+  paused: false,
+  speed: CONFIG.tour.speeds[0], // Playback speed, one of CONFIG.tour.speeds
+  lastTick: 0 // performance.now() of the previous frame
+};
+
+/**
+ * Stops the auto tour and resets the tour button
+ */
+export function stopTour() {
+  isTouring = false;
+  if (pendingPortraitFocus && pendingPortraitFocus.tourStop) pendingPortraitFocus = null;
+  tourState.tour = null;
+  tourState.step = -1;
+  tourState.paused = false;
+  if (tourControlsEl) tourControlsEl.hidden = true;
+  showTourCaption(null);
+  updateButtonIcon(tourBtn, 'play', t('tour.start'));
+  safeToggleClass(tourBtn, 'touring', false);
+}
+
+/**
+ * Shows the tour name and narration for the current stop
+ * @param {{name: (string|Object), caption: (string|Object)}|null} caption - Localized text, null to hide
+ */
+function showTourCaption(caption) {
+  tourCaption = caption && caption.caption ? caption : null;
+  if (!tourCaptionEl) return;
+  
+  tourCaptionEl.hidden = !tourCaption;
+  if (tourCaption) {
+    safeSetContent(tourCaptionEl.querySelector('.tour-caption-title'), localize(tourCaption.name));
+    safeSetContent(tourCaptionEl.querySelector('.tour-caption-text'), localize(tourCaption.caption));
+  }
+}
+
+/**
+ * Camera viewpoint facing the eagle monument from the entrance side
+ * @returns {{position: THREE.Vector3, target: THREE.Vector3}|null} Viewpoint, null before the monument is built
+ */
+function eagleCameraPose() {
+  if (!eagleModel) return null;
+  
+  const target = eagleModel.position.clone();
+  const entrance = getRoom(CONFIG.navigation.initialRoom);
+  const direction = entrance
+    ? new THREE.Vector3(entrance.position.x - target.x, 0, entrance.position.z - target.z)
+    : new THREE.Vector3(0, 0, 1);
+  if (direction.lengthSq() === 0) direction.set(0, 0, 1);
+  direction.normalize().multiplyScalar(CONFIG.tour.eagleViewDistance);
+  
+  const position = new THREE.Vector3(target.x + direction.x, CONFIG.tour.eagleViewHeight, target.z + direction.z);
+  return { position, target };
+}
+
+/**
+ * Focuses a tour stop's portrait; the camera glides to it from where it is
+ * @param {THREE.Mesh} portrait - Portrait mesh
+ * @param {boolean} [instant=false] - Jump straight to the portrait instead of gliding
+ */
+function focusTourExhibit(portrait, instant = false) {
+  cancelNavigation();
+  focusTarget = portrait;
+  isLocked = true;
+  
+  controls.enableRotate = false;
+  controls.enablePan = false;
+  controls.enableZoom = false;
+  
+  if (instant) {
+    const pose = portraitCameraPose(focusTarget);
+    camera.position.copy(pose.position);
+    controls.target.copy(pose.target);
+  }
+  
+  if (infoEl) infoEl.style.display = 'block';
+  updateInfoPanel(focusTarget, true);
+  announceFocus(focusTarget);
+}
+
+/**
+ * Moves the camera to one tour stop
+ * A portrait in another room is flown to along the navigation graph
+ * first, as clicked portraits are, and focused on arrival
+ * @param {Object} stop - Resolved stop ({ type, mesh | roomId, caption, transition })
+ */
+function showTourStop(stop) {
+  const instant = stop.transition === 'cut';
+  pendingPortraitFocus = null;
+  
+  if (stop.type === 'exhibit') {
+    const currentRoom = isLocked && focusTarget ? getRoomFromPortrait(focusTarget) : null;
+    const newRoom = getRoomFromPortrait(stop.mesh);
+    if (instant || !newRoom || currentRoom === newRoom) {
+      focusTourExhibit(stop.mesh, instant);
+      return;
+    }
+    clearFocus();
+    pendingPortraitFocus = { portrait: stop.mesh, index: exhibits.indexOf(stop.mesh), tourStop: stop };
+    navigateToRoom(newRoom, null, { forPortrait: true });
+  } else if (stop.type === 'room') {
+    navigateToRoom(stop.roomId, clearFocus, { instant });
+  } else if (stop.type === 'eagle') {
+    clearFocus();
+    const pose = eagleCameraPose();
+    if (pose) {
+      flyTo(pose.position, pose.target, { instant });
+    } else {
+      console.warn('Eagle monument not available for tour stop');
+    }
+  }
+}
+
+/**
+ * Whether the camera has finished moving to a stop
+ * Room flights wait for the navigation animation, portraits for the
+ * focus glide to come within CONFIG.tour.settleDistance
+ * @param {Object} stop - Resolved stop
+ * @returns {boolean} True once the stop is in view
+ */
+function isStopSettled(stop) {
+  if (isNavigating || pendingPortraitFocus) return false;
+  if (stop.type !== 'exhibit') return true;
+  return camera.position.distanceTo(portraitCameraPose(stop.mesh).position) < CONFIG.tour.settleDistance;
+}
+
+/**
+ * How long the tour stays at a stop once the camera has arrived
+ * A narrated portrait is left shortly after its narration ends
+ * @param {Object} stop - Resolved stop
+ * @returns {number} Time at the stop (ms)
+ */
+function stopTimeLimit(stop) {
+  if (stop.type === 'exhibit' && narrationStatus(stop.mesh) === 'ended') {
+    return CONFIG.guide.tourDelay;
+  }
+  return stop.duration || CONFIG.tour.intervalDuration;
+}
+
+/**
+ * Whether the tour is waiting for a portrait's narration to end
+ * @param {Object} stop - Resolved stop
+ * @returns {boolean} True while the stop is being narrated
+ */
+function isStopNarrating(stop) {
+  return stop.type === 'exhibit' && narrationStatus(stop.mesh) === 'playing';
+}
+
+/**
+ * Moves the tour to a stop and restarts its clock
+ * @param {number} index - Stop index
+ */
+function goToStop(index) {
+  const { tour } = tourState;
+  if (!tour) return;
+  
+  tourState.step = Math.max(0, Math.min(index, tour.stops.length - 1));
+  tourState.elapsed = 0;
+  
+  const stop = tour.stops[tourState.step];
+  showTourStop(stop);
+  updateCounter(tourState.step + 1, tour.stops.length, { note: tour.counterNote, label: tour.label });
+  showTourCaption({ name: tour.name, caption: stop.caption });
+  updateTourControls();
+}
+
+/**
+ * Skips to the next stop, ending the tour after the last one
+ */
+export function nextTourStop() {
+  if (!isTouring) return;
+  if (tourState.step + 1 >= tourState.tour.stops.length) {
+    stopTour();
+  } else {
+    goToStop(tourState.step + 1);
+  }
+}
+
+/**
+ * Goes back to the previous stop; on the first stop, restarts it
+ */
+export function previousTourStop() {
+  if (!isTouring) return;
+  goToStop(tourState.step - 1);
+}
+
+/**
+ * Pauses or resumes the tour
+ * @param {boolean} [paused] - New state, toggles when omitted
+ */
+export function toggleTourPause(paused = !tourState.paused) {
+  if (!isTouring) return;
+  tourState.paused = paused;
+  pauseNarration(paused);
+  updateTourControls();
+}
+
+/**
+ * Switches to the next playback speed in CONFIG.tour.speeds
+ */
+export function cycleTourSpeed() {
+  const speeds = CONFIG.tour.speeds;
+  tourState.speed = speeds[(speeds.indexOf(tourState.speed) + 1) % speeds.length];
+  updateTourControls();
+}
 
-// Configure audio with error handling
-if (ambientAudio) {
+/**
+ * Renders the transport buttons and the progress bar
+ */
+function updateTourControls() {
   try {
-    ambientAudio.volume = CONFIG.audio.defaultVolume;
+    const { tour, step, elapsed, paused, speed } = tourState;
+    if (!tourControlsEl) return;
     
-    // Handle audio loading errors
-    ambientAudio.addEventListener('error', (e) => {
-      audioLoadFailed = true;
-      logError('Audio loading failed', e);
-      
-      // Update UI to show audio unavailable
-      if (soundBtn) {
-        updateButtonIcon(soundBtn, 'volume-x');
-        soundBtn.disabled = true;
-        soundBtn.title = 'Audio unavailable';
-      }
-    });
+    tourControlsEl.hidden = !isTouring || !tour;
+    if (tourControlsEl.hidden) return;
+    
+    const stop = tour.stops[step];
+    const duration = stopTimeLimit(stop);
+    const settled = isStopSettled(stop);
+    
+    safeSetContent(tourPositionEl, t('tour.position', { current: step + 1, total: tour.stops.length }));
+    let status;
+    if (paused) {
+      status = t('tour.paused');
+    } else if (!settled) {
+      status = t('tour.travelling');
+    } else if (isStopNarrating(stop)) {
+      status = t('tour.narrating');
+    } else {
+      status = t('tour.remaining', { seconds: Math.ceil((duration - elapsed) / speed / 1000) });
+    }
+    safeSetContent(tourRemainingEl, status);
+    if (tourProgressBarEl) {
+      tourProgressBarEl.style.width = `${Math.min(100, (elapsed / duration) * 100)}%`;
+    }
     
-    // Handle successful audio load
-    ambientAudio.addEventListener('canplaythrough', () => {
-      console.log('Audio loaded successfully');
-    });
+    if (tourPauseBtn) {
+      const label = t(paused ? 'tour.resume' : 'tour.pause');
+      if (tourPauseBtn.dataset.paused !== String(paused)) {
+        tourPauseBtn.dataset.paused = String(paused);
+        updateButtonIcon(tourPauseBtn, paused ? 'play' : 'pause');
+      }
+      tourPauseBtn.title = label;
+      tourPauseBtn.setAttribute('aria-label', label);
+    }
+    if (tourSpeedBtn) safeSetContent(tourSpeedBtn, `${speed}×`);
   } catch (error) {
-    logError('Audio configuration', error);
-    audioLoadFailed = true;
+    logError('updateTourControls', error);
   }
 }
 
-// Sound button click handler with error handling
-if (soundBtn) {
-  soundBtn.addEventListener('click', () => {
-    try {
-      if (audioLoadFailed || !ambientAudio) {
-        console.warn('Audio is unavailable');
-        return;
-      }
-      
-      if (isSoundPlaying) {
-        ambientAudio.pause();
-        updateButtonIcon(soundBtn, 'volume-x');
-        safeToggleClass(soundBtn, 'playing', false);
-        isSoundPlaying = false;
-      } else {
-        // Play with promise handling for autoplay policies
-        const playPromise = ambientAudio.play();
-        
-        if (playPromise !== undefined) {
-          playPromise
-            .then(() => {
-              updateButtonIcon(soundBtn, 'volume-2');
-              safeToggleClass(soundBtn, 'playing', true);
-              isSoundPlaying = true;
-            })
-            .catch(error => {
-              logError('Audio playback', error);
-              // Browser autoplay policy prevented playback
-              console.warn('Audio autoplay blocked. User interaction required.');
-            });
-        }
-      }
-    } catch (error) {
-      logError('Sound button click', error);
+/**
+ * Advances the tour clock; called every frame from the animation loop
+ * @param {number} now - Frame time (performance.now())
+ */
+function updateTour(now) {
+  // Long gaps (hidden tab, breakpoints) do not count as viewing time
+  const delta = Math.min(now - tourState.lastTick, 100);
+  tourState.lastTick = now;
+  if (!isTouring || !tourState.tour) return;
+  
+  // Narrated portraits wait for the narration instead of their duration
+  const stop = tourState.tour.stops[tourState.step];
+  if (!tourState.paused && isStopSettled(stop) && !isStopNarrating(stop)) {
+    tourState.elapsed += delta * tourState.speed;
+    if (tourState.elapsed >= stopTimeLimit(stop)) {
+      nextTourStop();
+      return;
     }
+  }
+  updateTourControls();
+}
+
+/**
+ * Plays a tour: each stop is shown for its own duration once the camera
+ * has arrived, then the next one follows; the tour ends after the last stop
+ * @param {Object} tour - Tour to play
+ * @param {string|Object} [tour.name] - Tour name shown above captions (localized text)
+ * @param {Object[]} tour.stops - Resolved stops ({ type, mesh | roomId, duration, caption, transition }),
+ *   see resolveTour() in tours.js
+ * @param {string|null} [tour.counterNote] - String key shown after the stop count
+ */
+export function runTour({ name = '', stops, counterNote = null }) {
+  try {
+    if (!stops || stops.length === 0) {
+      console.warn('No stops available for tour');
+      return;
+    }
+    if (isTouring) stopTour();
+    
+    // The tour drives the camera from here
+    toggleWalk(false);
+    isTouring = true;
+    updateButtonIcon(tourBtn, 'square', t('tour.stop'));
+    safeToggleClass(tourBtn, 'touring', true);
+    
+    // Portrait-only tours count portraits, scripted ones count stops
+    const label = stops.every(stop => stop.type === 'exhibit') ? 'counter.portrait' : 'counter.stop';
+    tourState.tour = { name, stops, counterNote, label };
+    tourState.paused = false;
+    tourState.lastTick = performance.now();
+    goToStop(0);
+  } catch (error) {
+    logError('runTour', error);
+  }
+}
+
+/**
+ * Starts the auto tour through the portraits
+ * @param {Object} [options]
+ * @param {string} [options.order=CONFIG.tour.order] - 'rooms' (gallery order) or 'chronological'
+ * @param {THREE.Mesh[]} [options.stops] - Portraits to visit; defaults to every exhibit (or those matching the filter)
+ * @param {string} [options.counterNote] - String key shown after the portrait count during this tour
+ */
+export function startTour({ order = CONFIG.tour.order, stops = null, counterNote } = {}) {
+  const candidates = stops ? exhibits.filter(mesh => stops.includes(mesh)) : browsableExhibits();
+  if (candidates.length === 0) {
+    console.warn('No exhibits available for tour');
+    return;
+  }
+  
+  const sequence = order === 'chronological' ? chronologicalOrder(candidates) : candidates;
+  runTour({
+    stops: sequence.map(mesh => ({ type: 'exhibit', mesh, transition: 'fly', duration: CONFIG.tour.intervalDuration })),
+    counterNote: counterNote !== undefined ? counterNote : (isFilterActive() && !stops ? 'counter.matching' : null)
   });
-} else {
-  console.warn('Sound button element not found');
 }
 
-// ─────────────────────────────────────────────
-// AUTO TOUR SYSTEM WITH ERROR HANDLING
-// ─────────────────────────────────────────────
 if (tourBtn) {
-  tourBtn.addEventListener('click', () => {
+  tourBtn.setAttribute('aria-haspopup', 'menu');
+  tourBtn.setAttribute('aria-expanded', 'false');
+  tourBtn.addEventListener('click', (e) => {
     try {
+      e.stopPropagation();
       if (isTouring) {
-        // Stop tour
-        isTouring = false;
-        if (tourInterval) {
-          clearInterval(tourInterval);
-          tourInterval = null;
-        }
-        updateButtonIcon(tourBtn, 'play', 'Start Tour');
-        safeToggleClass(tourBtn, 'touring', false);
+        stopTour();
       } else {
-        // Start tour
-        if (exhibits.length === 0) {
-          console.warn('No exhibits available for tour');
-          return;
-        }
-        
-        isTouring = true;
-        updateButtonIcon(tourBtn, 'square', 'Stop Tour');
-        safeToggleClass(tourBtn, 'touring', true);
-        
-        currentPortraitIndex = 0;
-        
-        function showNextPortrait() {
-          try {
-            if (!isTouring || currentPortraitIndex >= exhibits.length) return;
-            
-            focusTarget = exhibits[currentPortraitIndex];
-            isLocked = true;
-            
-            if (portraitCounterEl) portraitCounterEl.style.display = 'block';
-            safeSetContent(currentPortraitEl, String(currentPortraitIndex + 1));
-            
-            controls.enableRotate = false;
-            controls.enablePan = false;
-            controls.enableZoom = false;
-            
-            if (infoEl) infoEl.style.display = 'block';
-            updateInfoPanel(focusTarget, true);
-            
-            currentPortraitIndex = (currentPortraitIndex + 1) % exhibits.length;
-            
-            // Stop at the end
-            if (currentPortraitIndex === 0) {
-              setTimeout(() => {
-                if (isTouring) {
-                  isTouring = false;
-                  if (tourInterval) {
-                    clearInterval(tourInterval);
-                    tourInterval = null;
-                  }
-                  updateButtonIcon(tourBtn, 'play', 'Start Tour');
-                  safeToggleClass(tourBtn, 'touring', false);
-                }
-              }, 4000);
-            }
-          } catch (error) {
-            logError('showNextPortrait', error);
-          }
-        }
-        
-        showNextPortrait();
-        tourInterval = setInterval(showNextPortrait, CONFIG.tour.intervalDuration);
+        toggleTourMenu();
       }
     } catch (error) {
       logError('Tour button click', error);
@@ -371,32 +769,35 @@ if (tourBtn) {
   console.warn('Tour button element not found');
 }
 
+// Tour transport controls
+if (tourControlsEl) {
+  tourControlsEl.addEventListener('click', e => e.stopPropagation());
+  if (tourPrevBtn) tourPrevBtn.addEventListener('click', previousTourStop);
+  if (tourPauseBtn) tourPauseBtn.addEventListener('click', () => toggleTourPause());
+  if (tourNextBtn) tourNextBtn.addEventListener('click', nextTourStop);
+  if (tourSpeedBtn) tourSpeedBtn.addEventListener('click', cycleTourSpeed);
+}
+
 // ─────────────────────────────────────────────
 // CLICK TO FOCUS WITH ERROR HANDLING
 // ─────────────────────────────────────────────
 window.addEventListener('click', (e) => {
   try {
-    mouse.x = (e.clientX / window.innerWidth) * 2 - 1;
-    mouse.y = -(e.clientY / window.innerHeight) * 2 + 1;
+    if (hasPointerLock()) {
+      // Walking visitors aim with the crosshair in the middle of the screen
+      mouse.set(0, 0);
+    } else {
+      mouse.x = (e.clientX / window.innerWidth) * 2 - 1;
+      mouse.y = -(e.clientY / window.innerHeight) * 2 + 1;
+    }
 
     raycaster.setFromCamera(mouse, camera);
     const hits = raycaster.intersectObjects(exhibits, true);
 
     if (hits.length > 0) {
-      focusTarget = hits[0].object;
-      isLocked = true;
-      
-      currentPortraitIndex = exhibits.indexOf(focusTarget) + 1;
-
-      controls.enableRotate = false;
-      controls.enablePan = false;
-      controls.enableZoom = false;
-
-      if (portraitCounterEl) portraitCounterEl.style.display = 'block';
-      safeSetContent(currentPortraitEl, String(currentPortraitIndex));
-
-      if (infoEl) infoEl.style.display = 'block';
-      updateInfoPanel(focusTarget);
+      // Picking a portrait takes over from the tour
+      if (isTouring) stopTour();
+      lockFocus(hits[0].object);
     }
   } catch (error) {
     logError('Click handler', error);
@@ -410,52 +811,51 @@ window.addEventListener('keydown', (e) => {
   try {
     if (e.key === 'Escape') {
       // Stop auto tour if running
-      if (isTouring) {
-        isTouring = false;
-        if (tourInterval) {
-          clearInterval(tourInterval);
-          tourInterval = null;
-        }
-        updateButtonIcon(tourBtn, 'play', 'Start Tour');
-        safeToggleClass(tourBtn, 'touring', false);
-      }
+      if (isTouring) stopTour();
       
       // Exit portrait focus and go back to room view
       clearFocusAndGoToRoom();
     }
     
+    // During a tour, arrows step through its stops and Space pauses it
+    // (not while typing in the search box or curator fields)
+    if (isTouring) {
+      const typing = e.target instanceof HTMLElement && e.target.matches('input, textarea, select, [contenteditable]');
+      if (typing) return;
+      const onButton = e.target instanceof HTMLElement && e.target.matches('button');
+      if (e.key === 'ArrowRight') {
+        nextTourStop();
+      } else if (e.key === 'ArrowLeft') {
+        previousTourStop();
+      } else if (e.key === ' ' && !onButton) {
+        e.preventDefault();
+        toggleTourPause();
+      }
+      return;
+    }
+    
     // Arrow key navigation between portraits
     if (isLocked && (e.key === 'ArrowRight' || e.key === 'ArrowLeft')) {
-      if (exhibits.length === 0) return;
+      const sequence = browsableExhibits();
+      if (sequence.length === 0) return;
       
-      let newIndex = currentPortraitIndex - 1;
-      
-      if (e.key === 'ArrowRight') {
-        newIndex = (newIndex + 1) % exhibits.length;
-      } else if (e.key === 'ArrowLeft') {
-        newIndex = (newIndex - 1 + exhibits.length) % exhibits.length;
+      // From a dimmed portrait, step to the next matching one along the walls
+      const forward = e.key === 'ArrowRight';
+      const current = sequence.indexOf(focusTarget);
+      let newIndex;
+      if (current === -1) {
+        const from = exhibits.indexOf(focusTarget);
+        const after = sequence.findIndex(mesh => exhibits.indexOf(mesh) > from);
+        const nextIndex = after === -1 ? sequence.length : after;
+        newIndex = forward ? nextIndex % sequence.length : (nextIndex - 1 + sequence.length) % sequence.length;
+      } else {
+        newIndex = (current + (forward ? 1 : -1) + sequence.length) % sequence.length;
       }
       
-      const newPortrait = exhibits[newIndex];
+      const newPortrait = sequence[newIndex];
       if (!newPortrait) return;
       
-      const currentRoom = focusTarget ? getRoomFromPortrait(focusTarget) : null;
-      const newRoom = getRoomFromPortrait(newPortrait);
-      
-      // Check if we're changing rooms
-      if (currentRoom && newRoom && currentRoom !== newRoom) {
-        // Different room - navigate to room first, then focus portrait
-        clearFocus();
-        pendingPortraitFocus = { portrait: newPortrait, index: newIndex };
-        navigateToRoom(newRoom, null);
-      } else {
-        // Same room - just switch portrait
-        focusTarget = newPortrait;
-        currentPortraitIndex = newIndex + 1;
-        
-        safeSetContent(currentPortraitEl, String(currentPortraitIndex));
-        updateInfoPanel(focusTarget);
-      }
+      focusPortrait(newPortrait);
     }
   } catch (error) {
     logError('Keyboard event', error);
@@ -482,25 +882,17 @@ function animate() {
 
     // Check if room navigation just completed - focus pending portrait
     if (wasNavigating && !isNavigating && pendingPortraitFocus) {
-      // Small delay to let the view settle
+      // Small delay to let the view settle; a focus asked for meanwhile
+      // waits for its own flight
+      const pending = pendingPortraitFocus;
       setTimeout(() => {
         try {
-          if (pendingPortraitFocus) {
-            focusTarget = pendingPortraitFocus.portrait;
-            currentPortraitIndex = pendingPortraitFocus.index + 1;
-            isLocked = true;
-            
-            controls.enableRotate = false;
-            controls.enablePan = false;
-            controls.enableZoom = false;
-            
-            if (portraitCounterEl) portraitCounterEl.style.display = 'block';
-            safeSetContent(currentPortraitEl, String(currentPortraitIndex));
-            
-            if (infoEl) infoEl.style.display = 'block';
-            updateInfoPanel(focusTarget);
-            
-            pendingPortraitFocus = null;
+          if (pendingPortraitFocus !== pending) return;
+          pendingPortraitFocus = null;
+          if (!pending.tourStop) {
+            lockFocus(pending.portrait);
+          } else if (isTouring) {
+            focusTourExhibit(pending.portrait);
           }
         } catch (error) {
           logError('Pending portrait focus', error);
@@ -511,33 +903,38 @@ function animate() {
 
     // Smooth camera movement when focusing on portrait
     if (focusTarget && isLocked) {
-      const targetPos = new THREE.Vector3();
-      focusTarget.getWorldPosition(targetPos);
-      
-      let cameraOffset = new THREE.Vector3(0, 0, 3.5);
-      
-      const facing = focusTarget.userData.facing;
-      if (facing === 'right') {
-        cameraOffset = new THREE.Vector3(3.5, 0, 0);
-      } else if (facing === 'left') {
-        cameraOffset = new THREE.Vector3(-3.5, 0, 0);
-      }
-      
-      camera.position.lerp(
-        new THREE.Vector3(
-          targetPos.x + cameraOffset.x,
-          targetPos.y,
-          targetPos.z + cameraOffset.z
-        ),
-        0.06
-      );
-      controls.target.lerp(targetPos, 0.08);
+      const pose = portraitCameraPose(focusTarget);
+      camera.position.lerp(pose.position, 0.06);
+      controls.target.lerp(pose.target, 0.08);
     }
     
     // Room navigation animation
     updateNavigation();
 
-    controls.update();
+    // First-person walking, when on and nothing else has the camera
+    const walked = updateWalk(performance.now());
+
+    // Room ambience follows the camera between rooms
+    updateSoundscape();
+
+    // Listening stations start as the camera walks up to them
+    updateStations();
+
+    // Visualizer sculpture follows the music
+    updateVisualizer(performance.now());
+    
+    // Tour clock, once the camera has arrived at the stop
+    updateTour(performance.now());
+
+    // Walking aims the camera itself; the orbit limits would tilt it back
+    if (!walked) controls.update();
+
+    // Keep the orbiting camera inside the building
+    if (!isLocked && !isNavigating && !walked) constrainOrbit();
+
+    // Minimap follows the camera once it has settled for the frame
+    updateMinimap();
+
     composer.render(); // Use post-processing composer
   } catch (error) {
     logError('Animation loop', error);
@@ -555,6 +952,60 @@ export function stopAnimation() {
   }
 }
 
+// ─────────────────────────────────────────────
+// LANGUAGE SWITCHER
+// ─────────────────────────────────────────────
+/**
+ * Updates text that is rendered from code rather than markup
+ */
+function updateLocalizedUI() {
+  try {
+    if (langBtn) {
+      safeSetContent(langBtn.querySelector('.lang-code'), getLocale().toUpperCase());
+    }
+    if (counterNoteKey) {
+      safeSetContent(counterNoteEl, t(counterNoteKey));
+    }
+    if (tourCaption) {
+      showTourCaption(tourCaption);
+    }
+    if (tourBtn) {
+      safeSetContent(tourBtn.querySelector('span'), t(isTouring ? 'tour.stop' : 'tour.start'));
+    }
+    if (focusTarget) {
+      updateInfoPanel(focusTarget, isTouring);
+    }
+  } catch (error) {
+    logError('updateLocalizedUI', error);
+  }
+}
+
+if (langBtn) {
+  langBtn.addEventListener('click', (e) => {
+    e.stopPropagation();
+    toggleLocale();
+  });
+}
+
+window.addEventListener('museum:localechange', updateLocalizedUI);
+
+// A new filter ends the tour and renumbers the counter
+window.addEventListener('museum:filterchange', () => {
+  if (isTouring) stopTour();
+  if (focusTarget && isLocked) {
+    const sequence = browsableExhibits();
+    updateCounter(sequence.indexOf(focusTarget) + 1, sequence.length);
+  }
+});
+
+// Exhibit edits (curator mode) and favourite changes show up in the open info panel
+window.addEventListener('museum:exhibitchange', () => {
+  if (focusTarget) updateInfoPanel(focusTarget, isTouring);
+});
+window.addEventListener('museum:favouriteschange', () => {
+  if (focusTarget) updateInfoPanel(focusTarget, isTouring);
+});
+
 // ─────────────────────────────────────────────
 // INITIALIZATION WITH ERROR HANDLING
 // ─────────────────────────────────────────────
@@ -563,9 +1014,15 @@ export function stopAnimation() {
  */
 export function initInteractions() {
   try {
+    // Labels rendered from code follow the selected language
+    updateLocalizedUI();
+    
     // Initialize room navigation with callback to clear focus
     initRoomNavigation(clearFocus);
     
+    // Exhibit count depends on the loaded manifest
+    safeSetContent(totalPortraitsEl, String(exhibits.length));
+    
     // Start animation loop
     animate();
     
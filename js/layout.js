@@ -0,0 +1,199 @@
+/**
+ * LAYOUT.JS - Wall Layout Engine
+ *
+ * @module layout
+ * @description Distributes any number of portraits over the back and side
+ * walls of a room, deepening the room when its walls are full
+ */
+
+import { getRoomAxes } from './registry.js';
+import { CONFIG } from './config.js';
+
+/**
+ * @typedef {Object} WallSlot
+ * @property {string} wall - 'back', 'left' or 'right' (as seen from the room entrance)
+ * @property {number} x - World X of the portrait centre
+ * @property {number} z - World Z of the portrait centre
+ * @property {number} rotationY - Rotation so the portrait faces into the room
+ * @property {{x: number, z: number}} normal - Direction the portrait faces
+ */
+
+/**
+ * @typedef {Object} RoomLayout
+ * @property {{x: number, z: number}} center - Room centre (moves back when the room is deepened)
+ * @property {number} width - Length of the back wall
+ * @property {number} depth - Distance from the entrance to the back wall
+ * @property {{normal: {x: number, z: number}, right: {x: number, z: number}}} axes - Room axes
+ * @property {WallSlot[]} slots - One slot per placed portrait, in reading order
+ * @property {{x: number, z: number, length: number, rotationY: number}[]} barriers - Rope barriers in front of occupied walls
+ * @property {number} capacity - Number of portraits the final room size can hold
+ * @property {number} overflow - Portraits that did not fit
+ */
+
+/**
+ * Rotation that turns a plane facing +Z towards the given normal
+ * @param {{x: number, z: number}} normal - Facing direction
+ * @returns {number} Rotation around Y
+ */
+export function rotationFromNormal(normal) {
+  return Math.atan2(normal.x, normal.z);
+}
+
+/**
+ * Number of portraits that fit on a given length of wall
+ * @param {number} length - Usable wall length
+ * @returns {number} Capacity
+ */
+function wallCapacity(length) {
+  return Math.max(0, Math.floor(length / CONFIG.layout.minSpacing));
+}
+
+/**
+ * Usable lengths of each wall for a room of the given size
+ * Side walls keep clear of the back corner and of the open entrance end
+ * @param {number} width - Back wall length
+ * @param {number} depth - Room depth
+ * @returns {{back: number, left: number, right: number}} Usable lengths
+ */
+function usableLengths(width, depth) {
+  const { wallMargin, entranceClearance } = CONFIG.layout;
+  const side = Math.max(0, depth - wallMargin - entranceClearance);
+  return { back: Math.max(0, width - wallMargin * 2), left: side, right: side };
+}
+
+/**
+ * Splits a number of portraits over the walls in fill order
+ * @param {number} count - Number of portraits
+ * @param {{back: number, left: number, right: number}} lengths - Usable wall lengths
+ * @returns {{counts: Object.<string, number>, placed: number}} Portraits per wall
+ */
+function fillWalls(count, lengths) {
+  const counts = { back: 0, left: 0, right: 0 };
+  let remaining = count;
+
+  CONFIG.layout.wallOrder.forEach(wall => {
+    const take = Math.min(remaining, wallCapacity(lengths[wall]));
+    counts[wall] = take;
+    remaining -= take;
+  });
+
+  return { counts, placed: count - remaining };
+}
+
+/**
+ * Depth a room needs for its portraits
+ * Rooms are deepened (moving the back wall away from the entrance) until everything fits
+ * @param {number} count - Number of portraits
+ * @returns {number} Room depth, never more than CONFIG.layout.maxDepth
+ */
+export function requiredDepth(count) {
+  const { autoResize, maxDepth, minSpacing } = CONFIG.layout;
+  const width = CONFIG.room.depth;
+  let depth = CONFIG.room.depth;
+
+  while (autoResize && depth < maxDepth && fillWalls(count, usableLengths(width, depth)).placed < count) {
+    depth = Math.min(maxDepth, depth + minSpacing);
+  }
+
+  return depth;
+}
+
+/**
+ * Computes the room size and a wall slot for each portrait
+ * @param {Object} room - Room definition from the registry
+ * @param {number} count - Number of portraits to place
+ * @returns {RoomLayout} The layout
+ */
+export function layoutRoom(room, count) {
+  const { wallMargin, wallInset } = CONFIG.layout;
+  const axes = getRoomAxes(room.facing);
+  const width = CONFIG.room.depth;
+  const depth = requiredDepth(count);
+  const lengths = usableLengths(width, depth);
+  const fill = fillWalls(count, lengths);
+
+  const { normal, right } = axes;
+  const grow = (depth - CONFIG.room.depth) / 2;
+  const center = {
+    x: room.position.x - normal.x * grow,
+    z: room.position.z - normal.z * grow
+  };
+
+  // Point on the floor at (right offset, distance from back wall)
+  const at = (along, fromBack) => ({
+    x: center.x + right.x * along + normal.x * (fromBack - depth / 2),
+    z: center.z + right.z * along + normal.z * (fromBack - depth / 2)
+  });
+
+  // Evenly spaced offsets over a usable span
+  const spread = (n, length) => Array.from({ length: n }, (_, i) => -length / 2 + length * (i + 0.5) / n);
+
+  const slots = [];
+  const barriers = [];
+  const { counts } = fill;
+  const { barrierOffset } = CONFIG.layout;
+  const halfFrame = CONFIG.portrait.width / 2 + 0.25;
+  const sidesUsed = counts.left > 0 || counts.right > 0;
+
+  // Rope barrier parallel to a wall, spanning its portraits
+  const addBarrier = (from, to, wallNormal) => {
+    const mid = {
+      x: (from.x + to.x) / 2 + wallNormal.x * barrierOffset,
+      z: (from.z + to.z) / 2 + wallNormal.z * barrierOffset
+    };
+    const length = Math.hypot(to.x - from.x, to.z - from.z);
+    // Barriers run along the wall, i.e. perpendicular to its normal
+    barriers.push({ ...mid, length, rotationY: rotationFromNormal(wallNormal) });
+  };
+
+  // Side wall slots between the back corner and the entrance
+  const sideSlots = (wall, along, wallNormal, fromBackOffsets) => {
+    fromBackOffsets.forEach(offset => {
+      const fromBack = wallMargin + lengths[wall] / 2 + offset;
+      slots.push({ wall, ...at(along, fromBack), normal: wallNormal, rotationY: rotationFromNormal(wallNormal) });
+    });
+    const first = Math.min(...fromBackOffsets) + wallMargin + lengths[wall] / 2;
+    const last = Math.max(...fromBackOffsets) + wallMargin + lengths[wall] / 2;
+    addBarrier(
+      at(along, Math.max(first - halfFrame, barrierOffset + 0.3)),
+      at(along, last + halfFrame),
+      wallNormal
+    );
+  };
+
+  // Reading order: left wall from the entrance inwards, back wall left to right, right wall back out
+  if (counts.left > 0) {
+    sideSlots('left', -width / 2 + wallInset, right, spread(counts.left, lengths.left).reverse());
+  }
+
+  if (counts.back > 0) {
+    const offsets = spread(counts.back, lengths.back);
+    offsets.forEach(offset => {
+      slots.push({ wall: 'back', ...at(offset, wallInset), normal, rotationY: rotationFromNormal(normal) });
+    });
+    // Keep clear of the side barriers at the corners
+    const limit = width / 2 - (sidesUsed ? barrierOffset + 0.3 : 0.5);
+    addBarrier(
+      at(Math.max(offsets[0] - halfFrame, -limit), 0),
+      at(Math.min(offsets[offsets.length - 1] + halfFrame, limit), 0),
+      normal
+    );
+  }
+
+  if (counts.right > 0) {
+    sideSlots('right', width / 2 - wallInset, { x: -right.x, z: -right.z }, spread(counts.right, lengths.right));
+  }
+
+  const capacity = wallCapacity(lengths.back) + wallCapacity(lengths.left) + wallCapacity(lengths.right);
+
+  return {
+    center,
+    width,
+    depth,
+    axes,
+    slots,
+    barriers,
+    capacity,
+    overflow: count - fill.placed
+  };
+}
@@ -21,6 +21,10 @@ const loadingManager = {
 
 const loadingBar = document.querySelector('.loading-bar');
 const loadingScreen = document.getElementById('loading-screen');
+const loadingIssuesEl = document.getElementById('loading-issues');
+const loadingIssues = [];
+let loadingComplete = false;
+let registrationComplete = false; // Set once every asset of the build has been registered
 
 /**
  * Updates the loading progress bar
@@ -45,18 +49,49 @@ export function registerAsset() {
     updateLoadingProgress(progress);
     
     // Check if all assets are loaded
-    if (loadingManager.loaded >= loadingManager.total) {
+    if (registrationComplete && loadingManager.loaded >= loadingManager.total) {
       checkLoadingComplete();
     }
   };
 }
 
+/**
+ * Marks the end of asset registration
+ * Call once the museum build has registered all its assets; until then
+ * the loading screen stays up, even when the assets registered so far
+ * have all finished
+ */
+export function finishAssetRegistration() {
+  registrationComplete = true;
+  if (loadingManager.loaded >= loadingManager.total) {
+    checkLoadingComplete();
+  }
+}
+
+/**
+ * Reports a non-fatal loading problem on the loading screen
+ * @param {string} message - Description of the problem
+ */
+export function reportLoadingIssue(message) {
+  loadingIssues.push(message);
+  console.warn('[Loading]', message);
+  
+  if (loadingIssuesEl) {
+    const item = document.createElement('li');
+    item.textContent = message;
+    loadingIssuesEl.appendChild(item);
+    loadingIssuesEl.style.display = 'block';
+  }
+}
+
 /**
  * Checks if minimum load time has elapsed
  */
 function checkLoadingComplete() {
   const elapsed = Date.now() - loadingManager.startTime;
-  const remaining = Math.max(0, loadingManager.minLoadTime - elapsed);
+  // Leave reported issues on screen long enough to be read
+  const issueTime = loadingIssues.length > 0 ? CONFIG.loading.issueDisplayTime : 0;
+  const remaining = Math.max(0, loadingManager.minLoadTime - elapsed) + issueTime;
   
   setTimeout(() => {
     hideLoadingScreen();
@@ -64,9 +99,21 @@ function checkLoadingComplete() {
 }
 
 /**
- * Hides the loading screen
+ * Whether the loading screen has been dismissed
+ * @returns {boolean} True once the museum is on screen
+ */
+export function isLoadingComplete() {
+  return loadingComplete;
+}
+
+/**
+ * Hides the loading screen and fires 'museum:ready'
  */
 function hideLoadingScreen() {
+  if (loadingComplete) return;
+  loadingComplete = true;
+  window.dispatchEvent(new CustomEvent('museum:ready'));
+  
   if (loadingScreen) {
     loadingScreen.classList.add('hidden');
     
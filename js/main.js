@@ -5,26 +5,110 @@
  * @description Builds all museum rooms, portraits, and initializes the app
  */
 
-import { stopLoaderAnimation } from './loader.js';
+import { stopLoaderAnimation, finishAssetRegistration } from './loader.js';
 import { buildCentralHallway, buildEagleMonument, buildEntranceHall } from './rooms.js';
-import { buildAllPortraits } from './portraits.js';
+import { loadMuseum } from './portraits.js';
+import { getGalleryRooms } from './registry.js';
+import { generateFloorPlan, applyFloorPlan } from './floorplan.js';
+import { buildVisualizer } from './visualizer.js';
+import { buildNavigationGraph } from './pathfinding.js';
 import { initInteractions } from './interactions.js';
+import { initCurator } from './curator.js';
+import { initSearch } from './search.js';
+import { initTimeline } from './timeline.js';
+import { initFilters } from './filters.js';
+import { initRelations } from './relations.js';
+import { initFavourites } from './favourites.js';
+import { initTours } from './tours.js';
+import { initGuide } from './guide.js';
+import { initSoundscape } from './soundscape.js';
+import { initStations } from './stations.js';
+import { initWalk } from './walk.js';
+import { initMinimap } from './minimap.js';
+import { initTeleport } from './teleport.js';
+import { initRouter } from './router.js';
+import { applyStaticTranslations } from './i18n.js';
 
 // ═══════════════════════════════════════════
 // BUILD THE MUSEUM
 // ═══════════════════════════════════════════
 
+// Translate the loading screen and title bar before anything else
+applyStaticTranslations();
+
+// Load exhibits from the manifest
+const museum = await loadMuseum();
+
+// ─────────────────────────────────────────────
+// GENERATE THE FLOOR PLAN
+// ─────────────────────────────────────────────
+const galleryRooms = getGalleryRooms();
+const floorPlan = generateFloorPlan(galleryRooms, museum.getRoomDepths());
+applyFloorPlan(floorPlan, galleryRooms);
+
 // Build central hallway and monuments
-buildCentralHallway();
-buildEagleMonument();
+buildCentralHallway(floorPlan);
+buildEagleMonument(floorPlan.monument);
 buildEntranceHall();
 
+// Audio visualizer sculpture in the entrance hall
+buildVisualizer();
+
 // ─────────────────────────────────────────────
 // BUILD ALL PORTRAIT ROOMS
 // ─────────────────────────────────────────────
-buildAllPortraits();
+museum.build();
+
+// Waypoints for room flights, now that every wall is in place
+buildNavigationGraph(floorPlan);
 
 // ─────────────────────────────────────────────
 // INITIALIZE INTERACTIONS
 // ─────────────────────────────────────────────
 initInteractions();
+
+// Curator mode (?curator or Alt+Shift+C)
+initCurator(museum);
+
+// Exhibit search (/ or the title-bar button)
+initSearch();
+
+// Chronological timeline (T or the title-bar button)
+initTimeline();
+
+// Tag filter panel
+initFilters(museum);
+
+// Arcs between related portraits
+initRelations();
+
+// Saved favourites, their drawer and tour
+initFavourites();
+
+// Tour menu and scripted tours (data/tours.json)
+initTours();
+
+// Spoken audio guide for focused portraits
+initGuide();
+
+// Music and positional room ambience, with volume and mute
+initSoundscape(floorPlan.monument);
+
+// Listening stations at audio exhibits (after the guide, whose narration comes first)
+initStations(museum);
+
+// First-person walk mode (F or the title-bar button)
+initWalk();
+
+// Floor plan minimap (M or the title-bar button)
+initMinimap(museum, floorPlan);
+
+// Click the floor to glide there
+initTeleport();
+
+// Deep links (#/room/<id>, #/exhibit/<slug>) and Back/Forward
+initRouter();
+
+// Every asset is registered now (eagle model, tour scripts); the loading
+// screen waits for all of them
+finishAssetRegistration();
@@ -0,0 +1,327 @@
+/**
+ * MANIFEST.JS - Exhibit manifest loading and validation
+ *
+ * @module manifest
+ * @description Fetches the versioned exhibit manifest, validates every entry
+ * and falls back to the bundled portrait data when the manifest is unusable
+ */
+
+import { getRoom, findRoomByName, RELATION_TYPES } from './registry.js';
+import { CONFIG } from './config.js';
+
+// ═══════════════════════════════════════════
+// SCHEMA
+// ═══════════════════════════════════════════
+// 'text' fields are plain strings or localized objects ({ en: '...', sq: '...' })
+// 'image' fields are a URL or { src, fallback, credit, license } (see images.js)
+// 'tags' fields are lists of tag ids (see TAGS in registry.js)
+// 'relations' fields are lists of { to: exhibit name, type } (see RELATION_TYPES in registry.js)
+// 'narration' is an audio file URL, or one per language ({ en: '...mp3', sq: '...mp3' }), see guide.js
+// 'captions' is a WebVTT file URL for the narration, or one per language, see captions.js
+// 'clip' is a short recording played at the portrait's listening station, or one per language, see stations.js
+const REQUIRED_FIELDS = {
+  room: 'string',
+  position: 'number',
+  years: 'text',
+  achievement: 'text'
+};
+
+const OPTIONAL_FIELDS = {
+  label: 'text',
+  quote: 'text',
+  wiki: 'string',
+  narration: 'text',
+  captions: 'text',
+  clip: 'text',
+  image: 'image',
+  tags: 'tags',
+  relations: 'relations'
+};
+
+/**
+ * Checks an image field: a URL, or bundled sources keyed by width with an
+ * optional remote fallback, and credits for either
+ * @param {*} value - Field value
+ * @returns {boolean} True when the value is a usable image
+ */
+function isImage(value) {
+  if (typeof value === 'string') return value.trim() !== '';
+  if (!value || typeof value !== 'object' || Array.isArray(value)) return false;
+
+  const { src, fallback, credit, license, fallbackCredit, fallbackLicense } = value;
+  const validSrc = src === undefined || matchesType(src, 'string') || (
+    !!src && typeof src === 'object' && !Array.isArray(src) && Object.keys(src).length > 0 &&
+    Object.entries(src).every(([width, path]) => /^[1-9]\d*$/.test(width) && matchesType(path, 'string'))
+  );
+
+  return validSrc &&
+    (src !== undefined || fallback !== undefined) &&
+    (fallback === undefined || matchesType(fallback, 'string')) &&
+    (credit === undefined || matchesType(credit, 'text')) &&
+    (license === undefined || matchesType(license, 'text')) &&
+    (fallbackCredit === undefined || matchesType(fallbackCredit, 'text')) &&
+    (fallbackLicense === undefined || matchesType(fallbackLicense, 'text'));
+}
+
+/**
+ * Checks a value against a schema type
+ * @param {*} value - Field value
+ * @param {string} type - 'string', 'number', 'text', 'image', 'tags' or 'relations'
+ * @returns {boolean} True when the value matches
+ */
+export function matchesType(value, type) {
+  if (type === 'image') return isImage(value);
+  if (type === 'relations') {
+    return Array.isArray(value) && value.every(relation =>
+      !!relation && typeof relation === 'object' &&
+      matchesType(relation.to, 'string') &&
+      Object.prototype.hasOwnProperty.call(RELATION_TYPES, relation.type)
+    );
+  }
+  if (type === 'tags') {
+    return Array.isArray(value) && value.every(tag => typeof tag === 'string' && /^[a-z0-9]+(?:-[a-z0-9]+)*$/.test(tag));
+  }
+  if (type === 'text') {
+    if (typeof value === 'string') return value.trim() !== '';
+    return !!value && typeof value === 'object' && !Array.isArray(value) &&
+      typeof value[CONFIG.i18n.defaultLocale] === 'string' &&
+      Object.values(value).every(text => typeof text === 'string' && text.trim() !== '');
+  }
+  if (type === 'string') {
+    return typeof value === 'string' && value.trim() !== '';
+  }
+  return typeof value === type;
+}
+
+/**
+ * Describes a schema type for error messages
+ * @param {string} type - Schema type
+ * @returns {string} Description
+ */
+function describeType(type) {
+  if (type === 'text') return `non-empty string or localized object with an "${CONFIG.i18n.defaultLocale}" entry`;
+  if (type === 'string') return 'non-empty string';
+  if (type === 'relations') return `list of { "to": exhibit name, "type": ${Object.keys(RELATION_TYPES).map(id => `"${id}"`).join(' | ')} }`;
+  if (type === 'tags') return 'list of lowercase tag ids (e.g. ["kosovo", "independence"])';
+  if (type === 'image') return 'URL or image object with "src" (path or paths keyed by width) and/or "fallback"';
+  return type;
+}
+
+/**
+ * Parses a frame colour into a hex number
+ * Accepts numbers (0x5c3a21) and strings ('#5c3a21' or '0x5c3a21')
+ * @param {number|string} value - Colour value from the manifest
+ * @returns {number|null} Colour as a number, or null if the format is invalid
+ */
+export function parseColor(value) {
+  if (typeof value === 'number') {
+    return Number.isInteger(value) && value >= 0 && value <= 0xffffff ? value : null;
+  }
+
+  if (typeof value === 'string') {
+    const match = value.trim().match(/^(?:#|0x)([0-9a-f]{6})$/i);
+    return match ? parseInt(match[1], 16) : null;
+  }
+
+  return null;
+}
+
+/**
+ * Validates a single exhibit entry
+ * @param {string} name - Exhibit name
+ * @param {Object} data - Exhibit data
+ * @returns {string[]} List of problems (empty when valid)
+ */
+function validateEntry(name, data) {
+  const problems = [];
+
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return ['entry is not an object'];
+  }
+
+  Object.entries(REQUIRED_FIELDS).forEach(([field, type]) => {
+    if (!(field in data)) {
+      problems.push(`missing required field "${field}"`);
+    } else if (!matchesType(data[field], type)) {
+      problems.push(`"${field}" must be a ${describeType(type)}`);
+    }
+  });
+
+  Object.entries(OPTIONAL_FIELDS).forEach(([field, type]) => {
+    if (field in data && !matchesType(data[field], type)) {
+      problems.push(`"${field}" must be a ${describeType(type)}`);
+    }
+  });
+
+  if (typeof data.room === 'string') {
+    const room = getRoom(data.room);
+    if (!room || room.gallery === false) {
+      problems.push(`unknown gallery room "${data.room}"`);
+    }
+  }
+
+  if (typeof data.position === 'number' && (!Number.isInteger(data.position) || data.position < 0)) {
+    problems.push(`"position" must be a non-negative integer`);
+  }
+
+  if ('frameColor' in data && parseColor(data.frameColor) === null) {
+    problems.push(`invalid frameColor "${data.frameColor}" (expected #rrggbb)`);
+  }
+
+  return problems;
+}
+
+/**
+ * Validates a set of exhibits and normalises valid entries
+ * @param {Object.<string, Object>} exhibits - Exhibits keyed by name
+ * @returns {{exhibits: Object.<string, Object>, errors: string[]}} Valid exhibits and error messages
+ */
+export function validateExhibits(exhibits) {
+  const valid = {};
+  const errors = [];
+  const takenPositions = new Map();
+
+  if (!exhibits || typeof exhibits !== 'object' || Array.isArray(exhibits)) {
+    return { exhibits: valid, errors: ['"exhibits" must be an object keyed by exhibit name'] };
+  }
+
+  Object.entries(exhibits).forEach(([name, data]) => {
+    const problems = validateEntry(name, data);
+
+    // Positions must be unique within a room
+    if (problems.length === 0) {
+      const positionKey = `${data.room}#${data.position}`;
+      if (takenPositions.has(positionKey)) {
+        problems.push(`position ${data.position} in "${data.room}" is already used by "${takenPositions.get(positionKey)}"`);
+      } else {
+        takenPositions.set(positionKey, name);
+      }
+    }
+
+    if (problems.length > 0) {
+      problems.forEach(problem => errors.push(`${name}: ${problem}`));
+      return;
+    }
+
+    valid[name] = {
+      ...data,
+      frameColor: 'frameColor' in data ? parseColor(data.frameColor) : CONFIG.portrait.frameColor
+    };
+  });
+
+  // Relations may only point at other exhibits that made it through; broken ones are dropped
+  Object.entries(valid).forEach(([name, data]) => {
+    if (!data.relations) return;
+    data.relations = data.relations.filter(relation => {
+      if (relation.to !== name && relation.to in valid) return true;
+      errors.push(`${name}: relation "${relation.type}" points at ${relation.to === name ? 'itself' : `unknown exhibit "${relation.to}"`}`);
+      return false;
+    });
+  });
+
+  return { exhibits: valid, errors };
+}
+
+/**
+ * Upgrades a version 1 manifest, where exhibits carried the room name and
+ * its x/z/facing, to version 2 where they reference a registry room id
+ * @param {Object.<string, Object>} exhibits - Version 1 exhibits
+ * @returns {Object.<string, Object>} Version 2 exhibits
+ */
+function migrateV1Exhibits(exhibits) {
+  const migrated = {};
+
+  Object.entries(exhibits || {}).forEach(([name, data]) => {
+    if (!data || typeof data !== 'object') {
+      migrated[name] = data;
+      return;
+    }
+
+    const { x, z, facing, ...rest } = data;
+    const room = findRoomByName(data.room);
+    migrated[name] = { ...rest, room: room ? room.id : data.room };
+  });
+
+  return migrated;
+}
+
+/**
+ * Fetches a JSON data file (the manifest, tour scripts) with a timeout
+ * 404s are flagged with error.missing
+ * @param {string} path - File URL
+ * @returns {Promise<Object>} Parsed JSON
+ */
+export async function fetchManifest(path) {
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), CONFIG.exhibits.requestTimeout);
+
+  try {
+    const response = await fetch(path, { cache: 'no-cache', signal: controller.signal });
+    if (!response.ok) {
+      const error = new Error(`HTTP ${response.status}`);
+      error.missing = response.status === 404;
+      throw error;
+    }
+    return await response.json();
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
+
+/**
+ * Loads the exhibit manifest, falling back to bundled data when needed
+ * @param {Object.<string, Object>} bundledData - Exhibits shipped with the code
+ * @returns {Promise<{exhibits: Object.<string, Object>, source: string, version: number|null, errors: string[]}>}
+ */
+export async function loadExhibitManifest(bundledData) {
+  const errors = [];
+
+  const useBundled = () => {
+    const bundled = validateExhibits(bundledData);
+    return {
+      exhibits: bundled.exhibits,
+      source: 'bundled',
+      version: null,
+      errors: errors.concat(bundled.errors)
+    };
+  };
+
+  if (!CONFIG.exhibits.manifestPath) {
+    return useBundled();
+  }
+
+  let manifest;
+  try {
+    manifest = await fetchManifest(CONFIG.exhibits.manifestPath);
+  } catch (error) {
+    if (error.missing) {
+      console.warn(`Exhibit manifest not found at ${CONFIG.exhibits.manifestPath}, using bundled data`);
+    } else {
+      errors.push(`Exhibit manifest could not be loaded (${error.message}), using bundled data`);
+    }
+    return useBundled();
+  }
+
+  let manifestExhibits = manifest && manifest.exhibits;
+  if (manifest && manifest.version === 1) {
+    manifestExhibits = migrateV1Exhibits(manifestExhibits);
+  } else if (!manifest || manifest.version !== CONFIG.exhibits.manifestVersion) {
+    errors.push(`Unsupported manifest version "${manifest && manifest.version}" (expected ${CONFIG.exhibits.manifestVersion}), using bundled data`);
+    return useBundled();
+  }
+
+  const result = validateExhibits(manifestExhibits);
+  errors.push(...result.errors);
+
+  if (Object.keys(result.exhibits).length === 0) {
+    errors.push('Exhibit manifest contains no valid exhibits, using bundled data');
+    return useBundled();
+  }
+
+  return {
+    exhibits: result.exhibits,
+    source: 'manifest',
+    version: manifest.version,
+    errors
+  };
+}
@@ -0,0 +1,408 @@
+/**
+ * MINIMAP.JS - Floor Plan Minimap
+ *
+ * @module minimap
+ * @description A small 2D floor plan drawn from the room layout: rooms,
+ * hallways, the eagle monument and the entrance hall, with the camera's
+ * position and view direction, the room it is in and a dot per exhibit,
+ * filled once visited. Clicking a room flies there, clicking a dot focuses
+ * the portrait
+ */
+
+import * as THREE from 'three';
+import { camera } from './scene.js';
+import { exhibits } from './portraits.js';
+import { entranceHall } from './rooms.js';
+import { getRoom, toCssColor } from './registry.js';
+import { navigateToRoom } from './navigation.js';
+import { focusPortrait, clearFocus } from './interactions.js';
+import { t, localize } from './i18n.js';
+import { CONFIG } from './config.js';
+
+/**
+ * @typedef {Object} MapRoom
+ * @property {string} id - Room id
+ * @property {number} minX - Footprint, world units
+ * @property {number} maxX
+ * @property {number} minZ
+ * @property {number} maxZ
+ * @property {{x: number, z: number}[]|null} walls - Wall outline from one side of the entrance round to the other, null for the open entrance hall
+ */
+
+// DOM elements
+const panelEl = document.getElementById('minimap');
+const canvasEl = document.getElementById('minimap-canvas');
+const minimapBtn = document.getElementById('minimap-btn');
+
+// State
+let plan = null; // FloorPlan
+let rooms = []; // MapRoom[]
+let bounds = null; // World area shown, { minX, minZ, scale }
+let visited = new Set(); // Names of exhibits the visitor has focused
+let focusedMesh = null;
+let dirty = true; // Something besides the camera changed since the last drawing
+let lastView = ''; // Camera position and heading at the last drawing
+const direction = new THREE.Vector3();
+const worldPosition = new THREE.Vector3();
+
+// ═══════════════════════════════════════════
+// STORAGE
+// ═══════════════════════════════════════════
+
+/**
+ * Reads the visited exhibit names from localStorage
+ * @returns {Set<string>} Exhibit names
+ */
+function loadVisited() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(CONFIG.minimap.storageKey) || '[]');
+    return new Set(Array.isArray(stored) ? stored.filter(name => typeof name === 'string') : []);
+  } catch (error) {
+    // Storage may be unavailable (private mode) or hold something else
+    return new Set();
+  }
+}
+
+function storeVisited() {
+  try {
+    localStorage.setItem(CONFIG.minimap.storageKey, JSON.stringify([...visited]));
+  } catch (error) {
+    console.warn('[Minimap] Could not save visited exhibits', error);
+  }
+}
+
+// ═══════════════════════════════════════════
+// LAYOUT
+// ═══════════════════════════════════════════
+
+/**
+ * Footprint and wall outline of a gallery, from its wall layout
+ * @param {MuseumRoom} museumRoom - Built room
+ * @returns {MapRoom} Room on the map
+ */
+function mapGallery(museumRoom) {
+  const { center, width, depth, axes } = museumRoom.layout;
+  const { normal, right } = axes;
+  const corner = (alongRight, alongNormal) => ({
+    x: center.x + right.x * alongRight * width / 2 + normal.x * alongNormal * depth / 2,
+    z: center.z + right.z * alongRight * width / 2 + normal.z * alongNormal * depth / 2
+  });
+  const walls = [corner(-1, 1), corner(-1, -1), corner(1, -1), corner(1, 1)];
+
+  return {
+    id: museumRoom.room.id,
+    minX: Math.min(...walls.map(point => point.x)),
+    maxX: Math.max(...walls.map(point => point.x)),
+    minZ: Math.min(...walls.map(point => point.z)),
+    maxZ: Math.max(...walls.map(point => point.z)),
+    walls
+  };
+}
+
+/**
+ * World extents of a hallway floor strip
+ * @param {Object} strip - Hallway floor strip
+ * @returns {{minX: number, maxX: number, minZ: number, maxZ: number}} Extents
+ */
+function stripExtents(strip) {
+  const sizeX = strip.alongX ? strip.length : strip.width;
+  const sizeZ = strip.alongX ? strip.width : strip.length;
+  return { minX: strip.x - sizeX / 2, maxX: strip.x + sizeX / 2, minZ: strip.z - sizeZ / 2, maxZ: strip.z + sizeZ / 2 };
+}
+
+/**
+ * Fits the whole floor plan into the canvas
+ */
+function fitBounds() {
+  const { width, height, padding } = CONFIG.minimap;
+  const areas = [...rooms, ...plan.hallways.map(stripExtents)];
+  const minX = Math.min(...areas.map(area => area.minX));
+  const maxX = Math.max(...areas.map(area => area.maxX));
+  const minZ = Math.min(...areas.map(area => area.minZ));
+  const maxZ = Math.max(...areas.map(area => area.maxZ));
+  const scale = Math.min((width - padding * 2) / (maxX - minX), (height - padding * 2) / (maxZ - minZ));
+
+  // Centre the plan in the canvas
+  bounds = {
+    scale,
+    offsetX: (width - (maxX - minX) * scale) / 2 - minX * scale,
+    offsetY: (height - (maxZ - minZ) * scale) / 2 - minZ * scale
+  };
+}
+
+/**
+ * World floor position to canvas position (north, away from the entrance, is up)
+ * @param {number} x - World X
+ * @param {number} z - World Z
+ * @returns {{x: number, y: number}} Canvas position (CSS pixels)
+ */
+function toMap(x, z) {
+  return { x: x * bounds.scale + bounds.offsetX, y: z * bounds.scale + bounds.offsetY };
+}
+
+/**
+ * Room whose floor a world position is on
+ * @param {number} x - World X
+ * @param {number} z - World Z
+ * @returns {MapRoom|null} Room, null in the hallways
+ */
+function roomAt(x, z) {
+  return rooms.find(room => x >= room.minX && x <= room.maxX && z >= room.minZ && z <= room.maxZ) || null;
+}
+
+// ═══════════════════════════════════════════
+// DRAWING
+// ═══════════════════════════════════════════
+
+/**
+ * Fills a world-space rectangle
+ * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * @param {{minX: number, maxX: number, minZ: number, maxZ: number}} area - Extents
+ */
+function fillArea(ctx, area) {
+  const from = toMap(area.minX, area.minZ);
+  const to = toMap(area.maxX, area.maxZ);
+  ctx.fillRect(from.x, from.y, to.x - from.x, to.y - from.y);
+}
+
+/**
+ * Draws a room: its floor in the room's accent colour, stronger for the
+ * room the camera is in, and its walls
+ * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * @param {MapRoom} room - Room on the map
+ * @param {boolean} current - Whether the camera is in it
+ */
+function drawRoom(ctx, room, current) {
+  const { colors } = CONFIG.minimap;
+  const registryRoom = getRoom(room.id);
+
+  ctx.fillStyle = registryRoom ? toCssColor(registryRoom.accentColor) : colors.hallway;
+  ctx.globalAlpha = current ? 0.85 : 0.35;
+  fillArea(ctx, room);
+  ctx.globalAlpha = 1;
+
+  if (!room.walls) return;
+  ctx.strokeStyle = current ? colors.current : colors.wall;
+  ctx.lineWidth = current ? 2 : 1.5;
+  ctx.beginPath();
+  room.walls.forEach((point, i) => {
+    const { x, y } = toMap(point.x, point.z);
+    if (i === 0) ctx.moveTo(x, y); else ctx.lineTo(x, y);
+  });
+  ctx.stroke();
+}
+
+/**
+ * Draws the camera as a dot with a cone in the direction it faces
+ * @param {CanvasRenderingContext2D} ctx - Canvas context
+ */
+function drawCamera(ctx) {
+  const { colors, viewConeLength } = CONFIG.minimap;
+  const { x, y } = toMap(camera.position.x, camera.position.z);
+  camera.getWorldDirection(direction);
+  const heading = Math.atan2(direction.z, direction.x);
+  const halfFov = THREE.MathUtils.degToRad(camera.fov) / 2;
+
+  ctx.fillStyle = colors.viewCone;
+  ctx.beginPath();
+  ctx.moveTo(x, y);
+  ctx.arc(x, y, viewConeLength, heading - halfFov, heading + halfFov);
+  ctx.closePath();
+  ctx.fill();
+
+  ctx.fillStyle = colors.camera;
+  ctx.beginPath();
+  ctx.arc(x, y, 4, 0, Math.PI * 2);
+  ctx.fill();
+}
+
+/**
+ * Draws the whole map: floor plan, exhibit dots and the camera
+ */
+function drawMap() {
+  const { width, height, colors, dotRadius } = CONFIG.minimap;
+  const ctx = canvasEl.getContext('2d');
+  const ratio = window.devicePixelRatio || 1;
+  ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+  ctx.clearRect(0, 0, width, height);
+
+  // Hallways under the rooms
+  ctx.fillStyle = colors.hallway;
+  plan.hallways.forEach(strip => fillArea(ctx, stripExtents(strip)));
+
+  const current = roomAt(camera.position.x, camera.position.z);
+  rooms.forEach(room => drawRoom(ctx, room, room === current));
+
+  // Eagle monument
+  if (plan.monument) {
+    const { x, y } = toMap(plan.monument.x, plan.monument.z);
+    ctx.fillStyle = colors.monument;
+    ctx.beginPath();
+    ctx.moveTo(x, y - 5);
+    ctx.lineTo(x + 5, y);
+    ctx.lineTo(x, y + 5);
+    ctx.lineTo(x - 5, y);
+    ctx.closePath();
+    ctx.fill();
+  }
+
+  // Exhibits, filled once visited
+  exhibits.forEach(mesh => {
+    mesh.getWorldPosition(worldPosition);
+    const { x, y } = toMap(worldPosition.x, worldPosition.z);
+    ctx.beginPath();
+    ctx.arc(x, y, mesh === focusedMesh ? dotRadius + 1.5 : dotRadius, 0, Math.PI * 2);
+    if (visited.has(mesh.userData.name)) {
+      ctx.fillStyle = colors.visited;
+      ctx.fill();
+    } else {
+      ctx.strokeStyle = colors.exhibit;
+      ctx.lineWidth = 1.5;
+      ctx.stroke();
+    }
+  });
+
+  drawCamera(ctx);
+}
+
+/**
+ * Redraws the map when the camera has moved or turned, or anything on it changed
+ * Called every frame from the animation loop
+ */
+export function updateMinimap() {
+  if (!plan || !panelEl || panelEl.hidden) return;
+  camera.getWorldDirection(direction);
+  const view = [camera.position.x, camera.position.z, direction.x, direction.z].map(value => value.toFixed(2)).join();
+  if (!dirty && view === lastView) return;
+  lastView = view;
+  dirty = false;
+  drawMap();
+}
+
+// ═══════════════════════════════════════════
+// INTERACTION
+// ═══════════════════════════════════════════
+
+/**
+ * What lies under a point on the map
+ * @param {MouseEvent} e - Mouse event on the canvas
+ * @returns {{exhibit?: THREE.Mesh, room?: MapRoom}|null} Exhibit dot (preferred) or room
+ */
+function pick(e) {
+  const rect = canvasEl.getBoundingClientRect();
+  const mapX = (e.clientX - rect.left) * (CONFIG.minimap.width / rect.width);
+  const mapY = (e.clientY - rect.top) * (CONFIG.minimap.height / rect.height);
+
+  let exhibit = null;
+  let nearest = CONFIG.minimap.dotRadius + 4; // Dots are small, so clicks close by count
+  exhibits.forEach(mesh => {
+    mesh.getWorldPosition(worldPosition);
+    const { x, y } = toMap(worldPosition.x, worldPosition.z);
+    const distance = Math.hypot(x - mapX, y - mapY);
+    if (distance <= nearest) {
+      nearest = distance;
+      exhibit = mesh;
+    }
+  });
+  if (exhibit) return { exhibit };
+
+  const room = roomAt((mapX - bounds.offsetX) / bounds.scale, (mapY - bounds.offsetY) / bounds.scale);
+  return room ? { room } : null;
+}
+
+function onMapClick(e) {
+  e.stopPropagation();
+  const target = pick(e);
+  if (!target) return;
+  if (target.exhibit) {
+    focusPortrait(target.exhibit);
+  } else {
+    navigateToRoom(target.room.id, clearFocus);
+  }
+}
+
+// Tooltip naming the exhibit or room under the mouse
+function onMapHover(e) {
+  const target = pick(e);
+  const room = target && target.room && getRoom(target.room.id);
+  canvasEl.style.cursor = target ? 'pointer' : '';
+  canvasEl.title = target && target.exhibit
+    ? localize(target.exhibit.userData.label)
+    : room ? localize(room.name) : t('minimap.title');
+}
+
+/**
+ * Shows or hides the minimap
+ * @param {boolean} [open] - New state, toggles when omitted
+ */
+export function toggleMinimap(open = panelEl && panelEl.hidden) {
+  if (!panelEl) return;
+  panelEl.hidden = !open;
+  if (minimapBtn) minimapBtn.setAttribute('aria-pressed', String(!!open));
+  dirty = true;
+}
+
+/**
+ * Builds the map from the floor plan and wires up its controls
+ * Call after the rooms are built, so their wall layouts are known
+ * @param {Museum} museum - Built museum
+ * @param {FloorPlan} floorPlan - Floor plan
+ */
+export function initMinimap(museum, floorPlan) {
+  if (!panelEl || !canvasEl) return;
+  plan = floorPlan;
+  visited = loadVisited();
+
+  const entrance = {
+    id: 'entrance',
+    minX: entranceHall.x - entranceHall.width / 2,
+    maxX: entranceHall.x + entranceHall.width / 2,
+    minZ: entranceHall.z - entranceHall.depth / 2,
+    maxZ: entranceHall.z + entranceHall.depth / 2,
+    walls: null
+  };
+  rooms = [entrance, ...[...museum.rooms.values()].filter(museumRoom => museumRoom.layout).map(mapGallery)];
+  fitBounds();
+
+  // Sharp on high-density screens
+  const ratio = window.devicePixelRatio || 1;
+  canvasEl.width = CONFIG.minimap.width * ratio;
+  canvasEl.height = CONFIG.minimap.height * ratio;
+  canvasEl.style.width = `${CONFIG.minimap.width}px`;
+  canvasEl.style.height = `${CONFIG.minimap.height}px`;
+
+  canvasEl.addEventListener('click', onMapClick);
+  canvasEl.addEventListener('mousemove', onMapHover);
+  panelEl.addEventListener('click', e => e.stopPropagation());
+
+  if (minimapBtn) {
+    minimapBtn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      toggleMinimap();
+    });
+  }
+  window.addEventListener('keydown', (e) => {
+    const typing = e.target instanceof HTMLElement && e.target.matches('input, textarea, select, [contenteditable]');
+    if (e.key.toLowerCase() === CONFIG.minimap.shortcut && !typing && !e.ctrlKey && !e.metaKey && !e.altKey) {
+      e.preventDefault();
+      toggleMinimap();
+    }
+  });
+
+  window.addEventListener('museum:focus', (e) => {
+    focusedMesh = e.detail.portrait;
+    if (!visited.has(focusedMesh.userData.name)) {
+      visited.add(focusedMesh.userData.name);
+      storeVisited();
+    }
+    dirty = true;
+  });
+  window.addEventListener('museum:blur', () => {
+    focusedMesh = null;
+    dirty = true;
+  });
+  // Curator moves shift the dots
+  window.addEventListener('museum:exhibitchange', () => { dirty = true; });
+
+  toggleMinimap(CONFIG.minimap.startOpen);
+}
@@ -7,31 +7,24 @@
 
 import * as THREE from 'three';
 import { camera, controls } from './scene.js';
+import { ROOMS, getRoom, getRoomAxes, toCssColor } from './registry.js';
+import { localize } from './i18n.js';
+import { findRoute } from './pathfinding.js';
 import { CONFIG } from './config.js';
 
-/**
- * Room positions and configurations
- * @type {Object.<string, {x: number, z: number, facing: string}>}
- */
-export const roomPositions = {
-  'entrance': { x: 0, z: 18, facing: 'front' },
-  'historical': { x: -10, z: 0, facing: 'right' },
-  'scientists': { x: -10, z: -14, facing: 'right' },
-  'actors': { x: -10, z: -28, facing: 'right' },
-  'international': { x: 10, z: 0, facing: 'left' },
-  'singers': { x: 10, z: -14, facing: 'left' },
-  'events': { x: 10, z: -28, facing: 'left' },
-};
+const roomNavEl = document.querySelector('.room-nav');
 
 // Navigation state
 export let navigationTarget = null;
 export let isNavigating = false;
 let navProgress = 0;
-let navStartPos = null;
 let navStartTarget = null;
 let navEndPos = null;
 let navEndTarget = null;
-let navCrossingSides = false;
+let navCurve = null; // THREE.CatmullRomCurve3 along the route
+let navLength = 0;
+const navPoint = new THREE.Vector3();
+const navLead = new THREE.Vector3();
 
 // Exported state setters
 export function setNavigating(value) {
@@ -43,111 +36,126 @@ export function setNavigationTarget(value) {
 }
 
 /**
- * Navigate to a specific room
+ * Moves the camera to a viewpoint, along the shortest route through
+ * doorways and hallways (see pathfinding.js)
+ * @param {THREE.Vector3} cameraPos - Camera position to end at
+ * @param {THREE.Vector3} lookAt - Point to look at when there
+ * @param {Object} [options]
+ * @param {boolean} [options.instant=false] - Jump straight there instead of flying
  */
-export function navigateToRoom(roomId, clearFocusCallback) {
-  const roomPos = roomPositions[roomId];
-  
-  if (!roomPos) return;
-  
-  // Clear any portrait focus via callback
-  if (clearFocusCallback) {
-    clearFocusCallback();
-  }
-  
-  // Calculate camera position based on room facing
-  let cameraX, cameraZ, lookAtZ;
-  if (roomPos.facing === 'right') {
-    cameraX = roomPos.x + CONFIG.navigation.roomOffsetDistance;
-    cameraZ = roomPos.z;
-    lookAtZ = roomPos.z;
-  } else if (roomPos.facing === 'left') {
-    cameraX = roomPos.x - CONFIG.navigation.roomOffsetDistance;
-    cameraZ = roomPos.z;
-    lookAtZ = roomPos.z;
-  } else {
-    // Front facing (entrance hall)
-    cameraX = roomPos.x;
-    cameraZ = roomPos.z + CONFIG.navigation.entranceDistance;
-    lookAtZ = roomPos.z - CONFIG.navigation.entranceDistance;
-  }
-  
+export function flyTo(cameraPos, lookAt, { instant = false } = {}) {
   // Store start and end positions
-  navStartPos = camera.position.clone();
   navStartTarget = controls.target.clone();
-  navEndPos = new THREE.Vector3(cameraX, CONFIG.navigation.roomViewHeight, cameraZ);
-  navEndTarget = new THREE.Vector3(roomPos.x, CONFIG.navigation.lookAtHeight, lookAtZ);
-  
-  // Check if crossing sides
-  navCrossingSides = (navStartPos.x < 0 && navEndPos.x > 0) || (navStartPos.x > 0 && navEndPos.x < 0);
+  navEndPos = cameraPos.clone();
+  navEndTarget = lookAt.clone();
+
+  // Smooth curve through the route's waypoints
+  const route = instant ? [navEndPos] : findRoute(camera.position, navEndPos);
+  navCurve = route.length > 1 ? new THREE.CatmullRomCurve3(route, false, 'centripetal') : null;
+  navLength = navCurve ? navCurve.getLength() : 0;
   
   // Set navigation
   isNavigating = true;
-  navProgress = 0;
+  navProgress = navLength > 0 ? 0 : 1;
   
   navigationTarget = {
     cameraPos: navEndPos,
     lookAt: navEndTarget
   };
+}
+
+/**
+ * Navigate to a specific room
+ * Fires 'museum:roomchange' with { roomId, forPortrait }
+ * @param {string} roomId - Room identifier
+ * @param {Function|null} clearFocusCallback - Clears portrait focus before moving
+ * @param {Object} [options]
+ * @param {boolean} [options.forPortrait=false] - The move only leads up to focusing a portrait in the room
+ * @param {boolean} [options.instant=false] - Jump straight to the room instead of flying
+ */
+export function navigateToRoom(roomId, clearFocusCallback, { forPortrait = false, instant = false } = {}) {
+  const room = getRoom(roomId);
+  
+  if (!room) return;
+  
+  const roomPos = room.position;
+  const { normal } = getRoomAxes(room.facing);
+  
+  // Clear any portrait focus via callback
+  if (clearFocusCallback) {
+    clearFocusCallback();
+  }
+  
+  // Calculate camera position in front of the room entrance, looking in
+  // Halls are viewed from further out, looking across the whole hall
+  const isHall = room.gallery === false;
+  const distance = isHall ? CONFIG.navigation.entranceDistance : CONFIG.navigation.roomOffsetDistance;
+  const cameraX = roomPos.x + normal.x * distance;
+  const cameraZ = roomPos.z + normal.z * distance;
+  const lookAtX = isHall ? roomPos.x - normal.x * distance : roomPos.x;
+  const lookAtZ = isHall ? roomPos.z - normal.z * distance : roomPos.z;
+  
+  flyTo(
+    new THREE.Vector3(cameraX, CONFIG.navigation.roomViewHeight, cameraZ),
+    new THREE.Vector3(lookAtX, CONFIG.navigation.lookAtHeight, lookAtZ),
+    { instant }
+  );
   
   // Update active button state
   document.querySelectorAll('.room-btn').forEach(b => b.classList.remove('active'));
   const btn = document.querySelector(`[data-room="${roomId}"]`);
   if (btn) btn.classList.add('active');
+  
+  window.dispatchEvent(new CustomEvent('museum:roomchange', { detail: { roomId, forPortrait } }));
+}
+
+/**
+ * Smooth 0-1 ramp between two progress values
+ * @param {number} from - Progress where the ramp starts
+ * @param {number} to - Progress where it ends
+ * @param {number} value - Current progress
+ * @returns {number} Ramp value (0-1)
+ */
+function ramp(from, to, value) {
+  const t = Math.min(1, Math.max(0, (value - from) / (to - from)));
+  return t * t * (3 - 2 * t);
 }
 
 /**
  * Update navigation animation
+ * The camera follows the route's curve while the look-at target runs a
+ * little ahead along it, turning into the final view on arrival
  */
 export function updateNavigation() {
   if (!isNavigating || !navigationTarget) return;
   
-  navProgress += 0.012; // Balanced speed
+  // Long routes take proportionally longer, keeping an even pace
+  navProgress += CONFIG.navigation.speed * Math.min(1, CONFIG.navigation.referenceLength / Math.max(navLength, 1e-6));
   
+  // Snap to final position when done
   if (navProgress >= 1) {
     navProgress = 1;
     isNavigating = false;
+    camera.position.copy(navEndPos);
+    controls.target.copy(navEndTarget);
+    return;
   }
   
   // Smooth easing function
   const easeInOutQuad = (t) => t < 0.5 ? 2 * t * t : 1 - Math.pow(-2 * t + 2, 2) / 2;
   const t = easeInOutQuad(navProgress);
   
-  if (navCrossingSides) {
-    // When crossing sides, go through the center hallway
-    const midX = 0;
-    const midZ = (navStartPos.z + navEndPos.z) / 2;
-    const midPoint = new THREE.Vector3(midX, CONFIG.navigation.roomViewHeight, midZ);
-    
-    if (t < 0.5) {
-      // First half: move to center
-      const t2 = t * 2;
-      camera.position.lerpVectors(navStartPos, midPoint, t2);
-      // Look toward center first, then toward destination
-      const lookX = navStartTarget.x * (1 - t2);
-      controls.target.set(lookX, CONFIG.navigation.lookAtHeight, midZ);
-    } else {
-      // Second half: move to destination
-      const t2 = (t - 0.5) * 2;
-      camera.position.lerpVectors(midPoint, navEndPos, t2);
-      controls.target.lerpVectors(
-        new THREE.Vector3(0, CONFIG.navigation.lookAtHeight, midZ),
-        navEndTarget,
-        t2
-      );
-    }
-    
-  } else {
-    // Simple smooth interpolation for same-side navigation
-    camera.position.lerpVectors(navStartPos, navEndPos, t);
-    controls.target.lerpVectors(navStartTarget, navEndTarget, t);
-  }
+  navCurve.getPointAt(t, navPoint);
+  camera.position.copy(navPoint);
   
-  // Snap to final position when done
-  if (navProgress >= 1) {
-    camera.position.copy(navEndPos);
-    controls.target.copy(navEndTarget);
-  }
+  // Look along the route: from the starting view, over to the point
+  // ahead, then into the view at the end
+  navCurve.getPointAt(Math.min(1, t + CONFIG.navigation.lookAhead / navLength), navLead);
+  navLead.y = CONFIG.navigation.lookAtHeight;
+  controls.target
+    .copy(navStartTarget)
+    .lerp(navLead, ramp(0, 0.25, t))
+    .lerp(navEndTarget, ramp(0.6, 1, t));
 }
 
 /**
@@ -160,14 +168,64 @@ export function cancelNavigation() {
 }
 
 /**
- * Initialize room navigation buttons
+ * Sets a nav button's label and tooltip in the current language
+ * @param {HTMLButtonElement} btn - Room button
+ * @param {Object} room - Room definition
+ */
+function updateRoomButtonText(btn, room) {
+  btn.title = localize(room.description) || localize(room.name);
+  btn.querySelector('.room-btn-label').textContent = localize(room.name);
+}
+
+/**
+ * Creates a nav button for a registry room
+ * @param {Object} room - Room definition
+ * @returns {HTMLButtonElement} The button
+ */
+function createRoomButton(room) {
+  const btn = document.createElement('button');
+  btn.className = 'room-btn';
+  btn.dataset.room = room.id;
+  btn.style.setProperty('--room-accent', toCssColor(room.accentColor));
+  
+  const icon = document.createElement('i');
+  icon.setAttribute('data-lucide', room.icon);
+  icon.className = 'nav-icon';
+  
+  const label = document.createElement('span');
+  label.className = 'room-btn-label';
+  
+  btn.append(icon, label);
+  updateRoomButtonText(btn, room);
+  return btn;
+}
+
+/**
+ * Initialize room navigation buttons, generated from the room registry
  */
 export function initRoomNavigation(clearFocusCallback) {
-  document.querySelectorAll('.room-btn').forEach(btn => {
+  if (!roomNavEl) return;
+  
+  roomNavEl.replaceChildren(...ROOMS.map(createRoomButton));
+  
+  const initialBtn = roomNavEl.querySelector(`[data-room="${CONFIG.navigation.initialRoom}"]`);
+  if (initialBtn) initialBtn.classList.add('active');
+  
+  if (typeof lucide !== 'undefined') {
+    lucide.createIcons();
+  }
+  
+  roomNavEl.querySelectorAll('.room-btn').forEach(btn => {
     btn.addEventListener('click', (e) => {
       e.stopPropagation();
       const roomId = btn.dataset.room;
       navigateToRoom(roomId, clearFocusCallback);
     });
   });
+  
+  window.addEventListener('museum:localechange', () => {
+    roomNavEl.querySelectorAll('.room-btn').forEach(btn => {
+      updateRoomButtonText(btn, getRoom(btn.dataset.room));
+    });
+  });
 }
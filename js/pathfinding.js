@@ -0,0 +1,265 @@
+/**
+ * PATHFINDING.JS - Navigation Graph
+ *
+ * @module pathfinding
+ * @description Routes camera flights through the building: a graph of
+ * room centres, doorways, hallway waypoints and the corners of the eagle
+ * monument's rope square, linked wherever the camera can fly in a straight
+ * line without leaving the floor plan or passing through a wall, and the
+ * shortest route between any two points over it
+ */
+
+import * as THREE from 'three';
+import { ROOMS, getRoomAxes } from './registry.js';
+import { colliders, navigableAreas } from './rooms.js';
+import { CONFIG } from './config.js';
+
+/**
+ * @typedef {Object} GraphNode
+ * @property {string} kind - 'room', 'doorway', 'hallway' or 'monument'
+ * @property {THREE.Vector3} position - Waypoint, at CONFIG.navigation.roomViewHeight
+ * @property {{node: number, cost: number}[]} links - Nodes in clear sight, with the distance to them
+ */
+
+// State
+const nodes = []; // GraphNode[]
+let blockers = []; // Colliders grown by CONFIG.navigation.clearance, plus the monument
+const ray = new THREE.Ray();
+const hit = new THREE.Vector3();
+const sample = new THREE.Vector3();
+
+// ═══════════════════════════════════════════
+// LINE OF SIGHT
+// ═══════════════════════════════════════════
+
+/**
+ * Whether a floor position lies in a room, hallway or the entrance hall
+ * @param {THREE.Vector3} point - Position (height ignored)
+ * @returns {boolean} True over the floor plan
+ */
+function onFloor(point) {
+  return navigableAreas.some(area =>
+    point.x >= area.min.x && point.x <= area.max.x &&
+    point.z >= area.min.z && point.z <= area.max.z
+  );
+}
+
+/**
+ * Whether the camera can fly straight from one point to another
+ * Blockers the camera is already inside (or arriving inside) are ignored,
+ * so flights can start and end close to a wall
+ * @param {THREE.Vector3} from - Start
+ * @param {THREE.Vector3} to - End
+ * @returns {boolean} True when nothing is in the way
+ */
+function isClear(from, to) {
+  const length = from.distanceTo(to);
+  if (length === 0) return true;
+
+  ray.origin.copy(from);
+  ray.direction.subVectors(to, from).divideScalar(length);
+  const blocked = blockers.some(box =>
+    !box.containsPoint(from) && !box.containsPoint(to) &&
+    ray.intersectBox(box, hit) !== null && hit.distanceTo(from) < length
+  );
+  if (blocked) return false;
+
+  // Stay over the floor plan, not across the gaps between rooms
+  const steps = Math.ceil(length / CONFIG.navigation.sampleSpacing);
+  for (let i = 1; i < steps; i++) {
+    if (!onFloor(sample.lerpVectors(from, to, i / steps))) return false;
+  }
+  return true;
+}
+
+// ═══════════════════════════════════════════
+// GRAPH
+// ═══════════════════════════════════════════
+
+/**
+ * Closest point on a hallway strip's centreline
+ * @param {Object} strip - Hallway floor strip
+ * @param {{x: number, z: number}} point - Floor position
+ * @returns {{x: number, z: number}} Point on the centreline
+ */
+function onCentreline(strip, point) {
+  const half = strip.length / 2;
+  return strip.alongX
+    ? { x: THREE.MathUtils.clamp(point.x, strip.x - half, strip.x + half), z: strip.z }
+    : { x: strip.x, z: THREE.MathUtils.clamp(point.z, strip.z - half, strip.z + half) };
+}
+
+/**
+ * Waypoints along the hallways: both ends of every strip (a little in from
+ * the end wall), and where strips cross
+ * @param {Object[]} hallways - Hallway floor strips
+ * @returns {{x: number, z: number}[]} Floor positions
+ */
+function hallwayPoints(hallways) {
+  const points = [];
+  hallways.forEach((strip, i) => {
+    const inset = Math.max(0, strip.length / 2 - Math.min(strip.width / 2, strip.length / 2));
+    points.push(
+      strip.alongX ? { x: strip.x - inset, z: strip.z } : { x: strip.x, z: strip.z - inset },
+      strip.alongX ? { x: strip.x + inset, z: strip.z } : { x: strip.x, z: strip.z + inset }
+    );
+
+    hallways.slice(i + 1).forEach(other => {
+      if (other.alongX === strip.alongX) return;
+      const [acrossX, acrossZ] = strip.alongX ? [other, strip] : [strip, other];
+      const crossing = { x: acrossX.x, z: acrossZ.z };
+      const within = (s, value, centre) => Math.abs(value - centre) <= s.length / 2 + s.width / 2;
+      if (within(acrossZ, crossing.x, acrossZ.x) && within(acrossX, crossing.z, acrossX.z)) {
+        points.push(crossing);
+      }
+    });
+  });
+  return points;
+}
+
+/**
+ * Adds a waypoint, unless one already stands there or it is out of bounds
+ * @param {string} kind - Node kind
+ * @param {{x: number, z: number}} point - Floor position
+ */
+function addNode(kind, point) {
+  const position = new THREE.Vector3(point.x, CONFIG.navigation.roomViewHeight, point.z);
+  if (blockers.some(box => box.containsPoint(position))) return;
+  if (nodes.some(node => node.position.distanceTo(position) < CONFIG.navigation.sampleSpacing)) return;
+  nodes.push({ kind, position, links: [] });
+}
+
+/**
+ * Builds the navigation graph for the floor plan
+ * Call once rooms, hallways and their furniture are built, so every wall
+ * and floor area is registered
+ * @param {FloorPlan} plan - Floor plan
+ */
+export function buildNavigationGraph(plan) {
+  const { clearance, monumentClearance } = CONFIG.navigation;
+  nodes.length = 0;
+  blockers = colliders.map(box => box.clone().expandByScalar(clearance));
+
+  // The roped-off square under the eagle, up to above its wings
+  const monument = plan.monument;
+  const { halfWidth, halfDepth } = CONFIG.floorPlan.monumentBarrier;
+  if (monument) {
+    blockers.push(new THREE.Box3(
+      new THREE.Vector3(monument.x - halfWidth, 0, monument.z - halfDepth),
+      new THREE.Vector3(monument.x + halfWidth, CONFIG.controls.hallwayCeiling, monument.z + halfDepth)
+    ));
+  }
+
+  // Rooms: centre and doorway, linked to the hallway in front
+  ROOMS.forEach(room => {
+    if (!room.position) return;
+    addNode('room', room.position);
+    if (room.gallery === false) return;
+
+    const { normal } = getRoomAxes(room.facing);
+    const doorway = {
+      x: room.position.x + normal.x * CONFIG.room.depth / 2,
+      z: room.position.z + normal.z * CONFIG.room.depth / 2
+    };
+    addNode('doorway', doorway);
+
+    const nearest = plan.hallways
+      .map(strip => onCentreline(strip, doorway))
+      .sort((a, b) => Math.hypot(a.x - doorway.x, a.z - doorway.z) - Math.hypot(b.x - doorway.x, b.z - doorway.z))[0];
+    if (nearest) addNode('hallway', nearest);
+  });
+
+  hallwayPoints(plan.hallways).forEach(point => addNode('hallway', point));
+
+  // Corners to fly around the monument by
+  if (monument) {
+    [[-1, -1], [1, -1], [1, 1], [-1, 1]].forEach(([sx, sz]) => {
+      addNode('monument', {
+        x: monument.x + sx * (halfWidth + monumentClearance),
+        z: monument.z + sz * (halfDepth + monumentClearance)
+      });
+    });
+  }
+
+  // Link every pair of waypoints in clear sight of each other
+  nodes.forEach((node, i) => {
+    for (let j = i + 1; j < nodes.length; j++) {
+      if (!isClear(node.position, nodes[j].position)) continue;
+      const cost = node.position.distanceTo(nodes[j].position);
+      node.links.push({ node: j, cost });
+      nodes[j].links.push({ node: i, cost });
+    }
+  });
+}
+
+// ═══════════════════════════════════════════
+// ROUTING
+// ═══════════════════════════════════════════
+
+/**
+ * Waypoints a point can fly to directly
+ * Falls back on the nearest waypoint when none is in sight, so a route
+ * exists from anywhere
+ * @param {THREE.Vector3} point - Start or end of the route
+ * @returns {{node: number, cost: number}[]} Reachable waypoints with their distance
+ */
+function linksFrom(point) {
+  const links = [];
+  let nearest = null;
+  nodes.forEach((node, i) => {
+    const cost = point.distanceTo(node.position);
+    if (!nearest || cost < nearest.cost) nearest = { node: i, cost };
+    if (isClear(point, node.position)) links.push({ node: i, cost });
+  });
+  return links.length > 0 || !nearest ? links : [nearest];
+}
+
+/**
+ * Shortest route between two points through the building
+ * @param {THREE.Vector3} from - Where the camera is
+ * @param {THREE.Vector3} to - Where it flies to
+ * @returns {THREE.Vector3[]} Points from start to end, waypoints in between
+ */
+export function findRoute(from, to) {
+  if (nodes.length === 0 || isClear(from, to)) return [from.clone(), to.clone()];
+
+  // Dijkstra over the waypoints, with the end point as one extra node
+  const end = nodes.length;
+  const endLinks = new Map(linksFrom(to).map(link => [link.node, link.cost]));
+  const cost = new Array(nodes.length + 1).fill(Infinity);
+  const previous = new Array(nodes.length + 1).fill(-1); // -1: straight from the start
+  const done = new Array(nodes.length + 1).fill(false);
+
+  linksFrom(from).forEach(link => { cost[link.node] = link.cost; });
+
+  for (;;) {
+    let current = -1;
+    cost.forEach((value, i) => {
+      if (!done[i] && value < Infinity && (current === -1 || value < cost[current])) current = i;
+    });
+    if (current === -1 || current === end) break;
+    done[current] = true;
+
+    const links = endLinks.has(current)
+      ? [...nodes[current].links, { node: end, cost: endLinks.get(current) }]
+      : nodes[current].links;
+    links.forEach(link => {
+      if (cost[current] + link.cost < cost[link.node]) {
+        cost[link.node] = cost[current] + link.cost;
+        previous[link.node] = current;
+      }
+    });
+  }
+
+  if (cost[end] === Infinity) {
+    console.warn('[Pathfinding] No route found, flying straight');
+    return [from.clone(), to.clone()];
+  }
+
+  const route = [to.clone()];
+  for (let i = previous[end]; i !== -1; i = previous[i]) {
+    route.unshift(nodes[i].position.clone());
+  }
+  route.unshift(from.clone());
+  return route;
+}
@@ -9,6 +9,13 @@
 import * as THREE from 'three';
 import { scene } from './scene.js';
 import { buildRoom } from './rooms.js';
+import { getGalleryRooms, toCssColor } from './registry.js';
+import { layoutRoom, requiredDepth } from './layout.js';
+import { registerAsset, reportLoadingIssue } from './loader.js';
+import { loadExhibitManifest } from './manifest.js';
+import { localize } from './i18n.js';
+import { loadPortraitImage, getImageCredit } from './images.js';
+import { parseExhibitYears } from './dates.js';
 import { CONFIG } from './config.js';
 
 /**
@@ -19,7 +26,6 @@ import { CONFIG } from './config.js';
 export const exhibits = [];
 
 // Constants derived from CONFIG
-const ROOM_SIZE = CONFIG.room.depth;
 const FRAME_WIDTH = CONFIG.portrait.width;
 const FRAME_HEIGHT = CONFIG.portrait.height;
 const FRAME_DEPTH = CONFIG.portrait.frameDepth;
@@ -42,18 +48,34 @@ class PortraitFactory {
     
     // Material cache
     this.materialCache = new Map();
+    
+    // Canvases are drawn in 256px units and scaled up on high-density screens
+    this.canvasScale = Math.max(1, Math.min(window.devicePixelRatio || 1, CONFIG.images.maxCanvasScale));
   }
   
-  // Get or create material for a specific color
-  getFrameMaterial(color) {
-    if (!this.materialCache.has(color)) {
-      this.materialCache.set(color, new THREE.MeshStandardMaterial({ 
+  // Get or create material for a specific color, optionally dimmed or highlighted by the exhibit filter,
+  // and glowing while the portrait's listening station plays
+  getFrameMaterial(color, filterState = null, playing = false) {
+    const key = `${color}:${filterState || ''}:${playing ? 'playing' : ''}`;
+    if (!this.materialCache.has(key)) {
+      const material = new THREE.MeshStandardMaterial({ 
         color, 
         roughness: 0.7,
         metalness: 0.1
-      }));
+      });
+      if (filterState === 'dim') {
+        material.color.multiplyScalar(CONFIG.filters.dimFactor);
+      } else if (filterState === 'match') {
+        material.emissive.set(CONFIG.filters.highlightColor);
+        material.emissiveIntensity = CONFIG.filters.highlightIntensity;
+      }
+      if (playing) {
+        material.emissive.set(CONFIG.stations.glowColor);
+        material.emissiveIntensity = CONFIG.stations.glowIntensity;
+      }
+      this.materialCache.set(key, material);
     }
-    return this.materialCache.get(color);
+    return this.materialCache.get(key);
   }
   
   // Draw silhouette placeholder on canvas
@@ -68,12 +90,26 @@ class PortraitFactory {
     ctx.fillRect(108, 150, 40, 40);
   }
   
+  // Draw the name plate at the bottom of the canvas
+  drawNameplate(ctx, name) {
+    ctx.fillStyle = '#2a1515';
+    ctx.fillRect(10, 280, 236, 50);
+    ctx.strokeStyle = '#8b0000';
+    ctx.lineWidth = 2;
+    ctx.strokeRect(12, 282, 232, 46);
+    ctx.fillStyle = '#d4af37';
+    ctx.font = 'bold 16px Georgia, serif';
+    ctx.textAlign = 'center';
+    ctx.fillText(name, 128, 310);
+  }
+  
   // Create base canvas with gradient and nameplate
   createBaseCanvas(name) {
     const canvas = document.createElement('canvas');
-    canvas.width = CANVAS_WIDTH;
-    canvas.height = CANVAS_HEIGHT;
+    canvas.width = Math.round(CANVAS_WIDTH * this.canvasScale);
+    canvas.height = Math.round(CANVAS_HEIGHT * this.canvasScale);
     const ctx = canvas.getContext('2d');
+    ctx.scale(this.canvasScale, this.canvasScale);
     
     // Background gradient (lighter for better visibility)
     const gradient = ctx.createLinearGradient(0, 0, 0, CANVAS_HEIGHT);
@@ -82,16 +118,7 @@ class PortraitFactory {
     ctx.fillStyle = gradient;
     ctx.fillRect(0, 0, CANVAS_WIDTH, CANVAS_HEIGHT);
     
-    // Name plate
-    ctx.fillStyle = '#2a1515';
-    ctx.fillRect(10, 280, 236, 50);
-    ctx.strokeStyle = '#8b0000';
-    ctx.lineWidth = 2;
-    ctx.strokeRect(12, 282, 232, 46);
-    ctx.fillStyle = '#d4af37';
-    ctx.font = 'bold 16px Georgia, serif';
-    ctx.textAlign = 'center';
-    ctx.fillText(name, 128, 310);
+    this.drawNameplate(ctx, name);
     
     return { canvas, ctx, gradient };
   }
@@ -101,35 +128,29 @@ class PortraitFactory {
  * Represents a single portrait with frame and canvas
  */
 class Portrait {
-  constructor(name, data, factory) {
+  constructor(name, data, room, factory) {
     this.name = name;
     this.data = data;
+    this.room = room;
     this.factory = factory;
     this.group = null;
     this.mesh = null;
+    this.slot = null;
+    this.frameMeshes = [];
+    this.ctx = null;
+    this.texture = null;
+    this.filterState = null;
+    this.playing = false;
+  }
+  
+  // Name shown on the nameplate, in the current language
+  get displayName() {
+    return localize(this.data.label || this.name);
   }
   
-  // Calculate 3D position based on room layout
+  // 3D position from the wall slot assigned by the room layout
   calculatePosition() {
-    const spacing = ROOM_SIZE / 5;
-    const offset = (this.data.position - 1.5) * spacing;
-    
-    let x, z, rotationY;
-    
-    if (this.data.facing === 'right') {
-      x = this.data.x - ROOM_SIZE / 2 + 0.15;
-      z = this.data.z + offset;
-      rotationY = Math.PI / 2;
-    } else if (this.data.facing === 'left') {
-      x = this.data.x + ROOM_SIZE / 2 - 0.15;
-      z = this.data.z + offset;
-      rotationY = -Math.PI / 2;
-    } else {
-      x = this.data.x + offset;
-      z = this.data.z - ROOM_SIZE / 2 + 0.15;
-      rotationY = 0;
-    }
-    
+    const { x, z, rotationY } = this.slot;
     return { x, z, rotationY };
   }
   
@@ -154,13 +175,17 @@ class Portrait {
     const rightFrame = new THREE.Mesh(this.factory.geometries.leftRight, frameMat);
     rightFrame.position.set(FRAME_WIDTH / 2 + BORDER_SIZE / 2, 0, 0);
     this.group.add(rightFrame);
+    
+    this.frameMeshes = [topFrame, bottomFrame, leftFrame, rightFrame];
   }
   
   // Create the portrait canvas and texture
   createPortraitMesh() {
-    const { canvas, ctx, gradient } = this.factory.createBaseCanvas(this.name);
+    const { canvas, ctx, gradient } = this.factory.createBaseCanvas(this.displayName);
     
     const portraitTexture = new THREE.CanvasTexture(canvas);
+    this.ctx = ctx;
+    this.texture = portraitTexture;
     const portraitMat = new THREE.MeshBasicMaterial({ map: portraitTexture });
     this.mesh = new THREE.Mesh(this.factory.geometries.portrait, portraitMat);
     this.mesh.position.set(0, 0, FRAME_DEPTH / 2 + 0.01);
@@ -170,70 +195,85 @@ class Portrait {
     this.loadImage(ctx, gradient, portraitTexture);
     
     // Attach metadata
+    // Text fields may be localized objects, resolved when displayed
     this.mesh.userData = {
-      label: this.name,
+      name: this.name,
+      label: this.data.label || this.name,
       description: this.data.achievement,
       isPortrait: true,
-      facing: this.data.facing,
+      roomId: this.room.id,
+      facing: this.room.facing,
+      normal: this.slot.normal,
       years: this.data.years,
+      dates: parseExhibitYears(this.data.years),
       achievement: this.data.achievement,
       quote: this.data.quote,
-      wiki: this.data.wiki
+      narration: this.data.narration,
+      captions: this.data.captions,
+      clip: this.data.clip,
+      wiki: this.data.wiki,
+      tags: this.data.tags || [],
+      relations: this.data.relations || [],
+      imageCredit: getImageCredit(this.data.image)
     };
   }
   
-  // Load portrait image
-  loadImage(ctx, gradient, texture) {
+  // Load portrait image, keeping the silhouette if no source loads
+  async loadImage(ctx, gradient, texture) {
     if (!this.data.image) {
       this.factory.drawSilhouette(ctx);
       texture.needsUpdate = true;
       return;
     }
     
-    const img = new Image();
-    img.crossOrigin = 'anonymous';
-    img.onload = () => {
-      const imgAspect = img.width / img.height;
-      const targetWidth = 220;
-      const targetHeight = 250;
-      
-      let drawWidth, drawHeight;
-      if (imgAspect > targetWidth / targetHeight) {
-        drawHeight = targetHeight;
-        drawWidth = drawHeight * imgAspect;
-      } else {
-        drawWidth = targetWidth;
-        drawHeight = drawWidth / imgAspect;
-      }
-      
-      const drawX = (CANVAS_WIDTH - drawWidth) / 2;
-      
-      // Redraw background
-      ctx.fillStyle = gradient;
-      ctx.fillRect(0, 0, CANVAS_WIDTH, 275);
-      
-      // Draw image with rounded corners
-      ctx.save();
-      ctx.beginPath();
-      ctx.roundRect(18, 15, 220, 250, 8);
-      ctx.clip();
-      ctx.drawImage(img, drawX, 15, drawWidth, drawHeight);
-      ctx.restore();
-      
-      // Border
-      ctx.strokeStyle = '#d4af37';
-      ctx.lineWidth = 2;
-      ctx.beginPath();
-      ctx.roundRect(18, 15, 220, 250, 8);
-      ctx.stroke();
-      
-      texture.needsUpdate = true;
-    };
-    img.onerror = () => {
+    let img;
+    try {
+      const loaded = await loadPortraitImage(this.data.image, CANVAS_WIDTH * this.factory.canvasScale);
+      img = loaded.img;
+      // Credit whichever copy is on the wall
+      this.mesh.userData.imageCredit = getImageCredit(this.data.image, { fromFallback: loaded.fromFallback });
+    } catch (error) {
+      console.warn(`Portrait image for "${this.name}" unavailable: ${error.message}`);
       this.factory.drawSilhouette(ctx);
       texture.needsUpdate = true;
-    };
-    img.src = this.data.image;
+      return;
+    }
+    
+    const imgAspect = img.width / img.height;
+    const targetWidth = 220;
+    const targetHeight = 250;
+    
+    let drawWidth, drawHeight;
+    if (imgAspect > targetWidth / targetHeight) {
+      drawHeight = targetHeight;
+      drawWidth = drawHeight * imgAspect;
+    } else {
+      drawWidth = targetWidth;
+      drawHeight = drawWidth / imgAspect;
+    }
+    
+    const drawX = (CANVAS_WIDTH - drawWidth) / 2;
+    
+    // Redraw background
+    ctx.fillStyle = gradient;
+    ctx.fillRect(0, 0, CANVAS_WIDTH, 275);
+    
+    // Draw image with rounded corners
+    ctx.save();
+    ctx.beginPath();
+    ctx.roundRect(18, 15, 220, 250, 8);
+    ctx.clip();
+    ctx.drawImage(img, drawX, 15, drawWidth, drawHeight);
+    ctx.restore();
+    
+    // Border
+    ctx.strokeStyle = '#d4af37';
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    ctx.roundRect(18, 15, 220, 250, 8);
+    ctx.stroke();
+    
+    texture.needsUpdate = true;
   }
   
   // Build and add to scene
@@ -241,41 +281,136 @@ class Portrait {
     this.createFrame();
     this.createPortraitMesh();
     
-    const { x, z, rotationY } = this.calculatePosition();
-    this.group.position.set(x, PORTRAIT_Y, z);
-    this.group.rotation.y = rotationY;
+    this.applySlot(this.slot);
     
     scene.add(this.group);
-    this.group.updateMatrixWorld(true);
     exhibits.push(this.mesh);
     
     return this.group;
   }
+  
+  // Move the built portrait to a wall slot
+  applySlot(slot) {
+    this.slot = slot;
+    const { x, z, rotationY } = this.calculatePosition();
+    this.group.position.set(x, PORTRAIT_Y, z);
+    this.group.rotation.y = rotationY;
+    this.group.updateMatrixWorld(true);
+    if (this.mesh) this.mesh.userData.normal = slot.normal;
+  }
+  
+  // Swap the frame material for a new colour
+  setFrameColor(color) {
+    this.data.frameColor = color;
+    this.updateFrameMaterial();
+  }
+  
+  // Dim ('dim') or highlight ('match') the portrait and its frame for the exhibit filter, null to reset
+  setFilterState(state) {
+    this.filterState = state;
+    if (!this.mesh) return;
+    this.mesh.material.color.setScalar(state === 'dim' ? CONFIG.filters.dimFactor : 1);
+    this.updateFrameMaterial();
+  }
+  
+  // Light up the frame while the portrait's listening station plays
+  setPlaying(playing) {
+    this.playing = playing;
+    if (this.mesh) this.updateFrameMaterial();
+  }
+  
+  // Frame material for the current colour, filter state and playback
+  updateFrameMaterial() {
+    const frameMat = this.factory.getFrameMaterial(this.data.frameColor, this.filterState, this.playing);
+    this.frameMeshes.forEach(mesh => { mesh.material = frameMat; });
+  }
+  
+  // Apply edited exhibit fields and keep the mesh metadata in sync
+  updateData(changes) {
+    Object.entries(changes).forEach(([field, value]) => {
+      if (value === undefined) {
+        delete this.data[field];
+      } else {
+        this.data[field] = value;
+      }
+    });
+    
+    Object.assign(this.mesh.userData, {
+      label: this.data.label || this.name,
+      description: this.data.achievement,
+      years: this.data.years,
+      dates: parseExhibitYears(this.data.years),
+      achievement: this.data.achievement,
+      quote: this.data.quote,
+      narration: this.data.narration,
+      captions: this.data.captions,
+      clip: this.data.clip
+    });
+    this.refreshNameplate();
+  }
+  
+  // Redraw the nameplate after a language change
+  refreshNameplate() {
+    if (!this.ctx) return;
+    this.factory.drawNameplate(this.ctx, this.displayName);
+    this.texture.needsUpdate = true;
+  }
 }
 
 /**
  * Manages a room and its portraits
  */
 class MuseumRoom {
-  constructor(name, x, z, facing, factory) {
-    this.name = name;
-    this.x = x;
-    this.z = z;
-    this.facing = facing;
+  constructor(room, factory) {
+    this.room = room;
     this.factory = factory;
     this.portraits = [];
+    this.layout = null;
   }
   
   // Add portrait to room
   addPortrait(name, data) {
-    const portrait = new Portrait(name, data, this.factory);
+    const portrait = new Portrait(name, data, this.room, this.factory);
     this.portraits.push(portrait);
   }
   
-  // Build room structure and all portraits
+  // Lay out portraits over the walls, then build room structure and portraits
   build() {
-    buildRoom(this.name, this.x, this.z, this.facing);
-    this.portraits.forEach(portrait => portrait.build());
+    this.portraits.sort((a, b) => a.data.position - b.data.position);
+    this.layout = layoutRoom(this.room, this.portraits.length);
+    
+    if (this.layout.overflow > 0) {
+      reportLoadingIssue(`${localize(this.room.name)}: ${this.layout.overflow} exhibit(s) do not fit (room holds ${this.layout.capacity})`);
+    }
+    
+    buildRoom(this.room, this.layout);
+    this.portraits.forEach((portrait, index) => {
+      portrait.slot = this.layout.slots[index];
+      if (portrait.slot) portrait.build();
+    });
+  }
+  
+  // Portraits that made it onto a wall, in slot order
+  get placedPortraits() {
+    return this.portraits.filter(portrait => portrait.mesh);
+  }
+  
+  // Move a portrait to another slot, shifting the others along the walls
+  movePortrait(portrait, index) {
+    const placed = this.placedPortraits;
+    const from = placed.indexOf(portrait);
+    const to = Math.max(0, Math.min(index, placed.length - 1));
+    if (from === -1 || from === to) return false;
+    
+    placed.splice(from, 1);
+    placed.splice(to, 0, portrait);
+    this.portraits = [...placed, ...this.portraits.filter(p => !p.mesh)];
+    
+    this.portraits.forEach((p, i) => {
+      p.data.position = i;
+      if (p.mesh) p.applySlot(this.layout.slots[i]);
+    });
+    return true;
   }
 }
 
@@ -286,250 +421,661 @@ class Museum {
   constructor(portraitData) {
     this.factory = new PortraitFactory();
     this.rooms = new Map();
+    
+    // Every gallery in the registry gets built, even before it has exhibits
+    getGalleryRooms().forEach(room => {
+      this.rooms.set(room.id, new MuseumRoom(room, this.factory));
+    });
+    
     this.loadPortraitData(portraitData);
+    
+    // Nameplates follow the selected language
+    window.addEventListener('museum:localechange', () => this.refreshNameplates());
   }
   
   // Load and organize portrait data into rooms
   loadPortraitData(portraitData) {
     Object.entries(portraitData).forEach(([name, data]) => {
-      const roomKey = `${data.room}_${data.x}_${data.z}_${data.facing}`;
+      const museumRoom = this.rooms.get(data.room);
       
-      if (!this.rooms.has(roomKey)) {
-        this.rooms.set(roomKey, new MuseumRoom(
-          data.room,
-          data.x,
-          data.z,
-          data.facing,
-          this.factory
-        ));
+      if (!museumRoom) {
+        console.warn(`Exhibit "${name}" references unknown room "${data.room}"`);
+        return;
       }
       
-      this.rooms.get(roomKey).addPortrait(name, data);
+      if (!parseExhibitYears(data.years)) {
+        console.warn(`Exhibit "${name}" has no readable date in "${localize(data.years)}" and is left off the timeline`);
+      }
+      
+      museumRoom.addPortrait(name, data);
+    });
+  }
+  
+  // Depth each room needs for its exhibits, used by the floor plan generator
+  getRoomDepths() {
+    const depths = {};
+    this.rooms.forEach((museumRoom, roomId) => {
+      depths[roomId] = requiredDepth(museumRoom.portraits.length);
     });
+    return depths;
   }
   
-  // Build entire museum
+  // Build entire museum (rooms must already be placed by the floor plan)
   build() {
     this.rooms.forEach(room => room.build());
   }
+  
+  // Find the portrait (and its room) behind a clickable mesh
+  findPortrait(mesh) {
+    for (const museumRoom of this.rooms.values()) {
+      const portrait = museumRoom.portraits.find(p => p.mesh === mesh);
+      if (portrait) return { portrait, museumRoom };
+    }
+    return null;
+  }
+  
+  // Keep the shared exhibits array (tour and arrow-key order) in room order
+  refreshExhibitOrder() {
+    exhibits.length = 0;
+    this.rooms.forEach(museumRoom => {
+      museumRoom.placedPortraits.forEach(portrait => exhibits.push(portrait.mesh));
+    });
+  }
+  
+  // Current exhibits in manifest format, ready to save as data/exhibits.json
+  toManifest() {
+    const manifestExhibits = {};
+    this.rooms.forEach((museumRoom, roomId) => {
+      museumRoom.portraits.forEach(portrait => {
+        manifestExhibits[portrait.name] = {
+          ...portrait.data,
+          room: roomId,
+          frameColor: toCssColor(portrait.data.frameColor)
+        };
+      });
+    });
+    return { version: CONFIG.exhibits.manifestVersion, exhibits: manifestExhibits };
+  }
+  
+  // Dim portraits that fail the filter and highlight those that pass; null clears the filter
+  applyFilter(matches) {
+    this.rooms.forEach(room => {
+      room.portraits.forEach(portrait => {
+        if (portrait.mesh) portrait.setFilterState(matches ? (matches(portrait.mesh) ? 'match' : 'dim') : null);
+      });
+    });
+  }
+  
+  // Redraw every nameplate in the current language
+  refreshNameplates() {
+    this.rooms.forEach(room => {
+      room.portraits.forEach(portrait => portrait.refreshNameplate());
+    });
+  }
 }
 
-// Portrait data with room assignments - single source of truth
+// Bundled portrait data - fallback when the exhibit manifest is unavailable
 export const portraitData = {
-  // Room 1: Historical Figures (-10, 0, right)
+  // Room 1: Historical Figures
   'Skënderbeu': { 
     years: '1405-1468', 
-    achievement: 'Led resistance against Ottoman Empire for 25 years', 
-    quote: '"I have not brought you freedom, I found it here among you."', 
+    achievement: {
+      en: 'Led resistance against Ottoman Empire for 25 years',
+      sq: 'Udhëhoqi qëndresën kundër Perandorisë Osmane për 25 vjet'
+    }, 
+    quote: {
+      en: '"I have not brought you freedom, I found it here among you."',
+      sq: '"Lirinë nuk jua solla unë, e gjeta këtu, midis jush."'
+    }, 
     wiki: 'https://en.wikipedia.org/wiki/Skanderbeg',
-    image: 'https://upload.wikimedia.org/wikipedia/commons/thumb/c/c7/Skanderbeg_by_Kol%C3%AB_Idromeno_1890.jpg/250px-Skanderbeg_by_Kol%C3%AB_Idromeno_1890.jpg',
-    room: 'Historical Figures', x: -10, z: 0, facing: 'right', position: 0, frameColor: 0x5c3a21
+    image: {
+      src: { 256: 'images/portraits/skenderbeu-256.jpg', 512: 'images/portraits/skenderbeu-512.jpg' },
+      fallback: 'https://upload.wikimedia.org/wikipedia/commons/thumb/c/c7/Skanderbeg_by_Kol%C3%AB_Idromeno_1890.jpg/250px-Skanderbeg_by_Kol%C3%AB_Idromeno_1890.jpg',
+      credit: { en: 'Illustration, Albanian Hall of Legacy', sq: 'Ilustrim, Salla e Trashëgimisë Shqiptare' },
+      license: 'CC0 1.0',
+      fallbackCredit: 'Kolë Idromeno, 1890 (Wikimedia Commons)',
+      fallbackLicense: { en: 'Public domain', sq: 'Domen publik' }
+    },
+    tags: ['independence'],
+    room: 'historical', position: 0, frameColor: 0x5c3a21
   },
   'Ismail Qemali': { 
     years: '1844-1919', 
-    achievement: 'Declared Albanian independence on November 28, 1912', 
-    quote: '"Albania is free, independent, and sovereign."', 
+    achievement: {
+      en: 'Declared Albanian independence on November 28, 1912',
+      sq: 'Shpalli pavarësinë e Shqipërisë më 28 Nëntor 1912'
+    }, 
+    quote: {
+      en: '"Albania is free, independent, and sovereign."',
+      sq: '"Shqipëria është e lirë, e pavarur dhe sovrane."'
+    }, 
     wiki: 'https://en.wikipedia.org/wiki/Ismail_Qemali',
-    image: 'https://imgs.search.brave.com/nFQC5dwzqVcfWVmEq1mg3xU3wqRf_z-JrR8aMmcH8OA/rs:fit:860:0:0:0/g:ce/aHR0cHM6Ly9pbWFn/ZXMuZmluZGFncmF2/ZS5jb20vcGhvdG9z/LzIwMjAvMTMwLzIw/OTkxMTE1MV8zNzI2/OWViZi00ZDU1LTQx/ZWUtYjkwNC00Y2M2/MzYwZjk3MzQuanBl/Zz9zaXplPXBob3Rv/czI1MA',
-    room: 'Historical Figures', x: -10, z: 0, facing: 'right', position: 1, frameColor: 0x4a2c17
+    image: {
+      src: { 256: 'images/portraits/ismail-qemali-256.jpg', 512: 'images/portraits/ismail-qemali-512.jpg' },
+      fallback: 'https://images.findagrave.com/photos/2020/130/209911151_37269ebf-4d55-41ee-b904-4cc6360f9734.jpeg?size=photos250',
+      credit: { en: 'Illustration, Albanian Hall of Legacy', sq: 'Ilustrim, Salla e Trashëgimisë Shqiptare' },
+      license: 'CC0 1.0',
+      fallbackCredit: 'Find a Grave'
+    },
+    relations: [{ to: 'Independence 1912', type: 'participated-in' }, { to: 'Skënderbeu', type: 'inspired-by' }],
+    tags: ['independence', 'national-awakening', 'statesmen'],
+    room: 'historical', position: 1, frameColor: 0x4a2c17
   },
   'Isa Boletini': { 
     years: '1864-1916', 
-    achievement: 'Led guerrilla resistance and fought for Albanian independence', 
-    quote: '"Better to die on your feet than live on your knees."', 
+    achievement: {
+      en: 'Led guerrilla resistance and fought for Albanian independence',
+      sq: 'Udhëhoqi qëndresën guerile dhe luftoi për pavarësinë e Shqipërisë'
+    }, 
+    quote: {
+      en: '"Better to die on your feet than live on your knees."',
+      sq: '"Më mirë të vdesësh në këmbë se të jetosh në gjunjë."'
+    }, 
     wiki: 'https://en.wikipedia.org/wiki/Isa_Boletini',
-    image: 'https://i0.wp.com/mitrovicaguide.com/wp-content/uploads/2014/03/The_new_Isa_Boletini-2.jpg?fit=357%2C400&ssl=1',
-    room: 'Historical Figures', x: -10, z: 0, facing: 'right', position: 2, frameColor: 0x6b4423
+    image: {
+      src: { 256: 'images/portraits/isa-boletini-256.jpg', 512: 'images/portraits/isa-boletini-512.jpg' },
+      fallback: 'https://i0.wp.com/mitrovicaguide.com/wp-content/uploads/2014/03/The_new_Isa_Boletini-2.jpg?fit=357%2C400&ssl=1',
+      credit: { en: 'Illustration, Albanian Hall of Legacy', sq: 'Ilustrim, Salla e Trashëgimisë Shqiptare' },
+      license: 'CC0 1.0',
+      fallbackCredit: 'Mitrovica Guide'
+    },
+    relations: [{ to: 'League of Prizren', type: 'participated-in' }, { to: 'Independence 1912', type: 'participated-in' }, { to: 'Ismail Qemali', type: 'contemporary' }],
+    tags: ['independence', 'kosovo'],
+    room: 'historical', position: 2, frameColor: 0x6b4423
   },
   'Adem Jashari': { 
     years: '1964-1998', 
-    achievement: 'Founder of the Kosovo Liberation Army and symbol of Kosovo independence', 
-    quote: '"Freedom is not free."', 
+    achievement: {
+      en: 'Founder of the Kosovo Liberation Army and symbol of Kosovo independence',
+      sq: 'Themelues i Ushtrisë Çlirimtare të Kosovës dhe simbol i pavarësisë së Kosovës'
+    }, 
+    quote: {
+      en: '"Freedom is not free."',
+      sq: '"Liria nuk vjen falas."'
+    }, 
     wiki: 'https://en.wikipedia.org/wiki/Adem_Jashari',
-    image: 'https://upload.wikimedia.org/wikipedia/commons/thumb/c/c0/Adem_Jashari_Memorial_in_Prekaz_January_2013_09_%28cropped%29.jpg/500px-Adem_Jashari_Memorial_in_Prekaz_January_2013_09_%28cropped%29.jpg',
-    room: 'Historical Figures', x: -10, z: 0, facing: 'right', position: 3, frameColor: 0x5c3a21
+    image: {
+      src: { 256: 'images/portraits/adem-jashari-256.jpg', 512: 'images/portraits/adem-jashari-512.jpg' },
+      fallback: 'https://upload.wikimedia.org/wikipedia/commons/thumb/c/c0/Adem_Jashari_Memorial_in_Prekaz_January_2013_09_%28cropped%29.jpg/500px-Adem_Jashari_Memorial_in_Prekaz_January_2013_09_%28cropped%29.jpg',
+      credit: { en: 'Illustration, Albanian Hall of Legacy', sq: 'Ilustrim, Salla e Trashëgimisë Shqiptare' },
+      license: 'CC0 1.0',
+      fallbackCredit: 'Wikimedia Commons'
+    },
+    relations: [{ to: 'Ibrahim Rugova', type: 'contemporary' }],
+    tags: ['independence', 'kosovo'],
+    room: 'historical', position: 3, frameColor: 0x5c3a21
   },
   
-  // Room 2: Scientists & Thinkers (-10, -14, right)
+  // Room 2: Scientists & Thinkers
   'Ismail Kadare': { 
     years: '1936-2024', 
-    achievement: 'Nominated for Nobel Prize in Literature multiple times', 
-    quote: '"Literature is the memory of humanity."', 
+    achievement: {
+      en: 'Nominated for Nobel Prize in Literature multiple times',
+      sq: 'Nominuar disa herë për Çmimin Nobel në Letërsi'
+    }, 
+    quote: {
+      en: '"Literature is the memory of humanity."',
+      sq: '"Letërsia është kujtesa e njerëzimit."'
+    }, 
     wiki: 'https://en.wikipedia.org/wiki/Ismail_Kadare',
-    image: 'https://imgs.search.brave.com/jgX4NxB4rCuSAN-8MF6Y-3FARr17Iu_6Or-IoMbDryA/rs:fit:860:0:0:0/g:ce/aHR0cHM6Ly9tZWRp/YS5nZXR0eWltYWdl/cy5jb20vaWQvNTgz/NDMwOTI2L3Bob3Rv/L3BvcnRyYWl0LWRp/c21haWwta2FkYXJl/LXBvJUMzJUE4dGUt/ZXQtcm9tYW5jaWVy/LWFsYmFuYWlzLmpw/Zz9zPTYxMng2MTIm/dz0wJms9MjAmYz1R/ZlJhdjR3dGNYeE5a/WFM1LXRDbnNjc1Bk/dENtalV4SWplN0pf/aUZxQ04wPQ',
-    room: 'Scientists & Thinkers', x: -10, z: -14, facing: 'right', position: 0, frameColor: 0x3d2817
+    image: {
+      src: { 256: 'images/portraits/ismail-kadare-256.jpg', 512: 'images/portraits/ismail-kadare-512.jpg' },
+      fallback: 'https://media.gettyimages.com/id/583430926/photo/portrait-dismail-kadare-po%C3%A8te-et-romancier-albanais.jpg?s=612x612&w=0&k=20&c=QfRav4wtcXxNZXS5-tCnscsPdtCmjUxIje7J_iFqCN0=',
+      credit: { en: 'Illustration, Albanian Hall of Legacy', sq: 'Ilustrim, Salla e Trashëgimisë Shqiptare' },
+      license: 'CC0 1.0',
+      fallbackCredit: 'Getty Images'
+    },
+    tags: ['literature'],
+    room: 'scientists', position: 0, frameColor: 0x3d2817
   },
   'Ibrahim Rugova': { 
     years: '1944-2006', 
-    achievement: 'First President of Kosovo, led peaceful resistance', 
-    quote: '"Peace is the only way forward."', 
+    achievement: {
+      en: 'First President of Kosovo, led peaceful resistance',
+      sq: 'Presidenti i parë i Kosovës, udhëhoqi qëndresën paqësore'
+    }, 
+    quote: {
+      en: '"Peace is the only way forward."',
+      sq: '"Paqja është e vetmja rrugë përpara."'
+    }, 
     wiki: 'https://en.wikipedia.org/wiki/Ibrahim_Rugova',
-    image: 'https://imgs.search.brave.com/uIrCp77ipZPV7fY7JC1HH8F2XiiM8l43IFSmplXykuw/rs:fit:860:0:0:0/g:ce/aHR0cHM6Ly9tZWRp/YS5nZXR0eWltYWdl/cy5jb20vaWQvNTQx/Nzk3OTQ3L3Bob3Rv/L3J1Z292YS1pYnJh/aGltLWxpdGVyYXR1/cndpc3NlbnNjaGFm/dGxlci1wb2xpdGlr/ZXIta29zb3ZvZ3J1/ZW5kZXItZGVyLWRl/bW9rcmF0aXNjaGVu/LWxpZ2EtZGVzLmpw/Zz9zPTYxMng2MTIm/dz0wJms9MjAmYz10/N3hVS1RXMkNhQzRK/WklsZmRVQWczMXhy/N19wSkVSN19FU2RN/MjZSUWprPQ',
-    room: 'Scientists & Thinkers', x: -10, z: -14, facing: 'right', position: 1, frameColor: 0x4a3520
+    image: {
+      src: { 256: 'images/portraits/ibrahim-rugova-256.jpg', 512: 'images/portraits/ibrahim-rugova-512.jpg' },
+      fallback: 'https://media.gettyimages.com/id/541797947/photo/rugova-ibrahim-literaturwissenschaftler-politiker-kosovogruender-der-demokratischen-liga-des.jpg?s=612x612&w=0&k=20&c=t7xUKTW2CaC4JZIlfdUAg31xr7_pJER7_ESdM26RQjk=',
+      credit: { en: 'Illustration, Albanian Hall of Legacy', sq: 'Ilustrim, Salla e Trashëgimisë Shqiptare' },
+      license: 'CC0 1.0',
+      fallbackCredit: 'Getty Images'
+    },
+    tags: ['independence', 'kosovo', 'statesmen', 'literature'],
+    room: 'scientists', position: 1, frameColor: 0x4a3520
   },
   'Sami Frashëri': { 
     years: '1850-1904', 
-    achievement: 'Key figure in Albanian National Awakening', 
-    quote: '"Albania for the Albanians."', 
+    achievement: {
+      en: 'Key figure in Albanian National Awakening',
+      sq: 'Figurë kyçe e Rilindjes Kombëtare Shqiptare'
+    }, 
+    quote: {
+      en: '"Albania for the Albanians."',
+      sq: '"Shqipëria për shqiptarët."'
+    }, 
     wiki: 'https://en.wikipedia.org/wiki/Sami_Frash%C3%ABri',
-    image: 'https://imgs.search.brave.com/q3rDYuLMp_o0LQO85a9afI-tAUBSNW-9FjXdh011Et0/rs:fit:860:0:0:0/g:ce/aHR0cHM6Ly9tZWRp/YXN2Yy5hbmNlc3Ry/eS5jb20vdjIvaW1h/Z2UvbmFtZXNwYWNl/cy8xMDkzL21lZGlh/L2JkMzJkMTM0LTBm/Y2MtNGZhMC1hNWVi/LWJhOWIxMDRlYzE1/Mi5qcGc_Q2xpZW50/PWFzdHJvLXNlb2xv/cHAmTWF4U2lkZT0x/NjA',
-    room: 'Scientists & Thinkers', x: -10, z: -14, facing: 'right', position: 2, frameColor: 0x5c4033
+    image: {
+      src: { 256: 'images/portraits/sami-frasheri-256.jpg', 512: 'images/portraits/sami-frasheri-512.jpg' },
+      fallback: 'https://mediasvc.ancestry.com/v2/image/namespaces/1093/media/bd32d134-0fcc-4fa0-a5eb-ba9b104ec152.jpg?Client=astro-seolopp&MaxSide=160',
+      credit: { en: 'Illustration, Albanian Hall of Legacy', sq: 'Ilustrim, Salla e Trashëgimisë Shqiptare' },
+      license: 'CC0 1.0',
+      fallbackCredit: 'Ancestry'
+    },
+    relations: [{ to: 'League of Prizren', type: 'participated-in' }, { to: 'Naim Frashëri', type: 'family' }],
+    tags: ['national-awakening', 'literature'],
+    room: 'scientists', position: 2, frameColor: 0x5c4033
   },
   'Naim Frashëri': { 
     years: '1846-1900', 
-    achievement: 'National poet, wrote "History of Skanderbeg"', 
-    quote: '"O mountains of Albania, and you, O trees so lofty."', 
+    achievement: {
+      en: 'National poet, wrote "History of Skanderbeg"',
+      sq: 'Poet kombëtar, autor i "Istoria e Skënderbeut"'
+    }, 
+    quote: {
+      en: '"O mountains of Albania, and you, O trees so lofty."',
+      sq: '"O malet e Shqipërisë e ju o lisat e gjatë."'
+    }, 
     wiki: 'https://en.wikipedia.org/wiki/Naim_Frash%C3%ABri',
-    image: 'https://imgs.search.brave.com/FgsL0JomQP2FQhbwTz5yZWnQVyht4W7XfKzoBOkKmV8/rs:fit:860:0:0:0/g:ce/aHR0cHM6Ly9kdWNr/ZHVja2dvLmNvbS9p/LzFlMzA5MjM1Lmpw/Zw',
-    room: 'Scientists & Thinkers', x: -10, z: -14, facing: 'right', position: 3, frameColor: 0x4a3520
+    image: {
+      src: { 256: 'images/portraits/naim-frasheri-256.jpg', 512: 'images/portraits/naim-frasheri-512.jpg' },
+      fallback: 'https://commons.wikimedia.org/wiki/Special:FilePath/Naim_Frash%C3%ABri.jpg?width=256',
+      credit: { en: 'Illustration, Albanian Hall of Legacy', sq: 'Ilustrim, Salla e Trashëgimisë Shqiptare' },
+      license: 'CC0 1.0',
+      fallbackCredit: 'Unknown photographer (Wikimedia Commons)',
+      fallbackLicense: { en: 'Public domain', sq: 'Domen publik' }
+    },
+    relations: [{ to: 'League of Prizren', type: 'participated-in' }, { to: 'Skënderbeu', type: 'inspired-by' }],
+    tags: ['national-awakening', 'literature'],
+    room: 'scientists', position: 3, frameColor: 0x4a3520
   },
   
-  // Room 3: Actors (-10, -28, right)
+  // Room 3: Actors
   'John Belushi': { 
     years: '1949-1982', 
-    achievement: 'SNL original cast, starred in Blues Brothers', 
-    quote: '"I owe it all to little chocolate donuts."', 
+    achievement: {
+      en: 'SNL original cast, starred in Blues Brothers',
+      sq: 'Anëtar i kastit origjinal të SNL, protagonist në "The Blues Brothers"'
+    }, 
+    quote: {
+      en: '"I owe it all to little chocolate donuts."',
+      sq: '"Gjithçka ua detyroj krofnave të vogla me çokollatë."'
+    }, 
     wiki: 'https://en.wikipedia.org/wiki/John_Belushi',
-    image: 'https://imgs.search.brave.com/7tsUO4cNv2RisYRmmbDopsfsj3bWyXLjEgOG9tNyefk/rs:fit:860:0:0:0/g:ce/aHR0cHM6Ly9wZW9w/bGUuY29tL3RobWIv/VzBlaV9BcDdldHlE/ZjdBMEpROGJQdVN4/ajkwPS80MDAweDAv/ZmlsdGVyczpub191/cHNjYWxlKCk6bWF4/X2J5dGVzKDE1MDAw/MCk6c3RyaXBfaWNj/KCk6Zm9jYWwoNDMy/eDExOTo0MzR4MTIx/KTpmb3JtYXQod2Vi/cCkvam9obi1iZWx1/c2hpLWRlYXRoLXNu/bC0wMzA0MjUtYWVj/ZmZkMTE2ODAyNDMz/N2E3ZDBlODM2MGIx/MjVlYjMuanBn',
-    room: 'Actors', x: -10, z: -28, facing: 'right', position: 0, frameColor: 0x8b4513
+    image: {
+      src: { 256: 'images/portraits/john-belushi-256.jpg', 512: 'images/portraits/john-belushi-512.jpg' },
+      fallback: 'https://people.com/thmb/W0ei_Ap7etyDf7A0JQ8bPuSxj90=/4000x0/filters:no_upscale():max_bytes(150000):strip_icc():focal(432x119:434x121):format(webp)/john-belushi-death-snl-030425-aecffd1168024337a7d0e8360b125eb3.jpg',
+      credit: { en: 'Illustration, Albanian Hall of Legacy', sq: 'Ilustrim, Salla e Trashëgimisë Shqiptare' },
+      license: 'CC0 1.0',
+      fallbackCredit: 'People'
+    },
+    relations: [{ to: 'Jim Belushi', type: 'family' }],
+    tags: ['film', 'diaspora'],
+    room: 'actors', position: 0, frameColor: 0x8b4513
   },
   'Faruk Begolli': { 
     years: '1944-2007', 
-    achievement: 'Renowned Yugoslav-Albanian actor and director', 
-    quote: '"Acting is the bridge between cultures."', 
+    achievement: {
+      en: 'Renowned Yugoslav-Albanian actor and director',
+      sq: 'Aktor dhe regjisor i njohur shqiptar në ish-Jugosllavi'
+    }, 
+    quote: {
+      en: '"Acting is the bridge between cultures."',
+      sq: '"Aktrimi është ura mes kulturave."'
+    }, 
     wiki: 'https://en.wikipedia.org/wiki/Faruk_Begolli',
-    image: 'https://upload.wikimedia.org/wikipedia/en/6/64/Faruk-Begolli-pic.jpg',
-    room: 'Actors', x: -10, z: -28, facing: 'right', position: 1, frameColor: 0x7b4a23
+    image: {
+      src: { 256: 'images/portraits/faruk-begolli-256.jpg', 512: 'images/portraits/faruk-begolli-512.jpg' },
+      fallback: 'https://upload.wikimedia.org/wikipedia/en/6/64/Faruk-Begolli-pic.jpg',
+      credit: { en: 'Illustration, Albanian Hall of Legacy', sq: 'Ilustrim, Salla e Trashëgimisë Shqiptare' },
+      license: 'CC0 1.0',
+      fallbackCredit: 'Wikipedia'
+    },
+    tags: ['film', 'kosovo'],
+    room: 'actors', position: 1, frameColor: 0x7b4a23
   },
   'Bekim Fehmiu': { 
     years: '1936-2010', 
-    achievement: 'First Albanian international film star', 
-    quote: '"Art has no borders."', 
+    achievement: {
+      en: 'First Albanian international film star',
+      sq: 'Ylli i parë shqiptar i filmit ndërkombëtar'
+    }, 
+    quote: {
+      en: '"Art has no borders."',
+      sq: '"Arti nuk ka kufij."'
+    }, 
     wiki: 'https://en.wikipedia.org/wiki/Bekim_Fehmiu',
-    image: 'https://imgs.search.brave.com/fYp9h1fIpssj4VnoG5z29Iw0B6lUBkXaoad_JUTzLtE/rs:fit:860:0:0:0/g:ce/aHR0cHM6Ly9tZWRp/YS5nZXR0eWltYWdl/cy5jb20vaWQvMTQ5/OTgyOTAwL3Bob3Rv/L2Jla2ltLWZlaG1p/dS15dWdvc2xhdi1z/dGFyLXdoby1wbGF5/cy10aGUtcm9sZS1v/Zi1kYXgtaW4tdGhl/LWZpbG0tdGhlLWFk/dmVudHVyZXJzLTE5/NzAuanBnP3M9NjEy/eDYxMiZ3PTAmaz0y/MCZjPXpZMjhCenk0/TzkyZ2VzU1BVYjFS/VC1NUFBnZjA4SjVk/aXNvTmszNjZnaWs9',
-    room: 'Actors', x: -10, z: -28, facing: 'right', position: 2, frameColor: 0x5b3a13
+    image: {
+      src: { 256: 'images/portraits/bekim-fehmiu-256.jpg', 512: 'images/portraits/bekim-fehmiu-512.jpg' },
+      fallback: 'https://media.gettyimages.com/id/149982900/photo/bekim-fehmiu-yugoslav-star-who-plays-the-role-of-dax-in-the-film-the-adventurers-1970.jpg?s=612x612&w=0&k=20&c=zY28Bzy4O92gesSPUb1RT-MPPgf08J5disoNk366gik=',
+      credit: { en: 'Illustration, Albanian Hall of Legacy', sq: 'Ilustrim, Salla e Trashëgimisë Shqiptare' },
+      license: 'CC0 1.0',
+      fallbackCredit: 'Getty Images'
+    },
+    relations: [{ to: 'Faruk Begolli', type: 'contemporary' }],
+    tags: ['film', 'kosovo'],
+    room: 'actors', position: 2, frameColor: 0x5b3a13
   },
   'Jim Belushi': { 
     years: '1954-present', 
-    achievement: 'SNL cast member, starred in According to Jim', 
-    quote: '"I\'m proud of my Albanian heritage."', 
+    achievement: {
+      en: 'SNL cast member, starred in According to Jim',
+      sq: 'Anëtar i kastit të SNL, protagonist në "According to Jim"'
+    }, 
+    quote: {
+      en: '"I\'m proud of my Albanian heritage."',
+      sq: '"Jam krenar për trashëgiminë time shqiptare."'
+    }, 
     wiki: 'https://en.wikipedia.org/wiki/Jim_Belushi',
-    image: 'https://upload.wikimedia.org/wikipedia/commons/thumb/2/2e/Jim_Belushi_Unveils_Belushi_Performance_Hall_at_MAC_Motown_2015_31.jpg/500px-Jim_Belushi_Unveils_Belushi_Performance_Hall_at_MAC_Motown_2015_31.jpg',
-    room: 'Actors', x: -10, z: -28, facing: 'right', position: 3, frameColor: 0x7b4a23
+    image: {
+      src: { 256: 'images/portraits/jim-belushi-256.jpg', 512: 'images/portraits/jim-belushi-512.jpg' },
+      fallback: 'https://upload.wikimedia.org/wikipedia/commons/thumb/2/2e/Jim_Belushi_Unveils_Belushi_Performance_Hall_at_MAC_Motown_2015_31.jpg/500px-Jim_Belushi_Unveils_Belushi_Performance_Hall_at_MAC_Motown_2015_31.jpg',
+      credit: { en: 'Illustration, Albanian Hall of Legacy', sq: 'Ilustrim, Salla e Trashëgimisë Shqiptare' },
+      license: 'CC0 1.0',
+      fallbackCredit: 'Wikimedia Commons'
+    },
+    tags: ['film', 'diaspora'],
+    room: 'actors', position: 3, frameColor: 0x7b4a23
   },
   
-  // Room 4: International Contributors (10, 0, left)
+  // Room 4: International Contributors
   'Mother Teresa': { 
+    label: { en: 'Mother Teresa', sq: 'Nënë Tereza' },
     years: '1910-1997', 
-    achievement: 'Nobel Peace Prize 1979, canonized as Saint in 2016', 
-    quote: '"If you judge people, you have no time to love them."', 
+    achievement: {
+      en: 'Nobel Peace Prize 1979, canonized as Saint in 2016',
+      sq: 'Çmimi Nobel për Paqe 1979, shpallur shenjtore në 2016'
+    }, 
+    quote: {
+      en: '"If you judge people, you have no time to love them."',
+      sq: '"Nëse i gjykon njerëzit, nuk të mbetet kohë t\'i duash."'
+    }, 
     wiki: 'https://en.wikipedia.org/wiki/Mother_Teresa',
-    image: 'https://upload.wikimedia.org/wikipedia/commons/thumb/d/d6/Mother_Teresa_1.jpg/250px-Mother_Teresa_1.jpg',
-    room: 'International Contributors', x: 10, z: 0, facing: 'left', position: 0, frameColor: 0x2a4a6a
+    image: {
+      src: { 256: 'images/portraits/mother-teresa-256.jpg', 512: 'images/portraits/mother-teresa-512.jpg' },
+      fallback: 'https://upload.wikimedia.org/wikipedia/commons/thumb/d/d6/Mother_Teresa_1.jpg/250px-Mother_Teresa_1.jpg',
+      credit: { en: 'Illustration, Albanian Hall of Legacy', sq: 'Ilustrim, Salla e Trashëgimisë Shqiptare' },
+      license: 'CC0 1.0',
+      fallbackCredit: 'Wikimedia Commons'
+    },
+    tags: ['nobel'],
+    room: 'international', position: 0, frameColor: 0x2a4a6a
   },
   'Ferid Murad': { 
     years: '1936-2023', 
-    achievement: 'Nobel Prize in Physiology/Medicine 1998 for nitric oxide discoveries', 
-    quote: '"Science knows no boundaries."', 
+    achievement: {
+      en: 'Nobel Prize in Physiology/Medicine 1998 for nitric oxide discoveries',
+      sq: 'Çmimi Nobel në Fiziologji/Mjekësi 1998 për zbulimet mbi oksidin e azotit'
+    }, 
+    quote: {
+      en: '"Science knows no boundaries."',
+      sq: '"Shkenca nuk njeh kufij."'
+    }, 
     wiki: 'https://en.wikipedia.org/wiki/Ferid_Murad',
-    image: 'https://upload.wikimedia.org/wikipedia/commons/thumb/5/57/Ferid_Murad.jpg/500px-Ferid_Murad.jpg',
-    room: 'International Contributors', x: 10, z: 0, facing: 'left', position: 1, frameColor: 0x3a3a4a
+    image: {
+      src: { 256: 'images/portraits/ferid-murad-256.jpg', 512: 'images/portraits/ferid-murad-512.jpg' },
+      fallback: 'https://upload.wikimedia.org/wikipedia/commons/thumb/5/57/Ferid_Murad.jpg/500px-Ferid_Murad.jpg',
+      credit: { en: 'Illustration, Albanian Hall of Legacy', sq: 'Ilustrim, Salla e Trashëgimisë Shqiptare' },
+      license: 'CC0 1.0',
+      fallbackCredit: 'Wikimedia Commons'
+    },
+    tags: ['nobel', 'diaspora'],
+    room: 'international', position: 1, frameColor: 0x3a3a4a
   },
   'Behgjet Pacolli': { 
     years: '1951-present', 
-    achievement: 'Businessman, founder of Mabetex Group, served as President of Kosovo in 2011', 
-    quote: '"Success comes from hard work and dedication to your homeland."', 
+    achievement: {
+      en: 'Businessman, founder of Mabetex Group, served as President of Kosovo in 2011',
+      sq: 'Biznesmen, themelues i Mabetex Group, President i Kosovës në vitin 2011'
+    }, 
+    quote: {
+      en: '"Success comes from hard work and dedication to your homeland."',
+      sq: '"Suksesi vjen nga puna e palodhur dhe përkushtimi ndaj atdheut."'
+    }, 
     wiki: 'https://en.wikipedia.org/wiki/Behgjet_Pacolli',
-    image: 'https://upload.wikimedia.org/wikipedia/commons/thumb/f/fa/Bp2015.jpg/500px-Bp2015.jpg',
-    room: 'International Contributors', x: 10, z: 0, facing: 'left', position: 2, frameColor: 0x3a3a4a
+    image: {
+      src: { 256: 'images/portraits/behgjet-pacolli-256.jpg', 512: 'images/portraits/behgjet-pacolli-512.jpg' },
+      fallback: 'https://upload.wikimedia.org/wikipedia/commons/thumb/f/fa/Bp2015.jpg/500px-Bp2015.jpg',
+      credit: { en: 'Illustration, Albanian Hall of Legacy', sq: 'Ilustrim, Salla e Trashëgimisë Shqiptare' },
+      license: 'CC0 1.0',
+      fallbackCredit: 'Wikimedia Commons'
+    },
+    tags: ['kosovo', 'statesmen'],
+    room: 'international', position: 2, frameColor: 0x3a3a4a
   },
   'Ermonela Jaho': { 
     years: '1974-present', 
-    achievement: 'World-renowned Albanian soprano opera singer', 
-    quote: '"Opera is the language of the soul."', 
+    achievement: {
+      en: 'World-renowned Albanian soprano opera singer',
+      sq: 'Sopranoja shqiptare e operës me famë botërore'
+    }, 
+    quote: {
+      en: '"Opera is the language of the soul."',
+      sq: '"Opera është gjuha e shpirtit."'
+    }, 
     wiki: 'https://en.wikipedia.org/wiki/Ermonela_Jaho',
-    image: 'https://upload.wikimedia.org/wikipedia/commons/thumb/f/f8/ErmonelaJaho-InternationalOperaAwards.jpg/330px-ErmonelaJaho-InternationalOperaAwards.jpg',
-    room: 'International Contributors', x: 10, z: 0, facing: 'left', position: 3, frameColor: 0x3a3a4a
+    image: {
+      src: { 256: 'images/portraits/ermonela-jaho-256.jpg', 512: 'images/portraits/ermonela-jaho-512.jpg' },
+      fallback: 'https://upload.wikimedia.org/wikipedia/commons/thumb/f/f8/ErmonelaJaho-InternationalOperaAwards.jpg/330px-ErmonelaJaho-InternationalOperaAwards.jpg',
+      credit: { en: 'Illustration, Albanian Hall of Legacy', sq: 'Ilustrim, Salla e Trashëgimisë Shqiptare' },
+      license: 'CC0 1.0',
+      fallbackCredit: 'Wikimedia Commons'
+    },
+    relations: [{ to: 'Inva Mula', type: 'contemporary' }],
+    tags: ['music'],
+    room: 'international', position: 3, frameColor: 0x3a3a4a
   },
   
-  // Room 5: Singers (10, -14, left)
+  // Room 5: Singers
   'Rita Ora': { 
     years: '1990-present', 
-    achievement: 'Multi-platinum artist, 4 UK #1 singles', 
-    quote: '"Kosovo is my heart, UK is my home."', 
+    achievement: {
+      en: 'Multi-platinum artist, 4 UK #1 singles',
+      sq: 'Artiste me disa disqe platini, 4 këngë në vendin e parë në Britani'
+    }, 
+    quote: {
+      en: '"Kosovo is my heart, UK is my home."',
+      sq: '"Kosova është zemra ime, Britania është shtëpia ime."'
+    }, 
+    clip: 'audio/clips/rita-ora.mp3',
     wiki: 'https://en.wikipedia.org/wiki/Rita_Ora',
-    image: 'https://imgs.search.brave.com/AT18oh2fpQEOT8aBhN4gyqA79AOXn4zvPe1Iid55V1s/rs:fit:860:0:0:0/g:ce/aHR0cHM6Ly93d3cu/dXNtYWdhemluZS5j/b20vd3AtY29udGVu/dC91cGxvYWRzLzIw/MjMvMDkvUml0YS1P/cmEtSm9pbnMtSnVk/Z2VzLVBhbmVsLW9u/LVRoZS1NYXNrZWQt/U2luZ2VyLTEuanBn/P3c9ODAwJnF1YWxp/dHk9NDAmc3RyaXA9/YWxs',
-    room: 'Singers', x: 10, z: -14, facing: 'left', position: 0, frameColor: 0xc41e3a
+    image: {
+      src: { 256: 'images/portraits/rita-ora-256.jpg', 512: 'images/portraits/rita-ora-512.jpg' },
+      fallback: 'https://www.usmagazine.com/wp-content/uploads/2023/09/Rita-Ora-Joins-Judges-Panel-on-The-Masked-Singer-1.jpg?w=800&quality=40&strip=all',
+      credit: { en: 'Illustration, Albanian Hall of Legacy', sq: 'Ilustrim, Salla e Trashëgimisë Shqiptare' },
+      license: 'CC0 1.0',
+      fallbackCredit: 'Us Weekly'
+    },
+    tags: ['music', 'kosovo', 'diaspora'],
+    room: 'singers', position: 0, frameColor: 0xc41e3a
   },
   'Dua Lipa': { 
     years: '1995-present', 
-    achievement: '6 Grammy nominations, 3 wins, global superstar', 
-    quote: '"I want to make my parents and Kosovo proud."', 
+    achievement: {
+      en: '6 Grammy nominations, 3 wins, global superstar',
+      sq: '6 nominime në Grammy, 3 fitore, yll global'
+    }, 
+    quote: {
+      en: '"I want to make my parents and Kosovo proud."',
+      sq: '"Dua t\'i bëj krenarë prindërit e mi dhe Kosovën."'
+    }, 
+    clip: 'audio/clips/dua-lipa.mp3',
     wiki: 'https://en.wikipedia.org/wiki/Dua_Lipa',
-    image: 'https://imgs.search.brave.com/74V2bkyxbkWoGpAXa_HS3ZVV-PUnyQAmJDvSjhYR0o4/rs:fit:860:0:0:0/g:ce/aHR0cHM6Ly93YWxs/cGFwZXJzLmNvbS9p/bWFnZXMvaGQvZHVh/LWxpcGEtMTI4MC14/LTE3MDctcGljdHVy/ZS16NXViMzF4cHlw/bDVjemNyLmpwZw',
-    room: 'Singers', x: 10, z: -14, facing: 'left', position: 1, frameColor: 0xd4246a
+    image: {
+      src: { 256: 'images/portraits/dua-lipa-256.jpg', 512: 'images/portraits/dua-lipa-512.jpg' },
+      fallback: 'https://wallpapers.com/images/hd/dua-lipa-1280-x-1707-picture-z5ub31xpypl5czcr.jpg',
+      credit: { en: 'Illustration, Albanian Hall of Legacy', sq: 'Ilustrim, Salla e Trashëgimisë Shqiptare' },
+      license: 'CC0 1.0',
+      fallbackCredit: 'wallpapers.com'
+    },
+    relations: [{ to: 'Rita Ora', type: 'contemporary' }],
+    tags: ['music', 'diaspora'],
+    room: 'singers', position: 1, frameColor: 0xd4246a
   },
   'Inva Mula': { 
     years: '1963-present', 
-    achievement: 'Albanian opera soprano, sang Diva Dance in The Fifth Element', 
-    quote: '"Music transcends all boundaries."', 
+    achievement: {
+      en: 'Albanian opera soprano, sang Diva Dance in The Fifth Element',
+      sq: 'Soprano shqiptare e operës, këndoi "Diva Dance" në "The Fifth Element"'
+    }, 
+    quote: {
+      en: '"Music transcends all boundaries."',
+      sq: '"Muzika i kapërcen të gjithë kufijtë."'
+    }, 
     wiki: 'https://en.wikipedia.org/wiki/Inva_Mula',
-    image: 'https://upload.wikimedia.org/wikipedia/commons/thumb/f/f3/Inva_Mula_%28cropped%29.jpg/393px-Inva_Mula_%28cropped%29.jpg',
-    room: 'Singers', x: 10, z: -14, facing: 'left', position: 2, frameColor: 0xb41e4a
+    image: {
+      src: { 256: 'images/portraits/inva-mula-256.jpg', 512: 'images/portraits/inva-mula-512.jpg' },
+      fallback: 'https://upload.wikimedia.org/wikipedia/commons/thumb/f/f3/Inva_Mula_%28cropped%29.jpg/393px-Inva_Mula_%28cropped%29.jpg',
+      credit: { en: 'Illustration, Albanian Hall of Legacy', sq: 'Ilustrim, Salla e Trashëgimisë Shqiptare' },
+      license: 'CC0 1.0',
+      fallbackCredit: 'Wikimedia Commons'
+    },
+    tags: ['music'],
+    room: 'singers', position: 2, frameColor: 0xb41e4a
   },
   'Nexhmije Pagarusha': { 
     years: '1933-2020', 
-    achievement: 'Legendary Albanian singer, "Queen of Albanian Music"', 
-    quote: '"My voice belongs to Albania."', 
+    achievement: {
+      en: 'Legendary Albanian singer, "Queen of Albanian Music"',
+      sq: 'Këngëtare legjendare shqiptare, "Mbretëresha e Muzikës Shqiptare"'
+    }, 
+    quote: {
+      en: '"My voice belongs to Albania."',
+      sq: '"Zëri im i përket Shqipërisë."'
+    }, 
+    clip: 'audio/clips/nexhmije-pagarusha.mp3',
     wiki: 'https://en.wikipedia.org/wiki/Nexhmije_Pagarusha',
-    image: 'https://upload.wikimedia.org/wikipedia/commons/a/a3/Artistic_Director_of_the_high_fashion_show_%E2%80%9CGogh%E2%80%9D_%28cropped%29.jpg',
-    room: 'Singers', x: 10, z: -14, facing: 'left', position: 3, frameColor: 0xa42e5a
+    image: {
+      src: { 256: 'images/portraits/nexhmije-pagarusha-256.jpg', 512: 'images/portraits/nexhmije-pagarusha-512.jpg' },
+      fallback: 'https://upload.wikimedia.org/wikipedia/commons/a/a3/Artistic_Director_of_the_high_fashion_show_%E2%80%9CGogh%E2%80%9D_%28cropped%29.jpg',
+      credit: { en: 'Illustration, Albanian Hall of Legacy', sq: 'Ilustrim, Salla e Trashëgimisë Shqiptare' },
+      license: 'CC0 1.0',
+      fallbackCredit: 'Wikimedia Commons'
+    },
+    tags: ['music', 'kosovo'],
+    room: 'singers', position: 3, frameColor: 0xa42e5a
   },
   
-  // Room 6: Historical Events (10, -28, left)
+  // Room 6: Historical Events
   'Independence 1912': { 
-    years: 'November 28, 1912', 
-    achievement: 'Albania declared independence from Ottoman Empire', 
-    quote: '"The Albanian flag was raised in Vlorë."', 
+    label: { en: 'Independence 1912', sq: 'Pavarësia 1912' },
+    years: { en: 'November 28, 1912', sq: '28 Nëntor 1912' }, 
+    achievement: {
+      en: 'Albania declared independence from Ottoman Empire',
+      sq: 'Shqipëria shpalli pavarësinë nga Perandoria Osmane'
+    }, 
+    quote: {
+      en: '"The Albanian flag was raised in Vlorë."',
+      sq: '"Flamuri shqiptar u ngrit në Vlorë."'
+    }, 
     wiki: 'https://en.wikipedia.org/wiki/Albanian_Declaration_of_Independence',
-    image: 'https://upload.wikimedia.org/wikipedia/commons/thumb/a/a0/Deklarata_e_Pavar%C3%ABsis%C3%AB_%28dokumenti_origjinal_1912%29.jpg/250px-Deklarata_e_Pavar%C3%ABsis%C3%AB_%28dokumenti_origjinal_1912%29.jpg',
-    room: 'Historical Events', x: 10, z: -28, facing: 'left', position: 0, frameColor: 0xd4af37
+    image: {
+      src: { 256: 'images/portraits/independence-1912-256.jpg', 512: 'images/portraits/independence-1912-512.jpg' },
+      fallback: 'https://upload.wikimedia.org/wikipedia/commons/thumb/a/a0/Deklarata_e_Pavar%C3%ABsis%C3%AB_%28dokumenti_origjinal_1912%29.jpg/250px-Deklarata_e_Pavar%C3%ABsis%C3%AB_%28dokumenti_origjinal_1912%29.jpg',
+      credit: { en: 'Illustration, Albanian Hall of Legacy', sq: 'Ilustrim, Salla e Trashëgimisë Shqiptare' },
+      license: 'CC0 1.0',
+      fallbackCredit: 'Wikimedia Commons',
+      fallbackLicense: { en: 'Public domain', sq: 'Domen publik' }
+    },
+    tags: ['independence', 'national-awakening'],
+    room: 'events', position: 0, frameColor: 0xd4af37
   },
   'League of Prizren': { 
-    years: 'June 10, 1878', 
-    achievement: 'First unified Albanian political organization', 
-    quote: '"United for Albanian lands."', 
+    label: { en: 'League of Prizren', sq: 'Lidhja e Prizrenit' },
+    years: { en: 'June 10, 1878', sq: '10 Qershor 1878' }, 
+    achievement: {
+      en: 'First unified Albanian political organization',
+      sq: 'Organizata e parë politike e bashkuar shqiptare'
+    }, 
+    quote: {
+      en: '"United for Albanian lands."',
+      sq: '"Të bashkuar për trojet shqiptare."'
+    }, 
     wiki: 'https://en.wikipedia.org/wiki/League_of_Prizren',
-    image: 'https://upload.wikimedia.org/wikipedia/commons/3/3f/The_delegation_of_Sanjak_of_Shkodra_in_the_League_of_Prizren.jpg',
-    room: 'Historical Events', x: 10, z: -28, facing: 'left', position: 1, frameColor: 0xc49f27
+    image: {
+      src: { 256: 'images/portraits/league-of-prizren-256.jpg', 512: 'images/portraits/league-of-prizren-512.jpg' },
+      fallback: 'https://upload.wikimedia.org/wikipedia/commons/3/3f/The_delegation_of_Sanjak_of_Shkodra_in_the_League_of_Prizren.jpg',
+      credit: { en: 'Illustration, Albanian Hall of Legacy', sq: 'Ilustrim, Salla e Trashëgimisë Shqiptare' },
+      license: 'CC0 1.0',
+      fallbackCredit: 'Wikimedia Commons',
+      fallbackLicense: { en: 'Public domain', sq: 'Domen publik' }
+    },
+    relations: [{ to: 'Skënderbeu', type: 'inspired-by' }],
+    tags: ['independence', 'national-awakening', 'kosovo'],
+    room: 'events', position: 1, frameColor: 0xc49f27
   },
   'Alphabet Congress': { 
-    years: 'November 14-22, 1908', 
-    achievement: 'Standardized Albanian alphabet in Monastir', 
-    quote: '"One nation, one language, one alphabet."', 
+    label: { en: 'Alphabet Congress', sq: 'Kongresi i Manastirit' },
+    years: { en: 'November 14-22, 1908', sq: '14-22 Nëntor 1908' }, 
+    achievement: {
+      en: 'Standardized Albanian alphabet in Monastir',
+      sq: 'Njësoi alfabetin e gjuhës shqipe në Manastir'
+    }, 
+    quote: {
+      en: '"One nation, one language, one alphabet."',
+      sq: '"Një komb, një gjuhë, një alfabet."'
+    }, 
     wiki: 'https://en.wikipedia.org/wiki/Congress_of_Monastir',
-    image: 'https://upload.wikimedia.org/wikipedia/commons/thumb/7/78/Delegat%C3%ABt_e_Kongresit_t%C3%AB_Manastirit.jpg/250px-Delegat%C3%ABt_e_Kongresit_t%C3%AB_Manastirit.jpg',
-    room: 'Historical Events', x: 10, z: -28, facing: 'left', position: 2, frameColor: 0xb48f17
+    image: {
+      src: { 256: 'images/portraits/alphabet-congress-256.jpg', 512: 'images/portraits/alphabet-congress-512.jpg' },
+      fallback: 'https://upload.wikimedia.org/wikipedia/commons/thumb/7/78/Delegat%C3%ABt_e_Kongresit_t%C3%AB_Manastirit.jpg/250px-Delegat%C3%ABt_e_Kongresit_t%C3%AB_Manastirit.jpg',
+      credit: { en: 'Illustration, Albanian Hall of Legacy', sq: 'Ilustrim, Salla e Trashëgimisë Shqiptare' },
+      license: 'CC0 1.0',
+      fallbackCredit: 'Wikimedia Commons',
+      fallbackLicense: { en: 'Public domain', sq: 'Domen publik' }
+    },
+    relations: [{ to: 'Sami Frashëri', type: 'inspired-by' }, { to: 'Naim Frashëri', type: 'inspired-by' }],
+    tags: ['national-awakening'],
+    room: 'events', position: 2, frameColor: 0xb48f17
   },
   'Kosovo Independence': { 
-    years: 'February 17, 2008', 
-    achievement: 'Kosovo declared independence from Serbia', 
-    quote: '"Kosovo is free!"', 
+    label: { en: 'Kosovo Independence', sq: 'Pavarësia e Kosovës' },
+    years: { en: 'February 17, 2008', sq: '17 Shkurt 2008' }, 
+    achievement: {
+      en: 'Kosovo declared independence from Serbia',
+      sq: 'Kosova shpalli pavarësinë nga Serbia'
+    }, 
+    quote: {
+      en: '"Kosovo is free!"',
+      sq: '"Kosova është e lirë!"'
+    }, 
     wiki: 'https://en.wikipedia.org/wiki/2008_Kosovo_declaration_of_independence',
-    image: 'https://upload.wikimedia.org/wikipedia/commons/thumb/5/5b/Kosova_independence_Vienna_17-02-2008_b.jpg/250px-Kosova_independence_Vienna_17-02-2008_b.jpg',
-    room: 'Historical Events', x: 10, z: -28, facing: 'left', position: 3, frameColor: 0x1e4d8c
+    image: {
+      src: { 256: 'images/portraits/kosovo-independence-256.jpg', 512: 'images/portraits/kosovo-independence-512.jpg' },
+      fallback: 'https://upload.wikimedia.org/wikipedia/commons/thumb/5/5b/Kosova_independence_Vienna_17-02-2008_b.jpg/250px-Kosova_independence_Vienna_17-02-2008_b.jpg',
+      credit: { en: 'Illustration, Albanian Hall of Legacy', sq: 'Ilustrim, Salla e Trashëgimisë Shqiptare' },
+      license: 'CC0 1.0',
+      fallbackCredit: 'Wikimedia Commons'
+    },
+    tags: ['independence', 'kosovo'],
+    room: 'events', position: 3, frameColor: 0x1e4d8c
   }
 };
 
 /**
- * Builds all museum rooms with portraits
+ * Loads the exhibits and organizes them into rooms, ready to be built
+ * Exhibits come from the manifest in CONFIG.exhibits, or the bundled data as fallback
+ * @returns {Promise<Museum>} The museum, not yet built
  */
-export function buildAllPortraits() {
-  const museum = new Museum(portraitData);
-  museum.build();
+export async function loadMuseum() {
+  const manifestLoaded = registerAsset();
+  
+  try {
+    const { exhibits: exhibitData, errors } = await loadExhibitManifest(portraitData);
+    errors.forEach(error => reportLoadingIssue(error));
+    
+    return new Museum(exhibitData);
+  } finally {
+    manifestLoaded();
+  }
 }
 
 // Backwards compatibility - not used anymore but kept for reference
 export function createPortrait() {
-  console.warn('createPortrait() is deprecated. Use buildAllPortraits() instead.');
+  console.warn('createPortrait() is deprecated. Use loadMuseum() and museum.build() instead.');
 }
\ No newline at end of file
@@ -0,0 +1,221 @@
+/**
+ * REGISTRY.JS - Room Registry
+ *
+ * @module registry
+ * @description Single source of truth for museum rooms, consumed by the
+ * room builder, the navigation system and the generated room nav bar,
+ * and for the tags and relation types exhibits can use
+ */
+
+import { localize } from './i18n.js';
+
+/**
+ * @typedef {Object} RoomDefinition
+ * @property {string} id - Stable identifier referenced by exhibits (e.g. 'singers')
+ * @property {string|Object.<string, string>} name - Display name for nav buttons and room labels (localized)
+ * @property {string} icon - Lucide icon name for the nav button
+ * @property {{x: number, z: number}} [position] - Room centre; generated by the floor plan for galleries
+ * @property {string} [facing] - 'right' / 'left' = entrance faces +X / -X, 'front' / 'back' = entrance faces +Z / -Z; generated for galleries
+ * @property {string|Object.<string, string>} description - Short description shown on the room label and button tooltip (localized)
+ * @property {number} accentColor - Accent colour for the label border and nav button
+ * @property {string} [ambience] - Looping ambient sound placed in the room (see soundscape.js)
+ * @property {boolean} [gallery=true] - False for halls that hold no portraits and are built separately
+ */
+
+/**
+ * All museum rooms, in nav bar order
+ * Gallery order also decides where each room lands on the generated floor plan
+ * @type {RoomDefinition[]}
+ */
+export const ROOMS = [
+  {
+    id: 'entrance',
+    name: { en: 'Entrance Hall', sq: 'Salla e Hyrjes' },
+    icon: 'columns',
+    position: { x: 0, z: 18 },
+    facing: 'front',
+    description: { en: 'Welcome to the Albanian Hall of Legacy', sq: 'Mirë se vini në Sallën e Trashëgimisë Shqiptare' },
+    accentColor: 0xd4af37,
+    gallery: false
+  },
+  {
+    id: 'historical',
+    name: { en: 'Historical Figures', sq: 'Figura Historike' },
+    icon: 'sword',
+    description: { en: 'Leaders who fought for Albanian freedom', sq: 'Prijës që luftuan për lirinë e shqiptarëve' },
+    accentColor: 0x8b0000,
+    ambience: 'audio/ambience/historical.mp3'
+  },
+  {
+    id: 'scientists',
+    name: { en: 'Scientists & Thinkers', sq: 'Shkencëtarë & Mendimtarë' },
+    icon: 'flask-conical',
+    description: { en: 'Writers, scholars and statesmen', sq: 'Shkrimtarë, dijetarë dhe burra shteti' },
+    accentColor: 0x3a6ea5,
+    ambience: 'audio/ambience/scientists.mp3'
+  },
+  {
+    id: 'actors',
+    name: { en: 'Actors', sq: 'Aktorë' },
+    icon: 'film',
+    description: { en: 'Albanian stars of stage and screen', sq: 'Yje shqiptarë të skenës dhe ekranit' },
+    accentColor: 0x8b4513,
+    ambience: 'audio/ambience/actors.mp3'
+  },
+  {
+    id: 'international',
+    name: { en: 'International Contributors', sq: 'Kontribues Ndërkombëtarë' },
+    icon: 'globe',
+    description: { en: 'Albanians who shaped the wider world', sq: 'Shqiptarë që lanë gjurmë në botë' },
+    accentColor: 0x2a4a6a,
+    ambience: 'audio/ambience/international.mp3'
+  },
+  {
+    id: 'singers',
+    name: { en: 'Singers', sq: 'Këngëtarë' },
+    icon: 'mic-2',
+    description: { en: 'Voices from opera to pop', sq: 'Zëra nga opera te muzika pop' },
+    accentColor: 0xc41e3a,
+    ambience: 'audio/ambience/singers.mp3'
+  },
+  {
+    id: 'events',
+    name: { en: 'Historical Events', sq: 'Ngjarje Historike' },
+    icon: 'scroll-text',
+    description: { en: 'Moments that defined the nation', sq: 'Momente që përcaktuan kombin' },
+    accentColor: 0xb48f17,
+    ambience: 'audio/ambience/events.mp3'
+  }
+];
+
+const roomsById = new Map(ROOMS.map(room => [room.id, room]));
+
+/**
+ * Looks up a room by id
+ * @param {string} roomId - Room identifier
+ * @returns {RoomDefinition|undefined} The room definition
+ */
+export function getRoom(roomId) {
+  return roomsById.get(roomId);
+}
+
+/**
+ * Returns the rooms that hold portraits
+ * @returns {RoomDefinition[]} Gallery rooms in registry order
+ */
+export function getGalleryRooms() {
+  return ROOMS.filter(room => room.gallery !== false);
+}
+
+/**
+ * Finds a room by its English display name (used to migrate older manifests)
+ * @param {string} name - Room display name
+ * @returns {RoomDefinition|undefined} The room definition
+ */
+export function findRoomByName(name) {
+  return ROOMS.find(room => localize(room.name, 'en') === name);
+}
+
+/**
+ * Returns the horizontal axes of a room for its facing
+ * normal points from the back wall towards the entrance, right is the
+ * visitor's right-hand side when standing in the room facing the back wall
+ * @param {string} facing - Room facing
+ * @returns {{normal: {x: number, z: number}, right: {x: number, z: number}}} Unit axes on the XZ plane
+ */
+export function getRoomAxes(facing) {
+  let normal;
+  if (facing === 'right') {
+    normal = { x: 1, z: 0 };
+  } else if (facing === 'left') {
+    normal = { x: -1, z: 0 };
+  } else if (facing === 'back') {
+    normal = { x: 0, z: -1 };
+  } else {
+    normal = { x: 0, z: 1 };
+  }
+  
+  return { normal, right: { x: normal.z, z: -normal.x } };
+}
+
+/**
+ * Formats a numeric colour as a CSS hex string
+ * @param {number} color - Colour as a number (e.g. 0x8b0000)
+ * @returns {string} CSS colour (e.g. '#8b0000')
+ */
+export function toCssColor(color) {
+  return `#${color.toString(16).padStart(6, '0')}`;
+}
+
+// ═══════════════════════════════════════════
+// TAGS
+// ═══════════════════════════════════════════
+
+/**
+ * @typedef {Object} TagDefinition
+ * @property {string} id - Identifier used in the exhibit `tags` list (e.g. 'kosovo')
+ * @property {string|Object.<string, string>} name - Display name in the filter panel (localized)
+ */
+
+/**
+ * Known exhibit tags, in filter panel order
+ * Exhibits may use other ids too; those are shown as written
+ * @type {TagDefinition[]}
+ */
+export const TAGS = [
+  { id: 'independence', name: { en: 'Independence movement', sq: 'Lëvizja për pavarësi' } },
+  { id: 'national-awakening', name: { en: 'National Awakening', sq: 'Rilindja Kombëtare' } },
+  { id: 'kosovo', name: { en: 'Kosovo', sq: 'Kosova' } },
+  { id: 'statesmen', name: { en: 'Statesmen', sq: 'Burra shteti' } },
+  { id: 'literature', name: { en: 'Literature', sq: 'Letërsia' } },
+  { id: 'film', name: { en: 'Film & theatre', sq: 'Film & teatër' } },
+  { id: 'music', name: { en: 'Music', sq: 'Muzika' } },
+  { id: 'diaspora', name: { en: 'Diaspora', sq: 'Diaspora' } },
+  { id: 'nobel', name: { en: 'Nobel laureates', sq: 'Laureatë të Nobelit' } }
+];
+
+const tagsById = new Map(TAGS.map(tag => [tag.id, tag]));
+
+/**
+ * Looks up a tag by id
+ * @param {string} tagId - Tag identifier
+ * @returns {TagDefinition|undefined} The tag definition
+ */
+export function getTag(tagId) {
+  return tagsById.get(tagId);
+}
+
+// ═══════════════════════════════════════════
+// RELATIONS
+// ═══════════════════════════════════════════
+
+/**
+ * @typedef {Object} RelationType
+ * @property {string|Object.<string, string>} name - Label on the declaring exhibit, read as "<name> <related exhibit>" (localized)
+ * @property {string|Object.<string, string>} [inverse] - Label on the related exhibit; symmetric relations have none (localized)
+ */
+
+/**
+ * Relation types exhibits can declare in their `relations` list
+ * @type {Object.<string, RelationType>}
+ */
+export const RELATION_TYPES = {
+  mentor: {
+    name: { en: 'Mentor of', sq: 'Mentor i' },
+    inverse: { en: 'Student of', sq: 'Nxënës i' }
+  },
+  contemporary: {
+    name: { en: 'Contemporary', sq: 'Bashkëkohës' }
+  },
+  'participated-in': {
+    name: { en: 'Took part in', sq: 'Mori pjesë në' },
+    inverse: { en: 'Participant', sq: 'Pjesëmarrës' }
+  },
+  family: {
+    name: { en: 'Family', sq: 'Familje' }
+  },
+  'inspired-by': {
+    name: { en: 'Inspired by', sq: 'Frymëzuar nga' },
+    inverse: { en: 'Inspired', sq: 'Frymëzoi' }
+  }
+};
@@ -0,0 +1,187 @@
+/**
+ * RELATIONS.JS - Exhibit Relationship Graph
+ *
+ * @module relations
+ * @description Connects exhibits through the relations they declare (mentor,
+ * contemporary, participated-in, family, inspired-by) and draws glowing arcs
+ * from a focused portrait to its related portraits across rooms
+ */
+
+import * as THREE from 'three';
+import { scene } from './scene.js';
+import { exhibits } from './portraits.js';
+import { RELATION_TYPES } from './registry.js';
+import { localize } from './i18n.js';
+import { CONFIG } from './config.js';
+
+/**
+ * @typedef {Object} Connection
+ * @property {THREE.Mesh} mesh - Related portrait mesh
+ * @property {string} type - Relation type id
+ * @property {boolean} inverse - True when the related exhibit declared the relation
+ */
+
+// ═══════════════════════════════════════════
+// GRAPH
+// ═══════════════════════════════════════════
+
+/**
+ * Finds a placed portrait by exhibit name
+ * @param {string} name - Exhibit name (manifest key)
+ * @returns {THREE.Mesh|undefined} Portrait mesh
+ */
+export function findExhibit(name) {
+  return exhibits.find(mesh => mesh.userData.name === name);
+}
+
+/**
+ * Everything an exhibit is connected to, in either direction
+ * Symmetric relations declared on both sides are listed once
+ * @param {THREE.Mesh} mesh - Portrait mesh
+ * @returns {Connection[]} Connections, declared ones first
+ */
+export function getConnections(mesh) {
+  const connections = [];
+  const seen = new Set();
+
+  const add = (other, type, inverse) => {
+    if (other === mesh || !RELATION_TYPES[type]) return;
+    const symmetric = !RELATION_TYPES[type].inverse;
+    const key = `${other.userData.name}|${type}|${symmetric ? '' : inverse}`;
+    if (seen.has(key)) return;
+    seen.add(key);
+    connections.push({ mesh: other, type, inverse: inverse && !symmetric });
+  };
+
+  (mesh.userData.relations || []).forEach(relation => {
+    const other = findExhibit(relation.to);
+    if (other) add(other, relation.type, false);
+  });
+
+  exhibits.forEach(other => {
+    (other.userData.relations || []).forEach(relation => {
+      if (relation.to === mesh.userData.name) add(other, relation.type, true);
+    });
+  });
+
+  return connections;
+}
+
+/**
+ * Label for a connection, as read from the exhibit being viewed
+ * @param {Connection} connection - Connection
+ * @returns {string} Localized label (e.g. 'Took part in')
+ */
+export function connectionLabel(connection) {
+  const type = RELATION_TYPES[connection.type];
+  return localize(connection.inverse ? type.inverse : type.name);
+}
+
+// ═══════════════════════════════════════════
+// 3D OVERLAY
+// ═══════════════════════════════════════════
+
+const overlay = new THREE.Group();
+overlay.name = 'relation-lines';
+overlay.renderOrder = 10;
+
+let lineMaterial = null;
+let endMaterial = null;
+let endGeometry = null;
+
+// Materials are created on first use and shared by every arc
+function getMaterials() {
+  if (!lineMaterial) {
+    const settings = {
+      color: CONFIG.relations.lineColor,
+      transparent: true,
+      opacity: CONFIG.relations.opacity,
+      blending: THREE.AdditiveBlending,
+      depthTest: false, // Arcs stay visible through walls to reach other rooms
+      depthWrite: false,
+      toneMapped: false // Keeps the colour bright enough for the bloom pass
+    };
+    lineMaterial = new THREE.MeshBasicMaterial(settings);
+    endMaterial = new THREE.MeshBasicMaterial(settings);
+    endGeometry = new THREE.SphereGeometry(CONFIG.relations.lineRadius * 3, 12, 8);
+  }
+  return { lineMaterial, endMaterial, endGeometry };
+}
+
+/**
+ * Point just in front of a portrait, on its wall normal
+ * @param {THREE.Mesh} mesh - Portrait mesh
+ * @returns {THREE.Vector3} World position
+ */
+function anchorPoint(mesh) {
+  const point = new THREE.Vector3();
+  mesh.getWorldPosition(point);
+  const normal = mesh.userData.normal || { x: 0, z: 1 };
+  point.x += normal.x * 0.2;
+  point.z += normal.z * 0.2;
+  return point;
+}
+
+/**
+ * Removes the drawn arcs
+ */
+export function clearRelationLines() {
+  overlay.children.forEach(child => {
+    if (child.geometry !== endGeometry) child.geometry.dispose();
+  });
+  overlay.clear();
+}
+
+/**
+ * Draws arcs from a portrait to every related portrait
+ * @param {THREE.Mesh} mesh - Focused portrait mesh
+ */
+export function showRelationLines(mesh) {
+  clearRelationLines();
+  if (!CONFIG.relations.showLines) return;
+
+  const connections = getConnections(mesh);
+  if (connections.length === 0) return;
+
+  const { lineMaterial: tubeMaterial, endMaterial: dotMaterial, endGeometry: dotGeometry } = getMaterials();
+  const start = anchorPoint(mesh);
+  const drawn = new Set();
+
+  connections.forEach(connection => {
+    if (drawn.has(connection.mesh)) return;
+    drawn.add(connection.mesh);
+
+    // Arcs rise with distance so lines to far rooms clear the walls in between
+    const end = anchorPoint(connection.mesh);
+    const control = start.clone().add(end).multiplyScalar(0.5);
+    control.y += CONFIG.relations.arcLift + start.distanceTo(end) * CONFIG.relations.arcHeight;
+
+    const curve = new THREE.QuadraticBezierCurve3(start, control, end);
+    const tube = new THREE.Mesh(
+      new THREE.TubeGeometry(curve, CONFIG.relations.segments, CONFIG.relations.lineRadius, 6, false),
+      tubeMaterial
+    );
+    tube.renderOrder = overlay.renderOrder;
+    overlay.add(tube);
+
+    const dot = new THREE.Mesh(dotGeometry, dotMaterial);
+    dot.position.copy(end);
+    dot.renderOrder = overlay.renderOrder;
+    overlay.add(dot);
+  });
+
+  // Gentle pulse while the arcs are on screen
+  overlay.children[0].onBeforeRender = () => {
+    const pulse = (Math.sin(performance.now() / 1000 * CONFIG.relations.pulseSpeed) + 1) / 2;
+    tubeMaterial.opacity = CONFIG.relations.opacity * (0.6 + 0.4 * pulse);
+  };
+}
+
+/**
+ * Shows relation arcs for whichever portrait gets focused
+ */
+export function initRelations() {
+  scene.add(overlay);
+  window.addEventListener('museum:focus', e => showRelationLines(e.detail.portrait));
+  window.addEventListener('museum:blur', clearRelationLines);
+}
@@ -9,11 +9,82 @@ import * as THREE from 'three';
 import { STLLoader } from 'three/addons/loaders/STLLoader.js';
 import { scene, floorMat, wallMat } from './scene.js';
 import { registerAsset } from './loader.js';
+import { toCssColor } from './registry.js';
+import { layoutRoom, rotationFromNormal } from './layout.js';
+import { t, localize } from './i18n.js';
 import { CONFIG } from './config.js';
 
 // Exported eagle model for rotation animation
 export let eagleModel = null;
 
+// Canvas signs that are redrawn when the language changes
+const localizedSigns = [];
+
+// Entrance hall floor: centre and size (see buildEntranceHall)
+export const entranceHall = { x: 0, z: 18, width: 20, depth: 15 };
+
+// Walls and furniture visitors bump into in walk mode (see walk.js) and the orbit camera stays in front of (see bounds.js)
+export const colliders = [];
+
+// Floor meshes visitors can click to glide to (see teleport.js)
+export const floors = [];
+
+// Floor areas the orbit camera may move through, up to their ceilings (see bounds.js)
+export const navigableAreas = [];
+
+/**
+ * Registers a floor area the orbit camera may move through
+ * @param {number} x - Centre X
+ * @param {number} z - Centre Z
+ * @param {number} sizeX - Extent along X
+ * @param {number} sizeZ - Extent along Z
+ * @param {number} ceiling - Highest the camera may rise over the area
+ */
+function addNavigableArea(x, z, sizeX, sizeZ, ceiling) {
+  navigableAreas.push(new THREE.Box3(
+    new THREE.Vector3(x - sizeX / 2, 0, z - sizeZ / 2),
+    new THREE.Vector3(x + sizeX / 2, ceiling, z + sizeZ / 2)
+  ));
+}
+
+/**
+ * Registers a placed object as an obstacle for walking visitors and the orbit camera
+ * @param {THREE.Object3D} object - Wall, pedestal, barrier or bench, already in position
+ */
+export function addCollider(object) {
+  object.updateWorldMatrix(true, true);
+  colliders.push(new THREE.Box3().setFromObject(object));
+}
+
+window.addEventListener('museum:localechange', () => {
+  localizedSigns.forEach(redraw => redraw());
+});
+
+/**
+ * Creates a canvas texture whose text follows the current language
+ * @param {number} width - Canvas width
+ * @param {number} height - Canvas height
+ * @param {Function} draw - Draws the sign onto the 2D context
+ * @returns {THREE.CanvasTexture} The texture
+ */
+function createLocalizedTexture(width, height, draw) {
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext('2d');
+  const texture = new THREE.CanvasTexture(canvas);
+
+  const redraw = () => {
+    ctx.clearRect(0, 0, width, height);
+    draw(ctx);
+    texture.needsUpdate = true;
+  };
+  redraw();
+  localizedSigns.push(redraw);
+
+  return texture;
+}
+
 // ─────────────────────────────────────────────
 // MUSEUM FURNITURE MATERIALS
 // ─────────────────────────────────────────────
@@ -90,6 +161,7 @@ function createBench(x, y, z, rotationY = 0) {
   bench.position.set(x, y, z);
   bench.rotation.y = rotationY;
   scene.add(bench);
+  addCollider(bench);
   
   return bench;
 }
@@ -158,6 +230,7 @@ function createRopeBarrier(x, y, z, length = 4, rotationY = 0) {
   barrier.position.set(x, y, z);
   barrier.rotation.y = rotationY;
   scene.add(barrier);
+  addCollider(barrier);
   
   return barrier;
 }
@@ -300,13 +373,20 @@ function createChandelier(x, y, z) {
 
 // ─────────────────────────────────────────────
 // ROOM BUILDER FUNCTION
-// facing: 'right' = entrance faces +X, 'left' = entrance faces -X
+// Takes a room definition from the registry and its wall layout
+// The back wall sits opposite the entrance, side walls run from it to the entrance
 // ─────────────────────────────────────────────
-export function buildRoom(name, x, z, facing = 'front') {
-  const roomSize = CONFIG.room.depth;
+export function buildRoom(room, layout = layoutRoom(room, 0)) {
+  const { center, width, depth } = layout;
+  const { normal, right } = layout.axes;
+  const { x, z } = center;
   const wallHeight = CONFIG.room.wallHeight;
   const wallThickness = CONFIG.room.wallThickness;
 
+  // World-axis extents of the room footprint
+  const sizeX = Math.abs(normal.x) * depth + Math.abs(right.x) * width;
+  const sizeZ = Math.abs(normal.z) * depth + Math.abs(right.z) * width;
+
   // Ceiling material
   const ceilingMat = new THREE.MeshStandardMaterial({ 
     color: CONFIG.materials.ceiling.color, 
@@ -315,12 +395,14 @@ export function buildRoom(name, x, z, facing = 'front') {
   });
 
   // Floor
-  const floorGeo = new THREE.PlaneGeometry(roomSize, roomSize);
+  const floorGeo = new THREE.PlaneGeometry(sizeX, sizeZ);
   const floor = new THREE.Mesh(floorGeo, floorMat);
   floor.rotation.x = -Math.PI / 2;
   floor.position.set(x, 0, z);
   floor.receiveShadow = true;
   scene.add(floor);
+  floors.push(floor);
+  addNavigableArea(x, z, sizeX, sizeZ, wallHeight);
 
   // Ceiling
   const ceiling = new THREE.Mesh(floorGeo, ceilingMat);
@@ -331,117 +413,64 @@ export function buildRoom(name, x, z, facing = 'front') {
   // Add chandelier with light
   createChandelier(x, wallHeight, z);
 
-  if (facing === 'right') {
-    // Room faces right (+X direction) - entrance on right side
-    // Back wall on LEFT
-    const backWall = new THREE.Mesh(
-      new THREE.BoxGeometry(wallThickness, wallHeight, roomSize),
+  // Wall of a given length centred on (wx, wz), running along X or Z
+  const addWall = (wx, wz, length, alongX) => {
+    const wall = new THREE.Mesh(
+      alongX
+        ? new THREE.BoxGeometry(length, wallHeight, wallThickness)
+        : new THREE.BoxGeometry(wallThickness, wallHeight, length),
       wallMat
     );
-    backWall.position.set(x - roomSize / 2, wallHeight / 2, z);
-    scene.add(backWall);
-
-    // Top wall (at -Z)
-    const topWall = new THREE.Mesh(
-      new THREE.BoxGeometry(roomSize, wallHeight, wallThickness),
-      wallMat
-    );
-    topWall.position.set(x, wallHeight / 2, z - roomSize / 2);
-    scene.add(topWall);
-
-    // Bottom wall (at +Z)
-    const bottomWall = new THREE.Mesh(
-      new THREE.BoxGeometry(roomSize, wallHeight, wallThickness),
-      wallMat
-    );
-    bottomWall.position.set(x, wallHeight / 2, z + roomSize / 2);
-    scene.add(bottomWall);
-
-    // Room label on back wall (left side)
-    createRoomLabel(name, x - roomSize / 2 + 0.2, wallHeight - 0.6, z, Math.PI / 2);
-
-  } else if (facing === 'left') {
-    // Room faces left (-X direction) - entrance on left side
-    // Back wall on RIGHT
-    const backWall = new THREE.Mesh(
-      new THREE.BoxGeometry(wallThickness, wallHeight, roomSize),
-      wallMat
-    );
-    backWall.position.set(x + roomSize / 2, wallHeight / 2, z);
-    scene.add(backWall);
-
-    // Top wall (at -Z)
-    const topWall = new THREE.Mesh(
-      new THREE.BoxGeometry(roomSize, wallHeight, wallThickness),
-      wallMat
-    );
-    topWall.position.set(x, wallHeight / 2, z - roomSize / 2);
-    scene.add(topWall);
-
-    // Bottom wall (at +Z)
-    const bottomWall = new THREE.Mesh(
-      new THREE.BoxGeometry(roomSize, wallHeight, wallThickness),
-      wallMat
-    );
-    bottomWall.position.set(x, wallHeight / 2, z + roomSize / 2);
-    scene.add(bottomWall);
-
-    // Room label on back wall (right side)
-    createRoomLabel(name, x + roomSize / 2 - 0.2, wallHeight - 0.6, z, -Math.PI / 2);
-
-  } else {
-    // Default: front facing (original layout)
-    const backWallGeo = new THREE.BoxGeometry(roomSize, wallHeight, wallThickness);
-    const backWall = new THREE.Mesh(backWallGeo, wallMat);
-    backWall.position.set(x, wallHeight / 2, z - roomSize / 2);
-    scene.add(backWall);
-
-    const leftWallGeo = new THREE.BoxGeometry(wallThickness, wallHeight, roomSize);
-    const leftWall = new THREE.Mesh(leftWallGeo, wallMat);
-    leftWall.position.set(x - roomSize / 2, wallHeight / 2, z);
-    scene.add(leftWall);
-
-    const rightWall = new THREE.Mesh(leftWallGeo, wallMat);
-    rightWall.position.set(x + roomSize / 2, wallHeight / 2, z);
-    scene.add(rightWall);
-
-    // Room label
-    createRoomLabel(name, x, wallHeight - 0.6, z - roomSize / 2 + 0.2, 0);
-  }
+    wall.position.set(wx, wallHeight / 2, wz);
+    scene.add(wall);
+    addCollider(wall);
+    return wall;
+  };
+
+  // Back wall, opposite the entrance
+  addWall(x - normal.x * depth / 2, z - normal.z * depth / 2, width, right.x !== 0);
+
+  // Side walls, left and right of the entrance
+  addWall(x - right.x * width / 2, z - right.z * width / 2, depth, normal.x !== 0);
+  addWall(x + right.x * width / 2, z + right.z * width / 2, depth, normal.x !== 0);
+
+  // Room label on the back wall
+  createRoomLabel(
+    room,
+    x - normal.x * (depth / 2 - 0.2),
+    wallHeight - 0.6,
+    z - normal.z * (depth / 2 - 0.2),
+    rotationFromNormal(normal)
+  );
   
-  // Add furniture based on room orientation
-  if (facing === 'right') {
-    // Bench in center of room, facing the portraits
-    createBench(x, 0, z, -Math.PI / 2);
-    
-    // Horizontal rope barrier along the portrait wall
-    createRopeBarrier(x - 4, 0, z, 8, Math.PI / 2);
-    
-  } else if (facing === 'left') {
-    // Bench in center of room, facing the portraits
-    createBench(x, 0, z, Math.PI / 2);
-    
-    // Horizontal rope barrier along the portrait wall
-    createRopeBarrier(x + 4, 0, z, 8, Math.PI / 2);
-  }
+  // Bench in center of room, facing the back wall
+  createBench(x, 0, z, rotationFromNormal(normal));
+  
+  // Rope barriers in front of every wall that holds portraits
+  layout.barriers.forEach(barrier => {
+    createRopeBarrier(barrier.x, 0, barrier.z, barrier.length, barrier.rotationY);
+  });
 }
 
-// Helper function to create room labels
-function createRoomLabel(name, x, y, z, rotationY) {
-  const canvas = document.createElement('canvas');
-  canvas.width = 512;
-  canvas.height = 128;
-  const ctx = canvas.getContext('2d');
-  ctx.fillStyle = '#1a0808';
-  ctx.fillRect(0, 0, 512, 128);
-  ctx.strokeStyle = '#8b0000';
-  ctx.lineWidth = 4;
-  ctx.strokeRect(4, 4, 504, 120);
-  ctx.fillStyle = '#ffffff';
-  ctx.font = 'bold 36px system-ui';
-  ctx.textAlign = 'center';
-  ctx.fillText(name, 256, 75);
-  const texture = new THREE.CanvasTexture(canvas);
+// Helper function to create room labels (name plus registry description)
+function createRoomLabel(room, x, y, z, rotationY) {
+  const texture = createLocalizedTexture(512, 128, ctx => {
+    const description = localize(room.description);
+    ctx.fillStyle = '#1a0808';
+    ctx.fillRect(0, 0, 512, 128);
+    ctx.strokeStyle = toCssColor(room.accentColor);
+    ctx.lineWidth = 4;
+    ctx.strokeRect(4, 4, 504, 120);
+    ctx.fillStyle = '#ffffff';
+    ctx.font = 'bold 36px system-ui';
+    ctx.textAlign = 'center';
+    ctx.fillText(localize(room.name), 256, description ? 60 : 75);
+    if (description) {
+      ctx.fillStyle = '#bbbbbb';
+      ctx.font = '20px system-ui';
+      ctx.fillText(description, 256, 98);
+    }
+  });
   const labelMat = new THREE.MeshBasicMaterial({ map: texture });
   const labelGeo = new THREE.PlaneGeometry(4, 1);
   const label = new THREE.Mesh(labelGeo, labelMat);
@@ -452,61 +481,73 @@ function createRoomLabel(name, x, y, z, rotationY) {
 
 // ─────────────────────────────────────────────
 // CENTRAL HALLWAY
+// Floors, carpet runners and rope barriers come from the generated floor plan
 // ─────────────────────────────────────────────
-export function buildCentralHallway() {
+export function buildCentralHallway(plan) {
   const hallwayMat = new THREE.MeshStandardMaterial({ 
     color: CONFIG.materials.benchLeather.color, 
     roughness: CONFIG.materials.wall.roughness,
     metalness: CONFIG.materials.wall.metalness 
   });
-
-  // Main hallway floor
-  const hallwayFloor = new THREE.Mesh(
-    new THREE.PlaneGeometry(12, 50),
-    hallwayMat
-  );
-  hallwayFloor.rotation.x = -Math.PI / 2;
-  hallwayFloor.position.set(0, 0.01, -14);
-  hallwayFloor.receiveShadow = true;
-  scene.add(hallwayFloor);
-
-  // Decorative red carpet/runner
   const carpetMat = new THREE.MeshStandardMaterial({ 
     color: CONFIG.materials.rope.color, 
     roughness: CONFIG.materials.ceiling.roughness 
   });
-  const carpet = new THREE.Mesh(
-    new THREE.PlaneGeometry(3, 48),
-    carpetMat
-  );
-  carpet.rotation.x = -Math.PI / 2;
-  carpet.position.set(0, 0.02, -14);
-  carpet.receiveShadow = true;
-  scene.add(carpet);
-
-  // Carpet border lines (gold)
   const borderMat = new THREE.MeshStandardMaterial({ color: CONFIG.materials.post.color });
-  const leftBorder = new THREE.Mesh(
-    new THREE.PlaneGeometry(0.15, 48),
-    borderMat
-  );
-  leftBorder.rotation.x = -Math.PI / 2;
-  leftBorder.position.set(-1.5, 0.025, -14);
-  scene.add(leftBorder);
 
-  const rightBorder = new THREE.Mesh(
-    new THREE.PlaneGeometry(0.15, 48),
-    borderMat
-  );
-  rightBorder.rotation.x = -Math.PI / 2;
-  rightBorder.position.set(1.5, 0.025, -14);
-  scene.add(rightBorder);
+  // Flat strip lying on the floor; lift keeps overlapping strips from z-fighting
+  const addStrip = (strip, width, length, material, y) => {
+    const mesh = new THREE.Mesh(
+      strip.alongX ? new THREE.PlaneGeometry(length, width) : new THREE.PlaneGeometry(width, length),
+      material
+    );
+    mesh.rotation.x = -Math.PI / 2;
+    mesh.position.set(strip.x, y, strip.z);
+    mesh.receiveShadow = true;
+    scene.add(mesh);
+    return mesh;
+  };
+
+  // Hallway floors, open to above up to CONFIG.controls.hallwayCeiling
+  plan.hallways.forEach((hallway, i) => {
+    floors.push(addStrip(hallway, hallway.width, hallway.length, hallwayMat, 0.01 + i * 0.0005));
+    addNavigableArea(
+      hallway.x,
+      hallway.z,
+      hallway.alongX ? hallway.length : hallway.width,
+      hallway.alongX ? hallway.width : hallway.length,
+      CONFIG.controls.hallwayCeiling
+    );
+  });
+
+  // Decorative red carpet runners with gold border lines
+  plan.carpets.forEach((carpet, i) => {
+    const lift = i * 0.001;
+    addStrip(carpet, carpet.width, carpet.length, carpetMat, 0.02 + lift);
+
+    [-1, 1].forEach(side => {
+      const offset = side * carpet.width / 2;
+      const border = {
+        ...carpet,
+        x: carpet.alongX ? carpet.x : carpet.x + offset,
+        z: carpet.alongX ? carpet.z + offset : carpet.z
+      };
+      addStrip(border, 0.15, carpet.length, borderMat, 0.025 + lift);
+    });
+  });
+
+  // Rope barriers
+  plan.barriers.forEach(barrier => {
+    createRopeBarrier(barrier.x, 0, barrier.z, barrier.length, barrier.rotationY);
+  });
 }
 
 // ─────────────────────────────────────────────
 // ALBANIAN EAGLE MONUMENT
 // ─────────────────────────────────────────────
-export function buildEagleMonument() {
+export function buildEagleMonument(position) {
+  const { x, z } = position;
+
   const pedestalMat = new THREE.MeshStandardMaterial({ 
     color: 0x1a0a0a, 
     roughness: 0.3,
@@ -518,17 +559,18 @@ export function buildEagleMonument() {
     new THREE.BoxGeometry(3, 0.5, 3),
     pedestalMat
   );
-  pedestalBase.position.set(0, 0.25, -14);
+  pedestalBase.position.set(x, 0.25, z);
   pedestalBase.castShadow = true;
   pedestalBase.receiveShadow = true;
   scene.add(pedestalBase);
+  addCollider(pedestalBase);
 
   // Pedestal column
   const pedestalColumn = new THREE.Mesh(
     new THREE.CylinderGeometry(0.8, 1, 2.5, 8),
     pedestalMat
   );
-  pedestalColumn.position.set(0, 1.75, -14);
+  pedestalColumn.position.set(x, 1.75, z);
   pedestalColumn.castShadow = true;
   pedestalColumn.receiveShadow = true;
   scene.add(pedestalColumn);
@@ -538,7 +580,7 @@ export function buildEagleMonument() {
     new THREE.BoxGeometry(2.2, 0.3, 2.2),
     pedestalMat
   );
-  pedestalTop.position.set(0, 3.15, -14);
+  pedestalTop.position.set(x, 3.15, z);
   pedestalTop.castShadow = true;
   pedestalTop.receiveShadow = true;
   scene.add(pedestalTop);
@@ -570,7 +612,7 @@ export function buildEagleMonument() {
       eagleModel.scale.setScalar(scale);
       
       // Position above pedestal
-      eagleModel.position.set(0, 5.5, -14);
+      eagleModel.position.set(x, 5.5, z);
       eagleModel.castShadow = true;
       eagleModel.receiveShadow = true;
       
@@ -593,7 +635,7 @@ export function buildEagleMonument() {
         const fallbackGeom = new THREE.BoxGeometry(2, 2, 0.2);
         const fallbackMat = new THREE.MeshStandardMaterial({ color: CONFIG.loading.eagleColor });
         eagleModel = new THREE.Mesh(fallbackGeom, fallbackMat);
-        eagleModel.position.set(0, 5.5, -14);
+        eagleModel.position.set(x, 5.5, z);
         scene.add(eagleModel);
       } catch (fallbackError) {
         console.error('Fallback eagle monument also failed:', fallbackError);
@@ -606,25 +648,19 @@ export function buildEagleMonument() {
 
   // Eagle spotlight (subtle)
   const eagleSpotlight = new THREE.SpotLight(0xffffff, 1.5, 15, Math.PI / 4, 0.4, 1);
-  eagleSpotlight.position.set(0, 9, -14);
-  eagleSpotlight.target.position.set(0, 4, -14);
+  eagleSpotlight.position.set(x, 9, z);
+  eagleSpotlight.target.position.set(x, 4, z);
   scene.add(eagleSpotlight);
   scene.add(eagleSpotlight.target);
 
   // Red accent lights around pedestal (subtle)
   const pedastalLight1 = new THREE.PointLight(0xff0000, 0.4, 8);
-  pedastalLight1.position.set(2, 0.5, -14);
+  pedastalLight1.position.set(x + 2, 0.5, z);
   scene.add(pedastalLight1);
 
   const pedastalLight2 = new THREE.PointLight(0xff0000, 0.4, 8);
-  pedastalLight2.position.set(-2, 0.5, -14);
+  pedastalLight2.position.set(x - 2, 0.5, z);
   scene.add(pedastalLight2);
-  
-  // Rope barrier around the eagle monument
-  createRopeBarrier(-2, 0, -12, 4, 0);      // Front
-  createRopeBarrier(-2, 0, -16, 4, 0);      // Back
-  createRopeBarrier(-2.5, 0, -14, 3.5, Math.PI / 2); // Left
-  createRopeBarrier(2.5, 0, -14, 3.5, Math.PI / 2);  // Right
 }
 
 // ─────────────────────────────────────────────
@@ -644,12 +680,19 @@ export function buildEntranceHall() {
 
   // Entrance hall floor
   const entranceFloor = new THREE.Mesh(
-    new THREE.PlaneGeometry(20, 15),
+    new THREE.PlaneGeometry(entranceHall.width, entranceHall.depth),
     hallwayMat
   );
   entranceFloor.rotation.x = -Math.PI / 2;
-  entranceFloor.position.set(0, 0.01, 18);
+  entranceFloor.position.set(entranceHall.x, 0.01, entranceHall.z);
   scene.add(entranceFloor);
+  floors.push(entranceFloor);
+  addNavigableArea(entranceHall.x, entranceHall.z, entranceHall.width, entranceHall.depth, 7.5);
+
+  // The open front of the hall, out to where the entrance view stands
+  const front = entranceHall.z + entranceHall.depth / 2;
+  const approachDepth = CONFIG.navigation.entranceDistance - entranceHall.depth / 2 + 2;
+  addNavigableArea(entranceHall.x, front + approachDepth / 2, entranceHall.width, approachDepth, 7.5);
 
   // Entrance carpet
   const entranceCarpet = new THREE.Mesh(
@@ -686,6 +729,7 @@ export function buildEntranceHall() {
   );
   entranceLeftWall.position.set(-10, 4, 21);
   scene.add(entranceLeftWall);
+  addCollider(entranceLeftWall);
 
   const entranceRightWall = new THREE.Mesh(
     new THREE.BoxGeometry(0.5, 8, 10),
@@ -693,6 +737,7 @@ export function buildEntranceHall() {
   );
   entranceRightWall.position.set(10, 4, 21);
   scene.add(entranceRightWall);
+  addCollider(entranceRightWall);
 
   // Entrance ceiling
   const entranceCeiling = new THREE.Mesh(
@@ -704,31 +749,26 @@ export function buildEntranceHall() {
   scene.add(entranceCeiling);
 
   // Grand entrance sign
-  const signCanvas = document.createElement('canvas');
-  signCanvas.width = 1024;
-  signCanvas.height = 256;
-  const signCtx = signCanvas.getContext('2d');
-
-  signCtx.fillStyle = '#0a0505';
-  signCtx.fillRect(0, 0, 1024, 256);
-  signCtx.strokeStyle = '#8b0000';
-  signCtx.lineWidth = 8;
-  signCtx.strokeRect(10, 10, 1004, 236);
-  signCtx.strokeStyle = '#d4af37';
-  signCtx.lineWidth = 3;
-  signCtx.strokeRect(20, 20, 984, 216);
-
-  signCtx.fillStyle = '#d4af37';
-  signCtx.font = 'bold 64px Georgia, serif';
-  signCtx.textAlign = 'center';
-  signCtx.textBaseline = 'middle';
-  signCtx.fillText('ALBANIAN HALL OF LEGACY', 512, 100);
-
-  signCtx.fillStyle = '#cc2020';
-  signCtx.font = '32px Georgia, serif';
-  signCtx.fillText('Celebrating Albanian Heritage & Achievement', 512, 180);
-
-  const signTexture = new THREE.CanvasTexture(signCanvas);
+  const signTexture = createLocalizedTexture(1024, 256, signCtx => {
+    signCtx.fillStyle = '#0a0505';
+    signCtx.fillRect(0, 0, 1024, 256);
+    signCtx.strokeStyle = '#8b0000';
+    signCtx.lineWidth = 8;
+    signCtx.strokeRect(10, 10, 1004, 236);
+    signCtx.strokeStyle = '#d4af37';
+    signCtx.lineWidth = 3;
+    signCtx.strokeRect(20, 20, 984, 216);
+
+    signCtx.fillStyle = '#d4af37';
+    signCtx.font = 'bold 64px Georgia, serif';
+    signCtx.textAlign = 'center';
+    signCtx.textBaseline = 'middle';
+    signCtx.fillText(t('sign.title'), 512, 100);
+
+    signCtx.fillStyle = '#cc2020';
+    signCtx.font = '32px Georgia, serif';
+    signCtx.fillText(t('sign.subtitle'), 512, 180);
+  });
   const signMat = new THREE.MeshBasicMaterial({ map: signTexture });
   const signMesh = new THREE.Mesh(
     new THREE.PlaneGeometry(12, 3),
@@ -750,6 +790,7 @@ export function buildEntranceHall() {
   );
   leftPillar.position.set(-6, 3.75, 12);
   scene.add(leftPillar);
+  addCollider(leftPillar);
 
   const leftCapital = new THREE.Mesh(
     new THREE.BoxGeometry(1.6, 0.4, 1.6),
@@ -764,6 +805,7 @@ export function buildEntranceHall() {
   );
   rightPillar.position.set(6, 3.75, 12);
   scene.add(rightPillar);
+  addCollider(rightPillar);
 
   const rightCapital = new THREE.Mesh(
     new THREE.BoxGeometry(1.6, 0.4, 1.6),
@@ -0,0 +1,150 @@
+/**
+ * ROUTER.JS - Deep Links & Browser History
+ *
+ * @module router
+ * @description Mirrors the current room or focused portrait in the URL hash
+ * (#/room/singers, #/exhibit/ismail-qemali), restores it after loading and
+ * follows the browser's Back and Forward buttons
+ */
+
+import { exhibits } from './portraits.js';
+import { focusPortrait, clearFocus } from './interactions.js';
+import { navigateToRoom } from './navigation.js';
+import { isLoadingComplete } from './loader.js';
+import { getRoom } from './registry.js';
+import { foldText } from './i18n.js';
+import { CONFIG } from './config.js';
+
+// True while a route from the URL is being applied; the moves it causes
+// replace the current history entry instead of adding new ones
+let applyingRoute = false;
+
+// ═══════════════════════════════════════════
+// ROUTES
+// ═══════════════════════════════════════════
+
+/**
+ * URL-friendly id for an exhibit name ('Skënderbeu' -> 'skenderbeu')
+ * @param {string} name - Exhibit name (manifest key)
+ * @returns {string} Slug
+ */
+export function exhibitSlug(name) {
+  return foldText(name).replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Hash for a room
+ * @param {string} roomId - Room identifier
+ * @returns {string} Hash, e.g. '#/room/singers'
+ */
+export function roomHash(roomId) {
+  return `${CONFIG.router.prefix}room/${encodeURIComponent(roomId)}`;
+}
+
+/**
+ * Hash for an exhibit
+ * @param {THREE.Mesh} mesh - Portrait mesh
+ * @returns {string} Hash, e.g. '#/exhibit/ismail-qemali'
+ */
+export function exhibitHash(mesh) {
+  return `${CONFIG.router.prefix}exhibit/${exhibitSlug(mesh.userData.name)}`;
+}
+
+/**
+ * Reads a route from a URL hash
+ * @param {string} hash - location.hash
+ * @returns {{type: string, id: string}|null} Route, or null for the plain museum URL
+ */
+function parseHash(hash) {
+  if (!hash.startsWith(CONFIG.router.prefix)) return null;
+  const [type, id] = hash.slice(CONFIG.router.prefix.length).split('/');
+  if (!type || !id) return null;
+  return { type, id: decodeURIComponent(id) };
+}
+
+// ═══════════════════════════════════════════
+// URL UPDATES
+// ═══════════════════════════════════════════
+
+/**
+ * Points the URL at a new hash
+ * Portrait focus changes replace each other, so Back leaves the portrait
+ * instead of stepping through every portrait seen
+ * @param {string} hash - New hash
+ */
+function setHash(hash) {
+  if (window.location.hash === hash) return;
+
+  const current = parseHash(window.location.hash);
+  const next = parseHash(hash);
+  const replace = applyingRoute || (current && next && current.type === 'exhibit' && next.type === 'exhibit');
+
+  try {
+    if (replace) {
+      history.replaceState(null, '', hash);
+    } else {
+      history.pushState(null, '', hash);
+    }
+  } catch (error) {
+    // Some sandboxed frames refuse history changes; the museum still works without them
+    console.warn('[Router] Could not update the URL', error);
+  }
+}
+
+// ═══════════════════════════════════════════
+// APPLYING ROUTES
+// ═══════════════════════════════════════════
+
+/**
+ * Moves the museum to the route in the URL
+ * Unknown rooms and exhibits are ignored with a warning
+ */
+function applyRoute() {
+  const route = parseHash(window.location.hash);
+
+  applyingRoute = true;
+  try {
+    if (!route) {
+      clearFocus();
+      navigateToRoom(CONFIG.navigation.initialRoom, clearFocus);
+    } else if (route.type === 'room' && getRoom(route.id)) {
+      navigateToRoom(route.id, clearFocus);
+    } else if (route.type === 'exhibit') {
+      const mesh = exhibits.find(exhibit => exhibitSlug(exhibit.userData.name) === route.id);
+      if (mesh) {
+        focusPortrait(mesh);
+      } else {
+        console.warn(`[Router] No exhibit matches "${route.id}"`);
+      }
+    } else {
+      console.warn(`[Router] Unknown route "${window.location.hash}"`);
+    }
+  } catch (error) {
+    console.error('[Router]', error);
+  } finally {
+    applyingRoute = false;
+  }
+}
+
+/**
+ * Keeps the URL in step with the museum and restores links
+ * The route in the URL on page load is applied once the loading screen hides
+ */
+export function initRouter() {
+  window.addEventListener('museum:roomchange', (e) => {
+    // A room move that leads up to a portrait is recorded as the portrait
+    if (!e.detail.forPortrait) setHash(roomHash(e.detail.roomId));
+  });
+  window.addEventListener('museum:focus', e => setHash(exhibitHash(e.detail.portrait)));
+
+  // Back, Forward and hand-edited URLs
+  window.addEventListener('hashchange', applyRoute);
+
+  if (parseHash(window.location.hash)) {
+    if (isLoadingComplete()) {
+      applyRoute();
+    } else {
+      window.addEventListener('museum:ready', applyRoute, { once: true });
+    }
+  }
+}
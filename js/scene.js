@@ -96,6 +96,10 @@ composer.addPass(smaaPass);
 export const controls = new OrbitControls(camera, renderer.domElement);
 controls.enableDamping = CONFIG.controls.enableDamping;
 controls.dampingFactor = CONFIG.controls.dampingFactor;
+controls.minDistance = CONFIG.controls.minDistance;
+controls.maxDistance = CONFIG.controls.maxDistance;
+controls.minPolarAngle = CONFIG.controls.minPolarAngle;
+controls.maxPolarAngle = CONFIG.controls.maxPolarAngle;
 controls.target.set(CONFIG.controls.initialTarget.x, CONFIG.controls.initialTarget.y, CONFIG.controls.initialTarget.z); // Look into the museum from entrance
 
 // ═══════════════════════════════════════════
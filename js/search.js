@@ -0,0 +1,278 @@
+/**
+ * SEARCH.JS - Exhibit Search Overlay
+ *
+ * @module search
+ * @description Fuzzy, accent-insensitive search across exhibit names, years,
+ * achievements and room names that flies to the chosen portrait
+ */
+
+import { exhibits } from './portraits.js';
+import { focusPortrait } from './interactions.js';
+import { getRoom } from './registry.js';
+import { t, localize, foldText } from './i18n.js';
+import { CONFIG } from './config.js';
+
+// DOM elements
+const overlayEl = document.getElementById('search-overlay');
+const inputEl = document.getElementById('search-input');
+const resultsEl = document.getElementById('search-results');
+const searchBtn = document.getElementById('search-btn');
+
+// State
+let results = [];
+let activeIndex = 0;
+
+// ═══════════════════════════════════════════
+// MATCHING
+// ═══════════════════════════════════════════
+
+/**
+ * Every language variant of a field
+ * @param {string|Object.<string, string>} value - Plain or localized field
+ * @returns {string[]} Text variants
+ */
+function variants(value) {
+  if (!value) return [];
+  return typeof value === 'object' ? Object.values(value) : [String(value)];
+}
+
+/**
+ * Searchable text of one exhibit, folded and grouped by field
+ * Rebuilt on every search so curator edits are picked up
+ * @param {THREE.Mesh} mesh - Portrait mesh
+ * @returns {Object.<string, string>} Folded text per field
+ */
+function indexEntry(mesh) {
+  const data = mesh.userData;
+  const room = getRoom(data.roomId);
+  const fold = values => foldText(values.join(' '));
+
+  return {
+    name: fold([data.name, ...variants(data.label)]),
+    room: fold(room ? variants(room.name) : []),
+    years: fold(variants(data.years)),
+    achievement: fold(variants(data.achievement))
+  };
+}
+
+/**
+ * Edit distance between two short strings
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} Levenshtein distance
+ */
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * How well one query token matches a field
+ * Substrings score highest (more at the start of a word), then words within
+ * a small number of typos (one per four letters)
+ * @param {string} token - Folded query token
+ * @param {string} text - Folded field text
+ * @returns {number} Score between 0 (no match) and 1
+ */
+function scoreToken(token, text) {
+  const index = text.indexOf(token);
+  if (index !== -1) {
+    return index === 0 || /[^a-z0-9]/.test(text[index - 1]) ? 1 : 0.7;
+  }
+
+  const allowedTypos = Math.floor(token.length / 4);
+  if (allowedTypos === 0) return 0;
+
+  const words = text.split(/[^a-z0-9]+/).filter(Boolean);
+  const close = words.some(word =>
+    editDistance(token, word) <= allowedTypos ||
+    (word.length > token.length && editDistance(token, word.slice(0, token.length)) <= allowedTypos)
+  );
+  return close ? 0.5 : 0;
+}
+
+/**
+ * Ranks exhibits against a query
+ * Every token must match at least one field
+ * @param {string} query - Raw query
+ * @returns {THREE.Mesh[]} Matching portrait meshes, best first
+ */
+function search(query) {
+  const tokens = foldText(query).split(/\s+/).filter(Boolean);
+  if (tokens.length === 0) return [];
+
+  const weights = CONFIG.search.fieldWeights;
+  const scored = [];
+
+  exhibits.forEach((mesh, order) => {
+    const entry = indexEntry(mesh);
+    let total = 0;
+
+    const matchedAll = tokens.every(token => {
+      const best = Math.max(...Object.keys(weights).map(field => weights[field] * scoreToken(token, entry[field])));
+      total += best;
+      return best > 0;
+    });
+
+    if (matchedAll) scored.push({ mesh, score: total, order });
+  });
+
+  return scored
+    .sort((a, b) => b.score - a.score || a.order - b.order)
+    .slice(0, CONFIG.search.maxResults)
+    .map(result => result.mesh);
+}
+
+// ═══════════════════════════════════════════
+// OVERLAY
+// ═══════════════════════════════════════════
+
+/**
+ * Renders the result list
+ */
+function renderResults() {
+  if (!resultsEl) return;
+  resultsEl.replaceChildren();
+
+  if (results.length === 0) {
+    if (inputEl.value.trim()) {
+      const empty = document.createElement('li');
+      empty.className = 'search-empty';
+      empty.textContent = t('search.noResults');
+      resultsEl.appendChild(empty);
+    }
+    return;
+  }
+
+  results.forEach((mesh, i) => {
+    const data = mesh.userData;
+    const room = getRoom(data.roomId);
+
+    const item = document.createElement('li');
+    item.className = 'search-result';
+    item.setAttribute('role', 'option');
+    item.setAttribute('aria-selected', String(i === activeIndex));
+
+    const name = document.createElement('span');
+    name.className = 'search-result-name';
+    name.textContent = localize(data.label);
+
+    const meta = document.createElement('span');
+    meta.className = 'search-result-meta';
+    meta.textContent = [room ? localize(room.name) : '', localize(data.years)].filter(Boolean).join(' · ');
+
+    item.append(name, meta);
+    item.addEventListener('mouseenter', () => setActive(i));
+    item.addEventListener('click', () => choose(i));
+    resultsEl.appendChild(item);
+  });
+}
+
+/**
+ * Highlights a result
+ * @param {number} index - Result index
+ */
+function setActive(index) {
+  if (results.length === 0) return;
+  activeIndex = (index + results.length) % results.length;
+  resultsEl.querySelectorAll('.search-result').forEach((item, i) => {
+    item.setAttribute('aria-selected', String(i === activeIndex));
+    if (i === activeIndex) item.scrollIntoView({ block: 'nearest' });
+  });
+}
+
+/**
+ * Closes the overlay and flies to the chosen portrait
+ * @param {number} index - Result index
+ */
+function choose(index) {
+  const mesh = results[index];
+  closeSearch();
+  if (mesh) focusPortrait(mesh);
+}
+
+/**
+ * Opens the search overlay with an empty query
+ */
+export function openSearch() {
+  if (!overlayEl || !inputEl) return;
+  overlayEl.hidden = false;
+  inputEl.value = '';
+  results = [];
+  activeIndex = 0;
+  renderResults();
+  inputEl.focus();
+}
+
+/**
+ * Closes the search overlay
+ */
+export function closeSearch() {
+  if (!overlayEl) return;
+  overlayEl.hidden = true;
+  if (inputEl) inputEl.blur();
+}
+
+/**
+ * Wires up the search button, the shortcut key and the overlay
+ */
+export function initSearch() {
+  if (!overlayEl || !inputEl || !resultsEl) return;
+
+  if (searchBtn) {
+    searchBtn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      openSearch();
+    });
+  }
+
+  inputEl.addEventListener('input', () => {
+    results = search(inputEl.value);
+    activeIndex = 0;
+    renderResults();
+  });
+
+  // Keys typed into the overlay stay out of the museum's own shortcuts
+  overlayEl.addEventListener('keydown', (e) => {
+    e.stopPropagation();
+    if (e.key === 'Escape') {
+      closeSearch();
+    } else if (e.key === 'ArrowDown') {
+      e.preventDefault();
+      setActive(activeIndex + 1);
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault();
+      setActive(activeIndex - 1);
+    } else if (e.key === 'Enter') {
+      e.preventDefault();
+      choose(activeIndex);
+    }
+  });
+
+  // Clicking the backdrop closes; no click reaches the 3D scene
+  overlayEl.addEventListener('click', (e) => {
+    e.stopPropagation();
+    if (e.target === overlayEl) closeSearch();
+  });
+
+  window.addEventListener('keydown', (e) => {
+    const typing = e.target instanceof HTMLElement && e.target.matches('input, textarea, select, [contenteditable]');
+    if (e.key === CONFIG.search.shortcut && !typing && overlayEl.hidden) {
+      e.preventDefault();
+      openSearch();
+    }
+  });
+
+  window.addEventListener('museum:localechange', renderResults);
+}
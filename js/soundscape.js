@@ -0,0 +1,385 @@
+/**
+ * SOUNDSCAPE.JS - Positional Room Soundscapes
+ *
+ * @module soundscape
+ * @description Web Audio sound system: the background music, and an ambient
+ * track per room (and the eagle monument) placed in the scene as positional
+ * audio, crossfaded as the camera moves between rooms; master volume and
+ * mute state are remembered across visits
+ */
+
+import * as THREE from 'three';
+import { scene, camera } from './scene.js';
+import { ROOMS } from './registry.js';
+import { t } from './i18n.js';
+import { CONFIG } from './config.js';
+
+// DOM elements
+const ambientAudio = document.getElementById('ambient-audio');
+const soundBtn = document.getElementById('sound-btn');
+const volumeSlider = document.getElementById('volume-slider');
+
+/**
+ * @typedef {Object} AmbientSource
+ * @property {string} id - Room id, or 'eagle'
+ * @property {{x: number, z: number}} position - Where the sound sits
+ * @property {string} src - Audio file URL
+ * @property {THREE.PositionalAudio|null} audio - Created with the audio graph
+ * @property {number} level - Crossfade level currently aimed at
+ */
+
+// State
+const settings = { volume: CONFIG.soundscape.defaultVolume, muted: true };
+const sources = []; // AmbientSource[]
+let listener = null; // Created on the first unmute, browsers only allow audio after a gesture
+let bed = null; // Gain shared by music and ambience, ducked under narration
+let ambienceBus = null; // Gain of all room ambience, lowered while a listening station plays
+let analyser = null; // Reads the bed for the visualizer, created on request
+let music = null;
+let musicFailed = false;
+let musicHeld = false; // Paused while a listening station plays
+let currentSourceId = null;
+
+// ═══════════════════════════════════════════
+// SETTINGS
+// ═══════════════════════════════════════════
+
+/**
+ * Reads the saved volume and mute state
+ */
+function loadSettings() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(CONFIG.soundscape.storageKey) || 'null');
+    if (stored && typeof stored.volume === 'number') {
+      settings.volume = Math.min(1, Math.max(0, stored.volume));
+    }
+    if (stored && typeof stored.muted === 'boolean') {
+      settings.muted = stored.muted;
+    }
+  } catch (error) {
+    // Storage may be unavailable (private mode) or hold something else
+  }
+}
+
+function saveSettings() {
+  try {
+    localStorage.setItem(CONFIG.soundscape.storageKey, JSON.stringify(settings));
+  } catch (error) {
+    console.warn('[Soundscape] Could not save sound settings', error);
+  }
+}
+
+// ═══════════════════════════════════════════
+// AUDIO GRAPH
+// ═══════════════════════════════════════════
+
+/**
+ * Starts an ambient track once its file has loaded
+ * @param {AmbientSource} source - Ambient source
+ * @param {THREE.AudioLoader} loader - Shared loader
+ */
+function loadSource(source, loader) {
+  const holder = new THREE.Object3D();
+  holder.name = `ambience-${source.id}`;
+  holder.position.set(source.position.x, CONFIG.soundscape.sourceHeight, source.position.z);
+  scene.add(holder);
+
+  const audio = new THREE.PositionalAudio(listener);
+  audio.setRefDistance(CONFIG.soundscape.refDistance);
+  audio.setRolloffFactor(CONFIG.soundscape.rolloffFactor);
+  audio.setMaxDistance(CONFIG.soundscape.maxDistance);
+  audio.setLoop(true);
+  audio.gain.disconnect();
+  audio.gain.connect(ambienceBus);
+  audio.setVolume(0);
+  holder.add(audio);
+  source.audio = audio;
+
+  loader.load(
+    source.src,
+    (buffer) => {
+      audio.setBuffer(buffer);
+      audio.play();
+      source.level = -1; // Forces the next crossfade to set its level
+      currentSourceId = null;
+    },
+    undefined,
+    (error) => console.warn(`[Soundscape] Ambient track "${source.src}" unavailable`, error)
+  );
+}
+
+/**
+ * Builds the Web Audio graph: listener on the camera, the background
+ * music and every ambient track (through the ambience bus) feeding one
+ * bed gain
+ */
+function createAudioGraph() {
+  listener = new THREE.AudioListener();
+  camera.add(listener);
+
+  bed = listener.context.createGain();
+  bed.connect(listener.getInput());
+  ambienceBus = listener.context.createGain();
+  ambienceBus.gain.value = musicHeld ? CONFIG.stations.ambienceLevel : 1;
+  ambienceBus.connect(bed);
+
+  if (ambientAudio && !musicFailed) {
+    try {
+      music = new THREE.Audio(listener);
+      music.setMediaElementSource(ambientAudio);
+      music.gain.disconnect();
+      music.gain.connect(bed);
+      music.setVolume(CONFIG.audio.defaultVolume);
+    } catch (error) {
+      console.warn('[Soundscape] Background music could not join the audio graph', error);
+      music = null;
+    }
+  }
+
+  const loader = new THREE.AudioLoader();
+  sources.forEach(source => loadSource(source, loader));
+}
+
+/**
+ * Applies the volume and mute state to the audio graph
+ */
+function applySettings() {
+  updateControls();
+  if (settings.muted && !listener) return;
+  if (!listener) createAudioGraph();
+
+  listener.setMasterVolume(settings.muted ? 0 : settings.volume);
+  if (settings.muted) {
+    if (ambientAudio) ambientAudio.pause();
+    listener.context.suspend();
+    return;
+  }
+
+  listener.context.resume()
+    .then(() => (ambientAudio && music && !musicHeld ? ambientAudio.play() : null))
+    .catch(error => {
+      // Autoplay policy: the next click or key press starts the sound
+      console.warn('[Soundscape] Sound waits for a click or key press', error.name || error);
+    });
+}
+
+// ═══════════════════════════════════════════
+// CROSSFADE
+// ═══════════════════════════════════════════
+
+/**
+ * Fades ambient tracks towards the room the camera is in
+ * Called every frame from the animation loop, after updateNavigation(), so
+ * room flights crossfade as they travel
+ */
+export function updateSoundscape() {
+  if (!listener || settings.muted || sources.length === 0) return;
+
+  // The nearest source is the room the camera is in
+  let nearest = null;
+  let nearestDistance = Infinity;
+  sources.forEach(source => {
+    const distance = Math.hypot(camera.position.x - source.position.x, camera.position.z - source.position.z);
+    if (distance < nearestDistance) {
+      nearest = source;
+      nearestDistance = distance;
+    }
+  });
+  if (!nearest || nearest.id === currentSourceId) return;
+  currentSourceId = nearest.id;
+
+  const now = listener.context.currentTime;
+  const timeConstant = CONFIG.soundscape.crossfadeTime / 3000; // Reaches ~95% in crossfadeTime
+  sources.forEach(source => {
+    const level = source === nearest ? 1 : CONFIG.soundscape.otherRoomLevel;
+    if (!source.audio || source.level === level) return;
+    source.level = level;
+    source.audio.gain.gain.setTargetAtTime(level, now, timeConstant);
+  });
+}
+
+/**
+ * Lowers music and ambience under narration, or brings them back
+ * @param {boolean} ducked - True while the audio guide speaks
+ */
+export function duckSoundscape(ducked) {
+  if (!bed) return;
+  const level = ducked ? CONFIG.guide.duckLevel : 1;
+  bed.gain.setTargetAtTime(level, listener.context.currentTime, CONFIG.guide.duckFadeTime / 3000);
+}
+
+/**
+ * Pauses the background music and fades the room ambience down to
+ * CONFIG.stations.ambienceLevel, or brings both back
+ * @param {boolean} held - True while a listening station plays
+ */
+export function holdMusic(held) {
+  if (ambienceBus && held !== musicHeld) {
+    const level = held ? CONFIG.stations.ambienceLevel : 1;
+    ambienceBus.gain.setTargetAtTime(level, listener.context.currentTime, CONFIG.stations.ambienceFadeTime / 3000);
+  }
+  musicHeld = held;
+  if (!ambientAudio || !music || settings.muted) return;
+  if (held) {
+    ambientAudio.pause();
+  } else {
+    ambientAudio.play().catch(() => {});
+  }
+}
+
+/**
+ * Plays a media element through the soundscape instead of straight to the
+ * speakers, so it follows the master volume and mute, is ducked under
+ * narration and reaches the visualizer
+ * @param {HTMLMediaElement} element - Element, not yet routed anywhere
+ * @param {number} [volume=1] - Level within the bed (0-1)
+ * @returns {THREE.Audio|null} Audio node, null while sound is off
+ */
+export function connectMediaElement(element, volume = 1) {
+  if (!listener || settings.muted) return null;
+  try {
+    const audio = new THREE.Audio(listener);
+    audio.setMediaElementSource(element);
+    audio.gain.disconnect();
+    audio.gain.connect(bed);
+    audio.setVolume(volume);
+    return audio;
+  } catch (error) {
+    console.warn('[Soundscape] Media element could not join the audio graph', error);
+    return null;
+  }
+}
+
+/**
+ * Frequency analyser on everything the soundscape plays: music, room
+ * ambience and listening station clips
+ * The audio guide is not included. Its narration plays outside the audio
+ * graph so it is heard whatever the mute state, and speech synthesis
+ * cannot be routed into Web Audio at all
+ * @returns {AnalyserNode|null} Analyser, null while sound is off
+ */
+export function getAnalyser() {
+  if (!listener || settings.muted) return null;
+  if (!analyser) {
+    analyser = listener.context.createAnalyser();
+    analyser.fftSize = CONFIG.visualizer.fftSize;
+    analyser.smoothingTimeConstant = CONFIG.visualizer.smoothing;
+    bed.connect(analyser);
+  }
+  return analyser;
+}
+
+// ═══════════════════════════════════════════
+// CONTROLS
+// ═══════════════════════════════════════════
+
+/**
+ * Mutes or unmutes all sound; the choice is remembered
+ * @param {boolean} [muted] - New state, toggles when omitted
+ */
+export function toggleMute(muted = !settings.muted) {
+  settings.muted = muted;
+  saveSettings();
+  applySettings();
+  window.dispatchEvent(new CustomEvent('museum:soundchange', { detail: { muted } }));
+}
+
+/**
+ * Whether sound is switched off
+ * @returns {boolean} True while muted
+ */
+export function isMuted() {
+  return settings.muted;
+}
+
+/**
+ * Sets the master volume; the level is remembered
+ * @param {number} volume - Volume (0-1)
+ */
+export function setMasterVolume(volume) {
+  settings.volume = Math.min(1, Math.max(0, volume));
+  saveSettings();
+  if (listener && !settings.muted) listener.setMasterVolume(settings.volume);
+  updateControls();
+}
+
+/**
+ * Whether anything can be heard at all
+ * @returns {boolean} False when the music failed and no room has ambience
+ */
+function hasSound() {
+  return !musicFailed || sources.length > 0;
+}
+
+function updateControls() {
+  if (soundBtn) {
+    const icon = soundBtn.querySelector('i');
+    const iconName = settings.muted || !hasSound() ? 'volume-x' : 'volume-2';
+    if (icon && icon.getAttribute('data-lucide') !== iconName) {
+      icon.setAttribute('data-lucide', iconName);
+      if (typeof lucide !== 'undefined') lucide.createIcons();
+    }
+    soundBtn.classList.toggle('playing', !settings.muted && hasSound());
+    soundBtn.setAttribute('aria-pressed', String(!settings.muted));
+    soundBtn.disabled = !hasSound();
+    soundBtn.title = t(hasSound() ? 'sound.toggle' : 'sound.unavailable');
+  }
+  if (volumeSlider) {
+    volumeSlider.value = String(settings.volume);
+    volumeSlider.disabled = !hasSound();
+    volumeSlider.title = t('sound.volume');
+    volumeSlider.setAttribute('aria-label', t('sound.volume'));
+  }
+}
+
+/**
+ * Places the ambient tracks and wires up the sound controls
+ * Call after the floor plan is applied, so rooms have their positions
+ * @param {{x: number, z: number}} monument - Eagle monument position
+ */
+export function initSoundscape(monument) {
+  ROOMS.forEach(room => {
+    if (room.ambience && room.position) {
+      sources.push({ id: room.id, position: room.position, src: room.ambience, audio: null, level: 0 });
+    }
+  });
+  if (CONFIG.soundscape.eagleAmbience && monument) {
+    sources.push({ id: 'eagle', position: monument, src: CONFIG.soundscape.eagleAmbience, audio: null, level: 0 });
+  }
+
+  if (ambientAudio) {
+    ambientAudio.addEventListener('error', (e) => {
+      musicFailed = true;
+      console.error('[Soundscape] Background music failed to load', e);
+      updateControls();
+    });
+  }
+
+  if (soundBtn) {
+    soundBtn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      toggleMute();
+    });
+  }
+  if (volumeSlider) {
+    volumeSlider.addEventListener('input', () => setMasterVolume(Number(volumeSlider.value)));
+    // Arrow keys adjust the slider, not the portrait selection
+    volumeSlider.addEventListener('keydown', e => e.stopPropagation());
+    volumeSlider.addEventListener('click', e => e.stopPropagation());
+  }
+
+  // Sound saved as on starts with the visitor's first click or key press
+  loadSettings();
+  if (!settings.muted) {
+    const start = () => {
+      window.removeEventListener('pointerdown', start);
+      window.removeEventListener('keydown', start);
+      if (!settings.muted) applySettings();
+    };
+    window.addEventListener('pointerdown', start);
+    window.addEventListener('keydown', start);
+  }
+  updateControls();
+
+  window.addEventListener('museum:localechange', updateControls);
+}
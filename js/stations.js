@@ -0,0 +1,322 @@
+/**
+ * STATIONS.JS - Listening Stations
+ *
+ * @module stations
+ * @description Audio exhibits: portraits with a 'clip' play it when focused
+ * or approached, with a small player in the info panel and a glowing frame
+ * while it plays. One station plays at a time; the background music pauses
+ * and the room ambience fades down meanwhile. Clips play through the soundscape, so they follow its
+ * volume and stay silent while sound is muted
+ */
+
+import * as THREE from 'three';
+import { camera } from './scene.js';
+import { exhibits } from './portraits.js';
+import { isNavigating } from './navigation.js';
+import { narrationStatus } from './guide.js';
+import { holdMusic, connectMediaElement, isMuted, toggleMute } from './soundscape.js';
+import { t, localize } from './i18n.js';
+import { CONFIG } from './config.js';
+
+// DOM elements
+const infoEl = document.getElementById('info');
+
+// State
+let museum = null;
+let station = null; // { mesh, audio, trigger: 'focus' | 'approach', held, failed }
+let focusedMesh = null;
+let waitingFor = null; // Portrait whose clip starts once the audio guide has finished with it
+let approached = null; // Audio exhibit the camera is standing at
+const worldPosition = new THREE.Vector3();
+
+// ═══════════════════════════════════════════
+// PLAYBACK
+// ═══════════════════════════════════════════
+
+/**
+ * Whether a portrait is an audio exhibit
+ * @param {THREE.Mesh} mesh - Portrait mesh
+ * @returns {boolean} True when it has a clip to play
+ */
+export function isAudioExhibit(mesh) {
+  return !!(mesh && localize(mesh.userData.clip));
+}
+
+/**
+ * Lights the frame of the playing station and holds the music and ambience
+ * @param {Object} current - Station whose playback changed
+ */
+function updateIndicators(current) {
+  const playing = station === current && !current.audio.paused && !current.failed;
+  const found = museum && museum.findPortrait(current.mesh);
+  if (found) found.portrait.setPlaying(playing);
+  // Music stays off from the moment a clip is started (still loading
+  // included) until it ends, fails or is paused from the player
+  holdMusic(!!station && station.held && !station.failed && !station.audio.ended);
+  updatePlayer();
+}
+
+/**
+ * Stops the station that is playing
+ */
+export function stopStation() {
+  const current = station;
+  station = null;
+  waitingFor = null;
+  if (!current) return;
+  current.audio.pause();
+  updateIndicators(current);
+}
+
+/**
+ * Plays a portrait's clip, stopping any other station
+ * Does nothing while sound is muted
+ * @param {THREE.Mesh} mesh - Audio exhibit
+ * @param {string} [trigger='focus'] - 'focus' or 'approach'; approached stations stop when the visitor walks away
+ */
+export function playStation(mesh, trigger = 'focus') {
+  if (!isAudioExhibit(mesh) || isMuted()) return;
+  if (station && station.mesh === mesh) {
+    station.trigger = trigger;
+    station.held = true;
+    if (station.audio.paused && !station.failed) station.audio.play().catch(() => {});
+    return;
+  }
+  stopStation();
+
+  try {
+    const src = localize(mesh.userData.clip);
+    const audio = new Audio(src);
+    // No audio graph yet: sound is waiting for the visitor's first gesture
+    if (!connectMediaElement(audio, CONFIG.stations.volume)) return;
+    const current = { mesh, audio, trigger, held: true, failed: false };
+    station = current;
+
+    ['play', 'pause', 'ended'].forEach(type => {
+      current.audio.addEventListener(type, () => updateIndicators(current));
+    });
+    ['timeupdate', 'loadedmetadata'].forEach(type => {
+      current.audio.addEventListener(type, () => { if (station === current) updatePlayer(); });
+    });
+    current.audio.addEventListener('error', () => {
+      console.warn(`[Stations] Clip "${src}" unavailable`);
+      current.failed = true;
+      updateIndicators(current);
+    });
+
+    current.audio.play().catch(error => {
+      // Autoplay refusals surface here; load errors are handled above
+      if (error.name === 'NotAllowedError') {
+        console.warn('[Stations] Clip blocked until the page is clicked');
+        current.held = false;
+        updateIndicators(current);
+      }
+    });
+    updatePlayer();
+  } catch (error) {
+    console.error('[Stations]', error);
+    station = null;
+  }
+}
+
+/**
+ * Plays or pauses the focused portrait's clip (the player's button)
+ * Playing while muted switches sound back on
+ * @param {THREE.Mesh} mesh - Audio exhibit
+ */
+function toggleStation(mesh) {
+  if (station && station.mesh === mesh && !station.audio.paused) {
+    station.held = false;
+    station.audio.pause();
+  } else {
+    if (station && station.mesh === mesh && station.audio.ended) station.audio.currentTime = 0;
+    if (isMuted()) toggleMute(false);
+    playStation(mesh);
+  }
+}
+
+/**
+ * Plays a focused audio exhibit's clip, after the audio guide has
+ * narrated it when the guide is on
+ * @param {THREE.Mesh} mesh - Focused portrait
+ */
+function onFocus(mesh) {
+  focusedMesh = mesh;
+  waitingFor = null;
+  if (station && station.mesh !== mesh) stopStation();
+  if (!isAudioExhibit(mesh)) return;
+
+  if (narrationStatus(mesh) === 'playing') {
+    waitingFor = mesh;
+  } else {
+    playStation(mesh);
+  }
+}
+
+// ═══════════════════════════════════════════
+// APPROACH
+// ═══════════════════════════════════════════
+
+/**
+ * Plays a station as the camera walks up to it and stops it as the camera
+ * leaves, unless the visitor is looking at a focused portrait
+ * Called every frame from the animation loop
+ */
+export function updateStations() {
+  if (!CONFIG.stations.playOnApproach || focusedMesh || isNavigating) return;
+
+  if (approached) {
+    approached.getWorldPosition(worldPosition);
+    if (camera.position.distanceTo(worldPosition) <= CONFIG.stations.leaveDistance) return;
+    if (station && station.mesh === approached && station.trigger === 'approach') stopStation();
+    approached = null;
+  }
+
+  let nearest = null;
+  let nearestDistance = CONFIG.stations.approachDistance;
+  exhibits.forEach(mesh => {
+    if (!isAudioExhibit(mesh)) return;
+    mesh.getWorldPosition(worldPosition);
+    const distance = camera.position.distanceTo(worldPosition);
+    if (distance <= nearestDistance) {
+      nearest = mesh;
+      nearestDistance = distance;
+    }
+  });
+  if (!nearest) return;
+
+  approached = nearest;
+  if (!station || station.audio.paused) playStation(nearest, 'approach');
+}
+
+// ═══════════════════════════════════════════
+// PLAYER
+// ═══════════════════════════════════════════
+
+/**
+ * Formats seconds as m:ss
+ * @param {number} seconds - Time (s)
+ * @returns {string} Clock time, '–:––' when unknown
+ */
+function formatTime(seconds) {
+  if (!Number.isFinite(seconds)) return '–:––';
+  const whole = Math.floor(seconds);
+  return `${Math.floor(whole / 60)}:${String(whole % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Player for the info panel
+ * Its button, scrubber and time are filled in by updatePlayer()
+ * @param {THREE.Mesh} mesh - Focused portrait
+ * @returns {HTMLElement|null} Player, null when the portrait has no clip
+ */
+export function createStationPlayer(mesh) {
+  if (!isAudioExhibit(mesh)) return null;
+
+  const playerEl = document.createElement('div');
+  playerEl.className = 'station-player';
+  playerEl.dataset.exhibit = encodeURIComponent(mesh.userData.name);
+
+  const heading = document.createElement('h4');
+  heading.textContent = `🎧 ${t('station.title')}`;
+
+  const toggleEl = document.createElement('button');
+  toggleEl.type = 'button';
+  toggleEl.className = 'station-toggle';
+
+  const scrubEl = document.createElement('input');
+  scrubEl.type = 'range';
+  scrubEl.className = 'station-scrub';
+  scrubEl.min = '0';
+  scrubEl.max = '0';
+  scrubEl.step = '0.1';
+  scrubEl.value = '0';
+  scrubEl.setAttribute('aria-label', t('station.position'));
+
+  const timeEl = document.createElement('span');
+  timeEl.className = 'station-time';
+
+  const controlsEl = document.createElement('div');
+  controlsEl.className = 'station-controls';
+  controlsEl.append(toggleEl, scrubEl, timeEl);
+  playerEl.append(heading, controlsEl);
+  return playerEl;
+}
+
+/**
+ * Brings the player in the info panel in line with playback
+ */
+function updatePlayer() {
+  const playerEl = infoEl && infoEl.querySelector('.station-player');
+  if (!playerEl || !focusedMesh || playerEl.dataset.exhibit !== encodeURIComponent(focusedMesh.userData.name)) return;
+
+  const current = station && station.mesh === focusedMesh ? station : null;
+  const audio = current && current.audio;
+  const playing = !!audio && !audio.paused && !current.failed;
+  const duration = audio && Number.isFinite(audio.duration) ? audio.duration : 0;
+
+  const toggleEl = playerEl.querySelector('.station-toggle');
+  toggleEl.textContent = playing ? '❚❚' : '▶';
+  toggleEl.title = t(playing ? 'station.pause' : 'station.play');
+  toggleEl.setAttribute('aria-label', toggleEl.title);
+  toggleEl.disabled = !!(current && current.failed);
+
+  const scrubEl = playerEl.querySelector('.station-scrub');
+  scrubEl.max = String(duration);
+  if (document.activeElement !== scrubEl) scrubEl.value = String(audio ? audio.currentTime : 0);
+  scrubEl.disabled = duration === 0;
+
+  playerEl.classList.toggle('playing', playing);
+  playerEl.querySelector('.station-time').textContent = current && current.failed
+    ? t('station.unavailable')
+    : `${formatTime(audio ? audio.currentTime : 0)} / ${formatTime(duration || NaN)}`;
+}
+
+/**
+ * Starts stations as their portraits are focused and wires up the player
+ * @param {Museum} museumInstance - Museum, for the frames of playing portraits
+ */
+export function initStations(museumInstance) {
+  museum = museumInstance;
+
+  // Registered after the audio guide, so a clip waits for the narration
+  // that starts with the same focus
+  window.addEventListener('museum:focus', e => onFocus(e.detail.portrait));
+  window.addEventListener('museum:blur', () => {
+    focusedMesh = null;
+    if (station && station.trigger === 'focus') stopStation();
+    waitingFor = null;
+  });
+  window.addEventListener('museum:soundchange', e => {
+    if (e.detail.muted) stopStation();
+  });
+  window.addEventListener('museum:narrationend', e => {
+    if (waitingFor && e.detail.portrait === waitingFor && focusedMesh === waitingFor) {
+      waitingFor = null;
+      playStation(focusedMesh);
+    }
+  });
+
+  if (!infoEl) return;
+
+  // The info panel is redrawn on language and favourite changes
+  new MutationObserver(updatePlayer).observe(infoEl, { childList: true });
+
+  infoEl.addEventListener('click', (e) => {
+    if (!e.target.closest('.station-player')) return;
+    e.stopPropagation();
+    if (e.target.closest('.station-toggle') && focusedMesh) {
+      waitingFor = null;
+      toggleStation(focusedMesh);
+    }
+  });
+  infoEl.addEventListener('input', (e) => {
+    if (!e.target.classList.contains('station-scrub') || !station || station.mesh !== focusedMesh) return;
+    station.audio.currentTime = Number(e.target.value);
+    updatePlayer();
+  });
+  // Arrow keys move the scrubber, not the portrait selection
+  infoEl.addEventListener('keydown', (e) => {
+    if (e.target.closest('.station-player')) e.stopPropagation();
+  });
+}
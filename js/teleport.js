@@ -0,0 +1,180 @@
+/**
+ * TELEPORT.JS - Click-the-Floor Teleport
+ *
+ * @module teleport
+ * @description Shows a reticle where the mouse points at open floor in a
+ * room, hallway or the entrance hall, and glides the camera there at eye
+ * level on a click, facing the nearest wall of exhibits. The glide is a
+ * room flight, so it goes round walls rather than through them
+ */
+
+import * as THREE from 'three';
+import { scene, camera, renderer } from './scene.js';
+import { floors, colliders } from './rooms.js';
+import { exhibits } from './portraits.js';
+import { flyTo, isNavigating } from './navigation.js';
+import { clearFocus, stopTour } from './interactions.js';
+import { isWalking, collides } from './walk.js';
+import { CONFIG } from './config.js';
+
+// State
+let reticle = null; // THREE.Mesh ring lying on the floor
+let pressedAt = null; // Where the mouse went down, to tell clicks from orbit drags
+const raycaster = new THREE.Raycaster();
+const pointer = new THREE.Vector2();
+const hit = new THREE.Vector3();
+const portraitPosition = new THREE.Vector3();
+const canvas = renderer.domElement;
+
+// ═══════════════════════════════════════════
+// PICKING
+// ═══════════════════════════════════════════
+
+/**
+ * Open floor under the mouse
+ * Walls, furniture and portraits in front of the floor hide it, and spots
+ * too close to an obstacle to stand on are left out
+ * @param {MouseEvent} e - Mouse event on the canvas
+ * @returns {THREE.Vector3|null} Point on the floor, null when there is none
+ */
+function pickFloor(e) {
+  pointer.x = (e.clientX / window.innerWidth) * 2 - 1;
+  pointer.y = -(e.clientY / window.innerHeight) * 2 + 1;
+  raycaster.setFromCamera(pointer, camera);
+
+  const floorHit = raycaster.intersectObjects(floors, false)[0];
+  if (!floorHit) return null;
+
+  const blocked = colliders.some(box =>
+    !box.containsPoint(raycaster.ray.origin) &&
+    raycaster.ray.intersectBox(box, hit) !== null &&
+    hit.distanceTo(raycaster.ray.origin) < floorHit.distance
+  );
+  if (blocked) return null;
+
+  const portraitHit = raycaster.intersectObjects(exhibits, true)[0];
+  if (portraitHit && portraitHit.distance < floorHit.distance) return null;
+
+  const { x, z } = floorHit.point;
+  return collides(x, z) ? null : floorHit.point.clone();
+}
+
+// ═══════════════════════════════════════════
+// GLIDE
+// ═══════════════════════════════════════════
+
+/**
+ * Where to look from a spot: straight at the nearest wall of exhibits
+ * facing it, or on in the direction of travel when none is close
+ * @param {THREE.Vector3} eye - Camera position to glide to
+ * @returns {THREE.Vector3} Point to look at
+ */
+function viewFrom(eye) {
+  const { faceDistance, lookDistance } = CONFIG.teleport;
+  let nearest = null;
+  let nearestDistance = faceDistance;
+
+  exhibits.forEach(mesh => {
+    const normal = mesh.userData.normal;
+    if (!normal) return;
+    mesh.getWorldPosition(portraitPosition);
+    // Only walls the spot is in front of
+    const inFront = (eye.x - portraitPosition.x) * normal.x + (eye.z - portraitPosition.z) * normal.z;
+    const distance = Math.hypot(eye.x - portraitPosition.x, eye.z - portraitPosition.z);
+    if (inFront > 0 && distance < nearestDistance) {
+      nearest = { normal, inFront };
+      nearestDistance = distance;
+    }
+  });
+
+  if (nearest) {
+    // Orbit about a point between the spot and the wall
+    const ahead = Math.max(0.5, Math.min(lookDistance, nearest.inFront - 0.5));
+    return new THREE.Vector3(eye.x - nearest.normal.x * ahead, eye.y, eye.z - nearest.normal.z * ahead);
+  }
+
+  const travel = new THREE.Vector3(eye.x - camera.position.x, 0, eye.z - camera.position.z);
+  if (travel.lengthSq() === 0) travel.set(0, 0, -1);
+  return eye.clone().addScaledVector(travel.normalize(), lookDistance);
+}
+
+/**
+ * Glides the camera to a spot on the floor, at eye level
+ * @param {THREE.Vector3} point - Point on the floor
+ */
+export function glideTo(point) {
+  const eye = new THREE.Vector3(point.x, CONFIG.walk.eyeHeight, point.z);
+  stopTour();
+  clearFocus();
+  flyTo(eye, viewFrom(eye));
+}
+
+// ═══════════════════════════════════════════
+// RETICLE
+// ═══════════════════════════════════════════
+
+/**
+ * Whether clicking the floor does anything right now
+ * Flights and walk mode have the camera; a focused portrait is let go
+ * @returns {boolean} True unless the camera is busy
+ */
+function isAvailable() {
+  return !isNavigating && !isWalking();
+}
+
+/**
+ * Moves the reticle to a floor spot, or hides it
+ * @param {THREE.Vector3|null} point - Spot, null to hide
+ */
+function showReticle(point) {
+  if (!reticle) return;
+  reticle.visible = !!point;
+  if (point) reticle.position.set(point.x, point.y + 0.03, point.z);
+}
+
+function onPointerMove(e) {
+  // Hidden while dragging the view round
+  if (e.target !== canvas || e.buttons !== 0 || !isAvailable()) {
+    showReticle(null);
+    return;
+  }
+  showReticle(pickFloor(e));
+}
+
+function onClick(e) {
+  const down = pressedAt;
+  pressedAt = null;
+  if (e.target !== canvas || !down || !isAvailable()) return;
+  if (Math.hypot(e.clientX - down.x, e.clientY - down.y) > CONFIG.teleport.dragThreshold) return;
+
+  const point = pickFloor(e);
+  if (!point) return;
+  showReticle(null);
+  glideTo(point);
+}
+
+/**
+ * Creates the reticle and wires up hover and click
+ */
+export function initTeleport() {
+  if (!CONFIG.teleport.enabled) return;
+
+  const { reticleRadius, reticleColor } = CONFIG.teleport;
+  reticle = new THREE.Mesh(
+    new THREE.RingGeometry(reticleRadius * 0.7, reticleRadius, 32),
+    new THREE.MeshBasicMaterial({ color: reticleColor, transparent: true, opacity: 0.8, depthWrite: false })
+  );
+  reticle.name = 'teleport-reticle';
+  reticle.rotation.x = -Math.PI / 2;
+  reticle.visible = false;
+  scene.add(reticle);
+
+  window.addEventListener('pointerdown', (e) => {
+    pressedAt = e.target === canvas ? { x: e.clientX, y: e.clientY } : null;
+  });
+  window.addEventListener('pointermove', onPointerMove);
+  // After the portrait click handler, which a portrait under the mouse goes to
+  window.addEventListener('click', onClick);
+  canvas.addEventListener('pointerleave', () => showReticle(null));
+  window.addEventListener('museum:focus', () => showReticle(null));
+}
@@ -0,0 +1,239 @@
+/**
+ * TIMELINE.JS - Chronological Timeline
+ *
+ * @module timeline
+ * @description Lays all exhibits out on a shared time scale, across rooms,
+ * from their parsed dates; picking an entry focuses the portrait in 3D
+ */
+
+import { exhibits } from './portraits.js';
+import { focusPortrait, startTour } from './interactions.js';
+import { getRoom, toCssColor } from './registry.js';
+import { chronologicalOrder, toFractionalYear } from './dates.js';
+import { t, localize } from './i18n.js';
+import { CONFIG } from './config.js';
+
+// DOM elements
+const panelEl = document.getElementById('timeline-panel');
+const axisEl = document.getElementById('timeline-axis');
+const listEl = document.getElementById('timeline-list');
+const timelineBtn = document.getElementById('timeline-btn');
+const tourBtn = document.getElementById('timeline-tour');
+const closeBtn = document.getElementById('timeline-close');
+
+// Year marks are multiples of one of these
+const TICK_STEPS = [1, 2, 5, 10, 20, 25, 50, 100, 200, 250, 500, 1000];
+
+// State
+let focusedMesh = null;
+
+// ═══════════════════════════════════════════
+// TIME SCALE
+// ═══════════════════════════════════════════
+
+/**
+ * Current date as a fractional year, where ongoing ranges end
+ * @returns {number} Fractional year
+ */
+function presentYear() {
+  const now = new Date();
+  return toFractionalYear({ year: now.getFullYear(), month: now.getMonth() + 1, day: now.getDate() });
+}
+
+/**
+ * Start and end of an exhibit on the time scale
+ * @param {ExhibitDates} dates - Parsed exhibit dates
+ * @returns {{from: number, to: number}} Fractional years
+ */
+function span(dates) {
+  return {
+    from: toFractionalYear(dates.start),
+    to: dates.end ? toFractionalYear(dates.end, true) : presentYear()
+  };
+}
+
+/**
+ * Scale covering every span, rounded out to whole tick steps
+ * @param {{from: number, to: number}[]} spans - Exhibit spans
+ * @returns {{min: number, max: number, step: number}} Scale
+ */
+function computeScale(spans) {
+  const from = Math.min(...spans.map(s => s.from));
+  const to = Math.max(...spans.map(s => s.to));
+  const step = TICK_STEPS.find(candidate => (to - from) / candidate <= CONFIG.timeline.targetTicks) || TICK_STEPS[TICK_STEPS.length - 1];
+  const min = Math.floor(from / step) * step;
+  const max = Math.max(Math.ceil(to / step) * step, min + step);
+  return { min, max, step };
+}
+
+// Position on the scale as a CSS percentage
+function percent(year, scale) {
+  return `${((year - scale.min) / (scale.max - scale.min)) * 100}%`;
+}
+
+// ═══════════════════════════════════════════
+// RENDERING
+// ═══════════════════════════════════════════
+
+/**
+ * Draws the year marks above the entries
+ * @param {{min: number, max: number, step: number}|null} scale - Scale, null when nothing is dated
+ */
+function renderAxis(scale) {
+  axisEl.replaceChildren();
+  if (!scale) return;
+
+  for (let year = scale.min; year <= scale.max; year += scale.step) {
+    const tick = document.createElement('span');
+    tick.className = 'timeline-tick';
+    tick.style.left = percent(year, scale);
+    tick.textContent = String(year);
+    axisEl.appendChild(tick);
+  }
+}
+
+/**
+ * Builds one timeline row
+ * @param {THREE.Mesh} mesh - Portrait mesh
+ * @param {{min: number, max: number, step: number}|null} scale - Scale for the bar
+ * @returns {HTMLLIElement} Row
+ */
+function createEntry(mesh, scale) {
+  const data = mesh.userData;
+  const room = getRoom(data.roomId);
+
+  const item = document.createElement('li');
+  const entry = document.createElement('button');
+  entry.type = 'button';
+  entry.className = 'timeline-entry';
+  entry.setAttribute('aria-current', String(mesh === focusedMesh));
+  entry.title = room ? localize(room.name) : '';
+
+  const label = document.createElement('span');
+  label.className = 'timeline-label';
+  const name = document.createElement('span');
+  name.className = 'timeline-name';
+  name.textContent = localize(data.label);
+  const years = document.createElement('span');
+  years.className = 'timeline-years';
+  years.textContent = localize(data.years);
+  label.append(name, years);
+
+  const track = document.createElement('span');
+  track.className = 'timeline-track';
+  if (data.dates && scale) {
+    const { from, to } = span(data.dates);
+    const bar = document.createElement('span');
+    bar.className = data.dates.ongoing ? 'timeline-bar ongoing' : 'timeline-bar';
+    bar.style.left = percent(from, scale);
+    bar.style.width = `calc(${percent(to, scale)} - ${percent(from, scale)})`;
+    if (room) bar.style.setProperty('--room-color', toCssColor(room.accentColor));
+    if (data.dates.ongoing) bar.title = t('timeline.present');
+    track.appendChild(bar);
+  }
+
+  entry.append(label, track);
+  entry.addEventListener('click', () => {
+    closeTimeline();
+    focusPortrait(mesh);
+  });
+
+  item.appendChild(entry);
+  return item;
+}
+
+/**
+ * Rebuilds the timeline from the current exhibits
+ * Dated exhibits come first in date order, undated ones follow
+ */
+function renderTimeline() {
+  if (!panelEl || panelEl.hidden) return;
+
+  const ordered = chronologicalOrder(exhibits);
+  const dated = ordered.filter(mesh => mesh.userData.dates);
+  const undated = ordered.filter(mesh => !mesh.userData.dates);
+  const scale = dated.length > 0 ? computeScale(dated.map(mesh => span(mesh.userData.dates))) : null;
+
+  renderAxis(scale);
+  listEl.replaceChildren(...dated.map(mesh => createEntry(mesh, scale)));
+
+  if (undated.length > 0) {
+    const heading = document.createElement('li');
+    heading.className = 'timeline-undated';
+    heading.textContent = t('timeline.undated');
+    listEl.append(heading, ...undated.map(mesh => createEntry(mesh, null)));
+  }
+}
+
+// ═══════════════════════════════════════════
+// PANEL
+// ═══════════════════════════════════════════
+
+/**
+ * Opens the timeline panel
+ */
+export function openTimeline() {
+  if (!panelEl) return;
+  panelEl.hidden = false;
+  renderTimeline();
+
+  const current = listEl.querySelector('[aria-current="true"]') || listEl.querySelector('.timeline-entry');
+  if (current) current.focus();
+}
+
+/**
+ * Closes the timeline panel
+ */
+export function closeTimeline() {
+  if (!panelEl) return;
+  panelEl.hidden = true;
+}
+
+/**
+ * Wires up the timeline button, shortcut key and panel
+ */
+export function initTimeline() {
+  if (!panelEl || !axisEl || !listEl) return;
+
+  if (timelineBtn) {
+    timelineBtn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      if (panelEl.hidden) {
+        openTimeline();
+      } else {
+        closeTimeline();
+      }
+    });
+  }
+  if (closeBtn) closeBtn.addEventListener('click', closeTimeline);
+  if (tourBtn) {
+    tourBtn.addEventListener('click', () => {
+      closeTimeline();
+      startTour({ order: 'chronological' });
+    });
+  }
+
+  // Keys and clicks inside the panel stay out of the museum's own handlers
+  panelEl.addEventListener('keydown', (e) => {
+    e.stopPropagation();
+    if (e.key === 'Escape') closeTimeline();
+  });
+  panelEl.addEventListener('click', e => e.stopPropagation());
+
+  window.addEventListener('keydown', (e) => {
+    const typing = e.target instanceof HTMLElement && e.target.matches('input, textarea, select, [contenteditable]');
+    if (e.key.toLowerCase() === CONFIG.timeline.shortcut && !typing && !e.ctrlKey && !e.metaKey && !e.altKey) {
+      e.preventDefault();
+      if (panelEl.hidden) {
+        openTimeline();
+      } else {
+        closeTimeline();
+      }
+    }
+  });
+
+  window.addEventListener('museum:focus', (e) => { focusedMesh = e.detail.portrait; });
+  window.addEventListener('museum:blur', () => { focusedMesh = null; });
+  window.addEventListener('museum:localechange', renderTimeline);
+  window.addEventListener('museum:exhibitchange', renderTimeline);
+}
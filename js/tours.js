@@ -0,0 +1,296 @@
+/**
+ * TOURS.JS - Scripted Guided Tours
+ *
+ * @module tours
+ * @description Loads tour scripts (portraits, room overviews and the eagle
+ * monument, each with its own duration, caption and camera transition) and
+ * offers them, next to the built-in tours, from the tour button's menu
+ */
+
+import { exhibits } from './portraits.js';
+import { startTour, runTour } from './interactions.js';
+import { getFilteredExhibits } from './filters.js';
+import { registerAsset, reportLoadingIssue } from './loader.js';
+import { fetchManifest, matchesType } from './manifest.js';
+import { getRoom } from './registry.js';
+import { t, localize } from './i18n.js';
+import { CONFIG } from './config.js';
+
+/**
+ * @typedef {Object} TourStop
+ * @property {string} type - 'exhibit', 'room' or 'eagle'
+ * @property {string} [exhibit] - Exhibit name, for 'exhibit' stops
+ * @property {string} [room] - Room id, for 'room' stops
+ * @property {number} [duration] - Time at the stop (ms), CONFIG.tour.intervalDuration when omitted
+ * @property {string|Object} [caption] - Narration shown during the stop (localized text)
+ * @property {string} [transition] - 'fly' or 'cut', CONFIG.tour.transition when omitted
+ */
+
+/**
+ * @typedef {Object} TourScript
+ * @property {string} id - Tour identifier
+ * @property {string|Object} name - Name in the tour menu (localized text)
+ * @property {TourStop[]} stops - Stops in order
+ */
+
+const STOP_TYPES = ['exhibit', 'room', 'eagle'];
+const TRANSITIONS = ['fly', 'cut'];
+
+// Tours generated from the exhibits rather than a script
+const BUILT_IN_TOURS = [
+  { id: 'rooms', nameKey: 'tours.rooms', order: 'rooms' },
+  { id: 'chronological', nameKey: 'tours.chronological', order: 'chronological' }
+];
+
+// DOM elements
+const menuEl = document.getElementById('tour-menu');
+const listEl = document.getElementById('tour-menu-list');
+const tourBtn = document.getElementById('auto-tour-btn');
+
+// Scripts that passed validation
+let scripts = [];
+
+// ═══════════════════════════════════════════
+// VALIDATION
+// ═══════════════════════════════════════════
+
+/**
+ * Validates a single stop
+ * @param {TourStop} stop - Stop from the script
+ * @returns {string[]} List of problems (empty when valid)
+ */
+function validateStop(stop) {
+  if (!stop || typeof stop !== 'object' || Array.isArray(stop)) {
+    return ['stop is not an object'];
+  }
+
+  const problems = [];
+  if (!STOP_TYPES.includes(stop.type)) {
+    problems.push(`"type" must be ${STOP_TYPES.map(type => `"${type}"`).join(' | ')}`);
+  }
+  if (stop.type === 'exhibit' && !exhibits.some(mesh => mesh.userData.name === stop.exhibit)) {
+    problems.push(`unknown exhibit "${stop.exhibit}"`);
+  }
+  if (stop.type === 'room' && !getRoom(stop.room)) {
+    problems.push(`unknown room "${stop.room}"`);
+  }
+  if ('duration' in stop && !(typeof stop.duration === 'number' && stop.duration > 0)) {
+    problems.push('"duration" must be a positive number of milliseconds');
+  }
+  if ('caption' in stop && !matchesType(stop.caption, 'text')) {
+    problems.push(`"caption" must be a non-empty string or localized object with an "${CONFIG.i18n.defaultLocale}" entry`);
+  }
+  if ('transition' in stop && !TRANSITIONS.includes(stop.transition)) {
+    problems.push(`"transition" must be ${TRANSITIONS.map(type => `"${type}"`).join(' | ')}`);
+  }
+  return problems;
+}
+
+/**
+ * Validates tour scripts, dropping broken stops and tours left without any
+ * Exhibit names are checked against the portraits on display
+ * @param {TourScript[]} tours - Tours from the scripts file
+ * @returns {{tours: TourScript[], errors: string[]}} Usable tours and error messages
+ */
+export function validateTours(tours) {
+  const valid = [];
+  const errors = [];
+
+  if (!Array.isArray(tours)) {
+    return { tours: valid, errors: ['Tour scripts must contain a "tours" list'] };
+  }
+
+  tours.forEach((tour, index) => {
+    const label = tour && typeof tour.id === 'string' ? `"${tour.id}"` : `#${index + 1}`;
+
+    if (!tour || typeof tour.id !== 'string' || !matchesType(tour.name, 'text') || !Array.isArray(tour.stops)) {
+      errors.push(`Tour ${label} skipped: needs an "id", a "name" and a "stops" list`);
+      return;
+    }
+    if (valid.some(other => other.id === tour.id) || BUILT_IN_TOURS.some(other => other.id === tour.id)) {
+      errors.push(`Tour ${label} skipped: duplicate id`);
+      return;
+    }
+
+    const stops = tour.stops.filter((stop, stopIndex) => {
+      const problems = validateStop(stop);
+      if (problems.length > 0) {
+        errors.push(`Tour ${label}, stop ${stopIndex + 1} skipped: ${problems.join('; ')}`);
+      }
+      return problems.length === 0;
+    });
+
+    if (stops.length === 0) {
+      errors.push(`Tour ${label} skipped: no usable stops`);
+      return;
+    }
+    valid.push({ id: tour.id, name: tour.name, stops });
+  });
+
+  return { tours: valid, errors };
+}
+
+// ═══════════════════════════════════════════
+// LOADING
+// ═══════════════════════════════════════════
+
+/**
+ * Loads the tour scripts named in CONFIG.tour.scriptsPath
+ * Problems are reported on the loading screen; a missing file only
+ * leaves the built-in tours
+ * @returns {Promise<TourScript[]>} Usable tours
+ */
+export async function loadTours() {
+  if (!CONFIG.tour.scriptsPath) return [];
+
+  const toursLoaded = registerAsset();
+  try {
+    const data = await fetchManifest(CONFIG.tour.scriptsPath);
+    if (!data || data.version !== CONFIG.tour.scriptsVersion) {
+      reportLoadingIssue(`Unsupported tour script version "${data && data.version}" (expected ${CONFIG.tour.scriptsVersion})`);
+      return [];
+    }
+
+    const result = validateTours(data.tours);
+    result.errors.forEach(error => reportLoadingIssue(error));
+    scripts = result.tours;
+    return scripts;
+  } catch (error) {
+    if (error.missing) {
+      console.warn(`Tour scripts not found at ${CONFIG.tour.scriptsPath}, offering the built-in tours only`);
+    } else {
+      reportLoadingIssue(`Tour scripts could not be loaded (${error.message})`);
+    }
+    return [];
+  } finally {
+    renderMenu();
+    toursLoaded();
+  }
+}
+
+/**
+ * Turns a script into stops the tour runner can play
+ * Exhibits that have left the museum since loading are skipped
+ * @param {TourScript} script - Validated tour
+ * @returns {{name: string|Object, stops: Object[]}} Tour for runTour()
+ */
+function resolveTour(script) {
+  const stops = script.stops.map(stop => {
+    const resolved = {
+      type: stop.type,
+      duration: stop.duration || CONFIG.tour.intervalDuration,
+      caption: stop.caption || null,
+      transition: stop.transition || CONFIG.tour.transition
+    };
+    if (stop.type === 'exhibit') {
+      resolved.mesh = exhibits.find(mesh => mesh.userData.name === stop.exhibit);
+      if (!resolved.mesh) {
+        console.warn(`[Tours] "${script.id}" skips missing exhibit "${stop.exhibit}"`);
+        return null;
+      }
+    }
+    if (stop.type === 'room') resolved.roomId = stop.room;
+    return resolved;
+  });
+
+  return { name: script.name, stops: stops.filter(Boolean) };
+}
+
+// ═══════════════════════════════════════════
+// TOUR MENU
+// ═══════════════════════════════════════════
+
+/**
+ * Builds one menu entry
+ * @param {string} name - Localized tour name
+ * @param {string} detail - Line under the name
+ * @param {Function} start - Starts the tour
+ * @returns {HTMLLIElement} Entry
+ */
+function createEntry(name, detail, start) {
+  const item = document.createElement('li');
+  const entry = document.createElement('button');
+  entry.type = 'button';
+  entry.className = 'tour-menu-entry';
+  entry.setAttribute('role', 'menuitem');
+
+  const nameEl = document.createElement('span');
+  nameEl.className = 'tour-menu-name';
+  nameEl.textContent = name;
+  const detailEl = document.createElement('span');
+  detailEl.className = 'tour-menu-detail';
+  detailEl.textContent = detail;
+
+  entry.append(nameEl, detailEl);
+  entry.addEventListener('click', () => {
+    toggleTourMenu(false);
+    start();
+  });
+
+  item.appendChild(entry);
+  return item;
+}
+
+/**
+ * Lists the built-in tours followed by the scripted ones
+ */
+function renderMenu() {
+  if (!listEl) return;
+
+  const builtIn = BUILT_IN_TOURS.map(tour => createEntry(
+    t(tour.nameKey),
+    t('tours.portraits', { count: getFilteredExhibits().length }),
+    () => startTour({ order: tour.order })
+  ));
+  const scripted = scripts.map(script => {
+    const seconds = script.stops.reduce((sum, stop) => sum + (stop.duration || CONFIG.tour.intervalDuration), 0) / 1000;
+    return createEntry(
+      localize(script.name),
+      t('tours.stops', { count: script.stops.length, minutes: Math.max(1, Math.round(seconds / 60)) }),
+      () => runTour(resolveTour(script))
+    );
+  });
+
+  listEl.replaceChildren(...builtIn, ...scripted);
+}
+
+/**
+ * Opens or closes the tour menu under the tour button
+ * @param {boolean} [open] - New state, toggles when omitted
+ */
+export function toggleTourMenu(open = menuEl && menuEl.hidden) {
+  if (!menuEl) return;
+  menuEl.hidden = !open;
+  if (tourBtn) tourBtn.setAttribute('aria-expanded', String(!!open));
+  if (open) {
+    renderMenu();
+    const first = listEl && listEl.querySelector('.tour-menu-entry');
+    if (first) first.focus();
+  }
+}
+
+/**
+ * Wires up the tour menu and starts loading the tour scripts
+ * Call once the portraits are built, so scripts can be checked against them
+ */
+export function initTours() {
+  if (!menuEl || !listEl) return;
+
+  // Keys and clicks inside the menu stay out of the museum's own handlers
+  menuEl.addEventListener('keydown', (e) => {
+    e.stopPropagation();
+    if (e.key === 'Escape') toggleTourMenu(false);
+  });
+  menuEl.addEventListener('click', e => e.stopPropagation());
+
+  // Any click elsewhere closes the menu
+  window.addEventListener('click', () => {
+    if (!menuEl.hidden) toggleTourMenu(false);
+  });
+
+  window.addEventListener('museum:localechange', renderMenu);
+  window.addEventListener('museum:exhibitchange', renderMenu);
+  window.addEventListener('museum:filterchange', renderMenu);
+
+  loadTours();
+}
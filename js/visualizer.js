@@ -0,0 +1,171 @@
+/**
+ * VISUALIZER.JS - Audio Visualizer Sculpture
+ *
+ * @module visualizer
+ * @description A ring of glowing bars in the entrance hall that dances to
+ * the museum's music, room ambience and listening station clips, read
+ * through an analyser on the soundscape, and breathes slowly while sound is
+ * off. Audio guide narration is not part of the soundscape and does not
+ * move it
+ */
+
+import * as THREE from 'three';
+import { scene } from './scene.js';
+import { addCollider } from './rooms.js';
+import { getAnalyser } from './soundscape.js';
+import { CONFIG } from './config.js';
+
+// State
+let bars = null; // THREE.InstancedMesh
+let barMaterial = null;
+let group = null;
+let frequencyData = null;
+let levels = []; // Level shown per bar (0-1), falling back at CONFIG.visualizer.decay
+let liveness = 0; // 0 while idling, 1 while following the sound
+let lastTime = 0;
+const dummy = new THREE.Object3D();
+
+// ═══════════════════════════════════════════
+// BUILD
+// ═══════════════════════════════════════════
+
+/**
+ * Builds the sculpture: a plinth and a ring of bars drawn as one
+ * instanced mesh
+ */
+export function buildVisualizer() {
+  const settings = CONFIG.visualizer;
+  if (!settings.enabled) return;
+
+  group = new THREE.Group();
+  group.name = 'audio-visualizer';
+  group.position.set(settings.position.x, 0, settings.position.z);
+
+  // Plinth
+  const plinth = new THREE.Mesh(
+    new THREE.CylinderGeometry(settings.radius + 0.4, settings.radius + 0.5, 0.3, 32),
+    new THREE.MeshStandardMaterial({ color: 0x1a0a0a, roughness: 0.3, metalness: 0.3 })
+  );
+  plinth.position.y = 0.15;
+  plinth.receiveShadow = true;
+  group.add(plinth);
+
+  // Bars grow upwards from their base
+  const circumference = 2 * Math.PI * settings.radius;
+  const barWidth = (circumference / settings.barCount) * 0.6;
+  const barGeometry = new THREE.BoxGeometry(barWidth, 1, barWidth);
+  barGeometry.translate(0, 0.5, 0);
+
+  barMaterial = new THREE.MeshStandardMaterial({
+    color: 0x1a0a0a,
+    emissive: settings.color,
+    emissiveIntensity: settings.glowMin,
+    roughness: 0.4,
+    metalness: 0.6
+  });
+
+  bars = new THREE.InstancedMesh(barGeometry, barMaterial, settings.barCount);
+  bars.position.y = 0.3;
+  bars.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
+  group.add(bars);
+
+  levels = new Array(settings.barCount).fill(0);
+  placeBars();
+  scene.add(group);
+  addCollider(plinth);
+}
+
+/**
+ * Sets every bar's place on the ring and its height
+ */
+function placeBars() {
+  const { barCount, radius, minHeight, maxHeight } = CONFIG.visualizer;
+  for (let i = 0; i < barCount; i++) {
+    const angle = (i / barCount) * Math.PI * 2;
+    dummy.position.set(Math.cos(angle) * radius, 0, Math.sin(angle) * radius);
+    dummy.rotation.set(0, -angle, 0);
+    dummy.scale.set(1, minHeight + levels[i] * (maxHeight - minHeight), 1);
+    dummy.updateMatrix();
+    bars.setMatrixAt(i, dummy.matrix);
+  }
+  bars.instanceMatrix.needsUpdate = true;
+}
+
+// ═══════════════════════════════════════════
+// ANIMATION
+// ═══════════════════════════════════════════
+
+/**
+ * Level of each half-ring band from the analyser; the two halves of the
+ * ring mirror each other, low frequencies at the front
+ * @param {AnalyserNode} analyser - Soundscape analyser
+ * @returns {number[]} Level per bar (0-1)
+ */
+function readLevels(analyser) {
+  const { barCount, frequencyRange } = CONFIG.visualizer;
+  if (!frequencyData || frequencyData.length !== analyser.frequencyBinCount) {
+    frequencyData = new Uint8Array(analyser.frequencyBinCount);
+  }
+  analyser.getByteFrequencyData(frequencyData);
+
+  const half = barCount / 2;
+  const usedBins = Math.max(1, Math.floor(frequencyData.length * frequencyRange));
+  const bandLevels = [];
+  for (let band = 0; band < half; band++) {
+    // Bands widen towards the treble, as hearing does
+    const start = Math.floor(Math.pow(band / half, 1.6) * usedBins);
+    const end = Math.max(start + 1, Math.floor(Math.pow((band + 1) / half, 1.6) * usedBins));
+    let sum = 0;
+    for (let bin = start; bin < end; bin++) sum += frequencyData[bin];
+    bandLevels.push(sum / (end - start) / 255);
+  }
+
+  return levels.map((_, i) => bandLevels[i < half ? i : barCount - 1 - i] || 0);
+}
+
+/**
+ * Resting wave shown while nothing plays
+ * @param {number} time - Seconds
+ * @returns {number[]} Level per bar (0-1)
+ */
+function idleLevels(time) {
+  const { barCount, idleSpeed } = CONFIG.visualizer;
+  return levels.map((_, i) => 0.12 + 0.08 * Math.sin(time * idleSpeed + (i / barCount) * Math.PI * 4));
+}
+
+/**
+ * Moves the bars with the sound, or idles while sound is off
+ * Called every frame from the animation loop
+ * @param {number} now - performance.now() of the frame
+ */
+export function updateVisualizer(now) {
+  if (!bars) return;
+  const settings = CONFIG.visualizer;
+  const delta = lastTime ? Math.min((now - lastTime) / 1000, 0.1) : 0;
+  lastTime = now;
+
+  try {
+    const analyser = getAnalyser();
+    const live = analyser ? readLevels(analyser) : null;
+    const silent = !live || live.every(level => level === 0);
+
+    // Fade between the resting wave and the live spectrum over half a second
+    liveness = Math.min(1, Math.max(0, liveness + (silent ? -2 : 2) * delta));
+    const idle = idleLevels(now / 1000);
+
+    let total = 0;
+    levels = levels.map((shown, i) => {
+      const target = idle[i] * (1 - liveness) + (live ? live[i] : 0) * liveness;
+      const level = Math.max(target, shown - settings.decay * delta);
+      total += level;
+      return level;
+    });
+
+    placeBars();
+    barMaterial.emissiveIntensity = settings.glowMin + (total / levels.length) * (settings.glowMax - settings.glowMin);
+    group.rotation.y += settings.rotationSpeed * delta;
+  } catch (error) {
+    console.error('[Visualizer]', error);
+    bars = null; // Stop trying every frame
+  }
+}
@@ -0,0 +1,264 @@
+/**
+ * WALK.JS - First-Person Walk Mode
+ *
+ * @module walk
+ * @description Lets visitors stroll through the museum at eye height:
+ * WASD or arrow keys to walk, the mouse (under pointer lock) to look
+ * around, with collisions against walls, pedestals, benches and rope
+ * barriers. Portrait focus, room navigation and tours take the camera
+ * over as usual, and walking picks up wherever they leave it
+ */
+
+import * as THREE from 'three';
+import { camera, controls, renderer } from './scene.js';
+import { colliders } from './rooms.js';
+import { isNavigating } from './navigation.js';
+import { t } from './i18n.js';
+import { CONFIG } from './config.js';
+
+// Movement keys (KeyboardEvent.code) and the direction they walk in
+const MOVE_KEYS = {
+  KeyW: 'forward', ArrowUp: 'forward',
+  KeyS: 'back', ArrowDown: 'back',
+  KeyA: 'left', ArrowLeft: 'left',
+  KeyD: 'right', ArrowRight: 'right'
+};
+
+// DOM elements
+const walkBtn = document.getElementById('walk-btn');
+const crosshairEl = document.getElementById('crosshair');
+const canvas = renderer.domElement;
+
+// State
+let walking = false;
+let focused = false; // A portrait is focused; the focus view drives the camera
+let synced = false; // Look angles match the camera (lost while something else moves it)
+let yaw = 0;
+let pitch = 0;
+let lastTime = 0;
+const pressed = new Set(); // Directions held down
+const forward = new THREE.Vector3();
+
+// ═══════════════════════════════════════════
+// COLLISIONS
+// ═══════════════════════════════════════════
+
+/**
+ * Whether a visitor standing at a floor position would overlap an obstacle
+ * @param {number} x - Floor position X
+ * @param {number} z - Floor position Z
+ * @returns {boolean} True when the visitor's footprint touches a collider
+ */
+export function collides(x, z) {
+  const radius = CONFIG.walk.radius;
+  return colliders.some(box => {
+    const nearestX = Math.max(box.min.x, Math.min(x, box.max.x));
+    const nearestZ = Math.max(box.min.z, Math.min(z, box.max.z));
+    return (x - nearestX) ** 2 + (z - nearestZ) ** 2 < radius * radius;
+  });
+}
+
+/**
+ * Moves the camera over the floor, sliding along whatever it runs into
+ * Each axis is tried on its own, so walking into a wall at an angle
+ * carries on along it
+ * @param {number} dx - Step along X
+ * @param {number} dz - Step along Z
+ */
+function step(dx, dz) {
+  const { x, z } = camera.position;
+  // A visitor left inside an obstacle (by a flight or the focus view) may walk out of it
+  const stuck = collides(x, z);
+  if (stuck || !collides(x + dx, z)) camera.position.x += dx;
+  if (stuck || !collides(camera.position.x, z + dz)) camera.position.z += dz;
+}
+
+// ═══════════════════════════════════════════
+// LOOK & MOVE
+// ═══════════════════════════════════════════
+
+/**
+ * Takes the look angles from wherever the camera currently faces
+ */
+function syncLook() {
+  camera.getWorldDirection(forward);
+  yaw = Math.atan2(-forward.x, -forward.z);
+  pitch = Math.asin(Math.max(-1, Math.min(1, forward.y)));
+  synced = true;
+}
+
+/**
+ * Points the camera along the look angles and keeps the orbit target just
+ * ahead of it, so flights and the focus view start from the current view
+ */
+function applyLook() {
+  const limit = CONFIG.walk.maxPitch;
+  pitch = Math.max(-limit, Math.min(limit, pitch));
+  camera.rotation.set(pitch, yaw, 0, 'YXZ');
+  camera.getWorldDirection(forward);
+  controls.target.copy(camera.position).add(forward);
+}
+
+function onMouseMove(e) {
+  if (!walking || document.pointerLockElement !== canvas || focused) return;
+  yaw -= e.movementX * CONFIG.walk.lookSensitivity;
+  pitch -= e.movementY * CONFIG.walk.lookSensitivity;
+}
+
+/**
+ * Walks and looks for one frame, unless focus or a flight has the camera
+ * Called every frame from the animation loop, before the controls update
+ * @param {number} now - performance.now() of the frame
+ * @returns {boolean} True when walking moved the camera this frame
+ */
+export function updateWalk(now) {
+  const delta = lastTime ? Math.min((now - lastTime) / 1000, 0.1) : 0;
+  lastTime = now;
+  if (!walking) return false;
+
+  if (focused || isNavigating) {
+    synced = false;
+    return false;
+  }
+  if (!synced) syncLook();
+
+  // Walk relative to where the visitor faces, on the floor plane
+  const { speed, runMultiplier, eyeHeight } = CONFIG.walk;
+  const ahead = (pressed.has('forward') ? 1 : 0) - (pressed.has('back') ? 1 : 0);
+  const side = (pressed.has('right') ? 1 : 0) - (pressed.has('left') ? 1 : 0);
+  if (ahead !== 0 || side !== 0) {
+    const distance = speed * (pressed.has('run') ? runMultiplier : 1) * delta / Math.hypot(ahead, side);
+    const sinYaw = Math.sin(yaw);
+    const cosYaw = Math.cos(yaw);
+    step(
+      (-sinYaw * ahead + cosYaw * side) * distance,
+      (-cosYaw * ahead - sinYaw * side) * distance
+    );
+  }
+
+  // Settle to eye height after flights and the focus view
+  camera.position.y += (eyeHeight - camera.position.y) * Math.min(1, delta * 5);
+  applyLook();
+  return true;
+}
+
+// ═══════════════════════════════════════════
+// MODE
+// ═══════════════════════════════════════════
+
+/**
+ * Whether walk mode is on
+ * @returns {boolean} True while the visitor walks
+ */
+export function isWalking() {
+  return walking;
+}
+
+/**
+ * Whether the mouse is captured for looking around
+ * Clicks then aim at the centre of the screen (the crosshair)
+ * @returns {boolean} True under pointer lock
+ */
+export function hasPointerLock() {
+  return walking && document.pointerLockElement === canvas;
+}
+
+/**
+ * Switches between walking and orbiting
+ * @param {boolean} [on] - New state, toggles when omitted
+ */
+export function toggleWalk(on = !walking) {
+  if (on === walking) return;
+  walking = on;
+  pressed.clear();
+  controls.enabled = !walking;
+
+  if (walking) {
+    synced = false;
+    requestLook();
+  } else {
+    if (document.pointerLockElement === canvas) document.exitPointerLock();
+    // Orbit around a point a little ahead, where the visitor was looking
+    camera.getWorldDirection(forward);
+    controls.target.copy(camera.position).addScaledVector(forward, CONFIG.walk.orbitDistance);
+  }
+  updateWalkUI();
+}
+
+/**
+ * Captures the mouse for looking around, where the browser allows it
+ */
+function requestLook() {
+  if (!walking || focused || document.pointerLockElement === canvas || !canvas.requestPointerLock) return;
+  try {
+    const request = canvas.requestPointerLock();
+    // Newer browsers return a promise that rejects without a user gesture
+    if (request && request.catch) request.catch(() => {});
+  } catch (error) {
+    console.warn('[Walk] Pointer lock unavailable', error);
+  }
+}
+
+function updateWalkUI() {
+  if (walkBtn) {
+    walkBtn.classList.toggle('touring', walking);
+    walkBtn.setAttribute('aria-pressed', String(walking));
+    walkBtn.title = t(walking ? 'walk.off' : 'walk.on');
+  }
+  if (crosshairEl) crosshairEl.hidden = !hasPointerLock();
+}
+
+/**
+ * Wires up the walk button, shortcut, movement keys and mouse look
+ */
+export function initWalk() {
+  if (walkBtn) {
+    walkBtn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      toggleWalk();
+    });
+  }
+
+  window.addEventListener('keydown', (e) => {
+    const typing = e.target instanceof HTMLElement && e.target.matches('input, textarea, select, [contenteditable]');
+    if (typing || e.ctrlKey || e.metaKey || e.altKey) return;
+
+    if (e.key.toLowerCase() === CONFIG.walk.shortcut) {
+      e.preventDefault();
+      toggleWalk();
+      return;
+    }
+    // Arrow keys step between portraits while one is focused
+    if (!walking || focused) return;
+    if (e.key === 'Shift') pressed.add('run');
+    if (MOVE_KEYS[e.code]) {
+      e.preventDefault();
+      pressed.add(MOVE_KEYS[e.code]);
+    }
+  });
+  window.addEventListener('keyup', (e) => {
+    if (e.key === 'Shift') pressed.delete('run');
+    if (MOVE_KEYS[e.code]) pressed.delete(MOVE_KEYS[e.code]);
+  });
+  // Keys released while the window was in the background never report keyup
+  window.addEventListener('blur', () => pressed.clear());
+
+  // Registered after the portrait click handler, so a click that focuses
+  // a portrait does not capture the mouse
+  window.addEventListener('click', (e) => {
+    if (e.target === canvas) requestLook();
+  });
+  document.addEventListener('mousemove', onMouseMove);
+  document.addEventListener('pointerlockchange', updateWalkUI);
+
+  // The info panel needs the mouse back; looking resumes on the next click
+  window.addEventListener('museum:focus', () => {
+    focused = true;
+    pressed.clear();
+    if (document.pointerLockElement === canvas) document.exitPointerLock();
+  });
+  window.addEventListener('museum:blur', () => { focused = false; });
+  window.addEventListener('museum:localechange', updateWalkUI);
+
+  updateWalkUI();
+}